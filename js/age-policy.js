@@ -0,0 +1,17 @@
+// Protect-minors mode: decide from an age estimate whether a face may stay
+// visible. Errs towards blocking: a face is only treated as an adult when
+// even the low end of its estimate clears the limit plus a safety margin.
+
+/**
+ * Classify a face's age estimate against an age limit.
+ * @param {{ years: number, uncertainty: number }|null} age - From detector.js
+ * @param {number} limit - Block people estimated under this age
+ * @param {number} margin - Extra years an adult must clear the limit by
+ * @returns {"adult"|"minor"|"uncertain"}
+ */
+export function classifyAge(age, limit, margin) {
+  if (!age) return "uncertain";
+  if (age.years - age.uncertainty >= limit + margin) return "adult";
+  if (age.years + age.uncertainty < limit) return "minor";
+  return "uncertain";
+}
@@ -1,35 +1,126 @@
 // Faceblock - Main application controller
 
 import {
-  EFFECTS,
+  DEFAULT_EFFECT,
+  DEFAULT_DETECTOR_BACKEND,
+  DEFAULT_CONFIDENCE_THRESHOLD,
+  DEFAULT_REVIEW_THRESHOLD,
+  DEFAULT_COVERAGE,
+  DEFAULT_MASK_SHAPE,
+  AREA_CONFIDENCE_THRESHOLD,
+  NMS_IOU_THRESHOLD,
+  KNOWN_FACE_MATCH_THRESHOLD,
   MANUAL_REGION_RATIO,
+  PERSON_CLUSTER_THRESHOLD,
+  DEFAULT_MINOR_AGE_LIMIT,
+  AGE_SAFETY_MARGIN,
   MAX_PHOTOS,
   MAX_LOADED_CANVASES,
 } from "./constants.js";
 import {
   loadAndDetect,
   redetect,
-  processImage,
+  detectInArea,
+  describeFaces,
+  findBodies,
+  maskFaces,
+  fitLandmarks,
+  processImageAsync,
+  releaseImage,
+  loadModelsFromFiles,
+  ensureModels,
+  modelsReady,
   exportImage,
+  loadEffectPlugins,
+  useStickers,
+  useEmojiImages,
 } from "./processor.js";
+import {
+  getEffect,
+  getEffectModuleUrls,
+  paramDefaults,
+} from "./effect-registry.js";
 import {
   generateThumbnail,
+  cropThumbnail,
   exportAsBlob,
   downloadBlob,
 } from "./canvas-utils.js";
+import {
+  listKnownFaces,
+  addKnownFace,
+  removeKnownFace,
+  clearKnownFaces,
+  exportKnownFaces,
+  importKnownFaces,
+  matchKnownFace,
+} from "./face-library.js";
+import {
+  listStickers,
+  addSticker,
+  removeSticker,
+  decodeSticker,
+} from "./sticker-library.js";
+import { loadEmojiImages } from "./emoji-set.js";
+import {
+  collectLegend,
+  exportLegendJson,
+  exportLegendCsv,
+} from "./label-legend.js";
+import { classifyAge } from "./age-policy.js";
+import { iou, overlapRatio } from "./geometry.js";
+import { linkBodies } from "./person-detector.js";
+import { cloneMask, paintMask, fitMaskToBox } from "./segmentation.js";
+import {
+  hashFile,
+  getDetectionCacheStats,
+  clearDetectionCache,
+} from "./detection-cache.js";
+import {
+  randomSeed,
+  loadFaceSeeds,
+  findSeed,
+  mergeSeeds,
+  saveFaceSeeds,
+  clearFaceSeeds,
+} from "./face-seeds.js";
+import {
+  createPerson,
+  nearestPerson,
+  addSample,
+  countMembers,
+} from "./people.js";
 import {
   setupUI,
   showState,
   showStatus,
   hideStatus,
   setFaceCount,
+  renderModeGrid,
   setActiveMode,
   setIntensity,
+  setEffectParams,
+  setCoverage,
+  setMaskShape,
+  setLabels,
+  setConfidence,
+  setReviewThreshold,
+  setDetectorBackend,
+  setRotationToggle,
+  setBodyToggle,
+  setHeadMasksToggle,
+  setMatchThreshold,
+  renderKnownFaces,
+  renderStickers,
+  renderPeople,
+  setCacheStats,
   setUndoRedoState,
   renderPreview,
   renderOverlay,
   renderResult,
   renderThumbnailStrip,
+  renderReviewItem,
+  setPreviewZoom,
   resetUI,
 } from "./ui.js";
 
@@ -42,10 +133,31 @@ const state = {
   hasDownloaded: false,
 
   // Global settings (shared across all photos)
-  effectId: "blur",
+  effectId: DEFAULT_EFFECT,
   intensity: 70,
-  sensitivity: "medium",
-  options: { emoji: "\u{1F600}", color: "#ff0000" },
+  coverage: DEFAULT_COVERAGE, // COVERAGE_PRESETS key; faces may override
+  maskShape: DEFAULT_MASK_SHAPE, // MASK_SHAPES key; faces may override
+  maskFeather: 0, // Soft edge of mask shapes, as a fraction of face size
+  labels: false, // Label blocked faces ("Person 1") for the legend
+  labelPrefix: "Person",
+  labelOverlay: false, // Draw labels over effects other than redact
+  labelNumbers: new Map(), // Person or photo + face key -> label number, kept once given
+  nextLabelNumber: 1,
+  confidence: DEFAULT_CONFIDENCE_THRESHOLD, // Hide detections scoring below
+  tiledDetection: false, // Add full-res tile passes for tiny faces
+  detectorBackend: DEFAULT_DETECTOR_BACKEND,
+  knownFaces: [], // People to leave visible (see face-library.js)
+  stickers: [], // Sticker library entries plus decoded images
+  emojiLoading: Promise.resolve(), // Settles once the emoji in use are decoded
+  matchThreshold: KNOWN_FACE_MATCH_THRESHOLD,
+  people: [], // Faces grouped across photos (see people.js)
+  protectMinors: false, // Only block faces estimated under minorAgeLimit
+  minorAgeLimit: DEFAULT_MINOR_AGE_LIMIT,
+  headMasks: false, // Clip effects to segmented head masks
+  reviewThreshold: DEFAULT_REVIEW_THRESHOLD, // Detections scoring below need review
+  requireReview: false, // Block saving until every photo is reviewed
+  reviewing: false, // Review queue running
+  params: {}, // Effect param values, keyed by effect ID (defaults otherwise)
   format: "png",
   quality: 0.92,
 };
@@ -65,6 +177,19 @@ function getActivePhoto() {
   return photo || null;
 }
 
+/**
+ * Detection settings passed to the processor for a photo.
+ */
+function getDetectionSettings(photo) {
+  return {
+    sensitivity: state.tiledDetection ? "tiled" : "scan",
+    confidence: state.confidence,
+    backendId: state.detectorBackend,
+    rotated: photo.detectRotated,
+    features: detectionFeatures(),
+  };
+}
+
 /**
  * Create a new per-photo state object.
  */
@@ -76,11 +201,23 @@ function createPhotoState(file) {
     fullCanvas: null,
     thumbnailDataUrl: null,
     faces: [],
+    rawFaces: [], // Every scored detection, highest first; faces shows those above the threshold
+    dismissedFaceIds: new Set(), // Detections the user removed
+    appliedConfidence: null, // Threshold faces was last filtered at
     detectedFaceCount: 0,
     selectedFaceId: null,
     processedCanvas: null,
+    fileHash: null, // SHA-256 of the file, keying the detection cache and saved seeds
+    savedSeeds: [], // Face seeds saved for this file (see face-seeds.js)
+    seedsKey: null, // Their IndexedDB key, null if they can't be saved
     undoStack: [],
     redoStack: [],
+    detectRotated: false, // Always run the rotated-faces pass for this photo
+    region: "face", // 'face' | 'body': what effects cover in this photo
+    bodies: null, // People found by the person detector, once requested
+    masking: null, // Pending head segmentation run, shared by renders
+    reviewed: false, // Nothing left in the review queue (see pendingReview)
+    emptyConfirmed: false, // User confirmed no faces were missed
     status: "pending", // 'pending' | 'loading' | 'detected' | 'error'
     error: null,
   };
@@ -94,7 +231,31 @@ function init() {
     onFilesSelected: handleFilesSelected,
     onEffectChange: handleEffectChange,
     onIntensityChange: handleIntensityChange,
-    onSensitivityChange: handleSensitivityChange,
+    onEffectParamChange: handleEffectParamChange,
+    onFaceParamChange: handleFaceParamChange,
+    onFaceParamsReset: handleFaceParamsReset,
+    onFaceReroll: handleFaceReroll,
+    onStickerFilesSelected: handleStickerFilesSelected,
+    onStickerRemoved: handleStickerRemoved,
+    onConfidenceChange: handleConfidenceChange,
+    onTiledToggle: handleTiledToggle,
+    onDetectorChange: handleDetectorChange,
+    onRotationToggle: handleRotationToggle,
+    onBodyToggle: handleBodyToggle,
+    onHeadMasksToggle: handleHeadMasksToggle,
+    onMaskStroke: handleMaskStroke,
+    onLandmarksToggle: handleLandmarksToggle,
+    onCoverageChange: handleCoverageChange,
+    onFaceCoverageChange: handleFaceCoverageChange,
+    onMaskShapeChange: handleMaskShapeChange,
+    onMaskFeatherChange: handleMaskFeatherChange,
+    onFaceMaskShapeChange: handleFaceMaskShapeChange,
+    onLabelsToggle: handleLabelsToggle,
+    onLabelPrefixChange: handleLabelPrefixChange,
+    onLabelOverlayToggle: handleLabelOverlayToggle,
+    onFaceLabelChange: handleFaceLabelChange,
+    onLegendExport: handleLegendExport,
+    onAreaDetect: handleAreaDetect,
     onDownload: handleDownload,
     onDownloadAll: handleDownloadAll,
     onShare: handleShare,
@@ -102,6 +263,7 @@ function init() {
     onFaceDrawn: handleFaceDrawn,
     onFaceMoved: handleFaceMoved,
     onFaceResized: handleFaceResized,
+    onFaceRotated: handleFaceRotated,
     onFaceRemoved: handleFaceRemoved,
     onFormatChange: handleFormatChange,
     onNewPhoto: handleNewPhoto,
@@ -109,12 +271,44 @@ function init() {
     onPhotoRemoved: handlePhotoRemoved,
     onUndo: handleUndo,
     onRedo: handleRedo,
+    onModelFilesSelected: handleModelFilesSelected,
+    onEnrollFace: handleEnrollFace,
+    onKnownFaceRemoved: handleKnownFaceRemoved,
+    onMatchThresholdChange: handleMatchThresholdChange,
+    onKnownFacesExport: handleKnownFacesExport,
+    onKnownFacesImport: handleKnownFacesImport,
+    onKnownFacesClear: handleKnownFacesClear,
+    onPersonKeepToggle: handlePersonKeepToggle,
+    onPersonEffectChange: handlePersonEffectChange,
+    onProtectMinorsChange: handleProtectMinorsChange,
+    onMinorAgeLimitChange: handleMinorAgeLimitChange,
+    onClearCache: handleClearCache,
+    onReviewStart: handleReviewStart,
+    onReviewConfirm: handleReviewConfirm,
+    onReviewReject: handleReviewReject,
+    onReviewStop: endReview,
+    onReviewThresholdChange: handleReviewThresholdChange,
+    onRequireReviewToggle: handleRequireReviewToggle,
   });
 
   // Set initial UI state
   showState("empty");
   setActiveMode(state.effectId);
   setIntensity(state.intensity);
+  setEffectParams(state.params);
+  setCoverage(state.coverage);
+  setMaskShape(state.maskShape, state.maskFeather);
+  setLabels(state.labels, state.labelPrefix, state.labelOverlay);
+  setConfidence(state.confidence);
+  setReviewThreshold(state.reviewThreshold);
+  setDetectorBackend(state.detectorBackend);
+  setMatchThreshold(state.matchThreshold);
+  renderKnownFaces(state.knownFaces);
+  loadKnownFaces();
+  loadPlugins();
+  loadStickers();
+  loadEmoji();
+  refreshCacheStats();
 
   // Warn before unload if unsaved work exists
   window.addEventListener("beforeunload", (e) => {
@@ -124,6 +318,23 @@ function init() {
   });
 }
 
+/**
+ * Load effect plugin modules named in the page and add them to the mode grid.
+ */
+async function loadPlugins() {
+  const urls = getEffectModuleUrls();
+  if (urls.length === 0) return;
+  const failed = await loadEffectPlugins(urls);
+  renderModeGrid();
+  setActiveMode(state.effectId);
+  if (failed.length > 0) {
+    showStatus(
+      `${failed.length} effect plugin${failed.length > 1 ? "s" : ""} failed to load`,
+      "warning",
+    );
+  }
+}
+
 // ---- File Upload ----
 
 /**
@@ -175,6 +386,9 @@ async function handleFilesSelected(files) {
   // Process the active photo first, then queue the rest
   await switchToPhoto(state.activePhotoId);
   processQueue();
+
+  // Photos detected before this became a batch need descriptors too
+  refreshFaceMatches();
 }
 
 // ---- Photo Processing ----
@@ -194,14 +408,19 @@ async function processPhoto(photo) {
     const isActive = photo.id === state.activePhotoId;
     const { fullCanvas, faces } = await loadAndDetect(
       photo.file,
-      state.sensitivity,
+      await hashPhotoFile(photo),
+      getDetectionSettings(photo),
       isActive ? (msg) => showStatus(msg, "info") : null,
     );
 
     photo.fullCanvas = fullCanvas;
-    photo.faces = faces;
-    photo.detectedFaceCount = faces.length;
+    await loadPhotoSeeds(photo);
+    setDetections(photo, faces, []);
     photo.status = "detected";
+    refreshCacheStats();
+    assignPeople(photo);
+    applyFaceRules(photo);
+    updatePeoplePanel();
 
     renderThumbnailStrip(state.photos, state.activePhotoId);
 
@@ -231,7 +450,12 @@ async function processPhoto(photo) {
     renderThumbnailStrip(state.photos, state.activePhotoId);
 
     if (photo.id === state.activePhotoId) {
-      showStatus("Failed to process image. Please try again.", "error");
+      showStatus(
+        modelsReady(state.detectorBackend)
+          ? "Failed to process image. Please try again."
+          : "Couldn't load detection models. Load them from files under Advanced.",
+        "error",
+      );
     }
   }
 }
@@ -264,6 +488,7 @@ function evictCanvases() {
   if (loaded.length > maxInactive) {
     const toEvict = loaded.slice(0, loaded.length - maxInactive);
     for (const p of toEvict) {
+      releaseImage(p.fullCanvas);
       p.fullCanvas = null;
       p.processedCanvas = null;
       // Keep status as 'detected' — canvas can be reloaded from File
@@ -271,6 +496,54 @@ function evictCanvases() {
   }
 }
 
+/**
+ * Load detection models from user-picked files, then retry any photos
+ * that failed because the models were unavailable.
+ */
+async function handleModelFilesSelected(files) {
+  try {
+    await loadModelsFromFiles(files, (msg) => showStatus(msg, "info"));
+  } catch (err) {
+    console.error("Model load error:", err);
+    showStatus(err.message, "error");
+    return;
+  }
+
+  showStatus("Models loaded from files", "success");
+
+  const failed = state.photos.filter((p) => p.status === "error");
+  if (failed.length === 0) return;
+  for (const photo of failed) {
+    photo.status = "pending";
+    photo.error = null;
+  }
+  renderThumbnailStrip(state.photos, state.activePhotoId);
+  if (failed.some((p) => p.id === state.activePhotoId)) {
+    await switchToPhoto(state.activePhotoId);
+  }
+  processQueue();
+}
+
+// ---- Detection Cache ----
+
+function refreshCacheStats() {
+  getDetectionCacheStats()
+    .then(setCacheStats)
+    .catch(() => setCacheStats(null));
+}
+
+async function handleClearCache() {
+  try {
+    await clearDetectionCache();
+    await clearFaceSeeds();
+    showStatus("Cached data cleared", "success");
+  } catch (err) {
+    console.error("Cache clear error:", err);
+    showStatus("Failed to clear cached data", "error");
+  }
+  refreshCacheStats();
+}
+
 // ---- Photo Navigation ----
 
 /**
@@ -282,6 +555,8 @@ async function switchToPhoto(photoId) {
 
   state.activePhotoId = photoId;
   renderThumbnailStrip(state.photos, state.activePhotoId);
+  setRotationToggle(photo.detectRotated);
+  setBodyToggle(photo.region === "body");
 
   if (photo.status === "pending" || !photo.fullCanvas) {
     showState("loading");
@@ -311,6 +586,7 @@ async function switchToPhoto(photoId) {
 
 async function handlePhotoSwitch(photoId) {
   if (photoId === state.activePhotoId) return;
+  endReview();
   await switchToPhoto(photoId);
 }
 
@@ -320,11 +596,14 @@ function handlePhotoRemoved(photoId) {
 
   // Clean up canvas references
   const removed = state.photos[idx];
+  releaseImage(removed.fullCanvas);
   removed.fullCanvas = null;
   removed.processedCanvas = null;
   removed.file = null;
 
   state.photos.splice(idx, 1);
+  updatePeoplePanel();
+  endReview();
 
   if (state.photos.length === 0) {
     // No photos left — reset to empty state
@@ -344,19 +623,11 @@ function handlePhotoRemoved(photoId) {
 
 // ---- Effect & Settings Handlers ----
 
-function handleEffectChange(effectId, options) {
+function handleEffectChange(effectId) {
   state.effectId = effectId;
-  if (options) {
-    Object.assign(state.options, options);
-  }
-
-  const effect = EFFECTS.find((e) => e.id === effectId);
-  if (effect && !options) {
-    state.intensity = effect.defaultIntensity;
-    setIntensity(state.intensity);
-  }
-
+  state.intensity = getEffect(effectId).defaultIntensity;
   setActiveMode(effectId);
+  setIntensity(state.intensity);
   updatePreview();
 }
 
@@ -365,237 +636,1478 @@ function handleIntensityChange(value) {
   updatePreview();
 }
 
-async function handleSensitivityChange(sensitivity) {
-  const photo = getActivePhoto();
-  if (!photo?.fullCanvas) return;
-  state.sensitivity = sensitivity;
-
-  showStatus("Re-detecting faces...", "info");
-  try {
-    const manualFaces = photo.faces.filter((f) => f.manual);
-    const detected = await redetect(photo.fullCanvas, sensitivity, (msg) =>
-      showStatus(msg, "info"),
-    );
-
-    photo.faces = [...detected, ...manualFaces];
-    photo.detectedFaceCount = detected.length;
-    renderOverlay(photo.faces, photo.selectedFaceId);
-    setFaceCount(photo.detectedFaceCount);
-    renderThumbnailStrip(state.photos, state.activePhotoId);
-    updatePreview();
-    hideStatus();
-  } catch (err) {
-    console.error("Re-detection error:", err);
-    showStatus("Detection failed. Please try again.", "error");
-  }
+function handleEffectParamChange(paramId, value) {
+  state.params[state.effectId] = {
+    ...state.params[state.effectId],
+    [paramId]: value,
+  };
+  updatePreview();
+  if (paramId === "emoji") loadEmoji();
 }
 
-// ---- Canvas Interaction Handlers ----
-
-function getDefaultFaceSize() {
+/**
+ * Set one of the selected face's effect params, overriding the global
+ * value for that face.
+ */
+function handleFaceParamChange(paramId, value) {
   const photo = getActivePhoto();
-  if (!photo?.fullCanvas) return 100;
-
-  const minDim = Math.min(photo.fullCanvas.width, photo.fullCanvas.height);
-  const minSize = Math.max(minDim * 0.12, 100);
-
-  const detectedFaces = photo.faces.filter((f) => !f.manual);
-  if (detectedFaces.length === 0) {
-    return Math.max(minDim * MANUAL_REGION_RATIO, minSize);
-  }
-  const sizes = detectedFaces
-    .map((f) => Math.max(f.box.width, f.box.height))
-    .sort((a, b) => a - b);
-  return Math.max(sizes[Math.floor(sizes.length / 2)], minSize);
+  const face = photo?.faces.find((f) => f.id === photo.selectedFaceId);
+  if (!face) return;
+  pushUndo(photo);
+  const effectId = face.effectId || state.effectId;
+  face.paramOverrides = {
+    ...face.paramOverrides,
+    [effectId]: { ...face.paramOverrides?.[effectId], [paramId]: value },
+  };
+  updatePreview();
+  if (paramId === "emoji") loadEmoji();
 }
 
-function handleCanvasClick(x, y) {
+/**
+ * Drop the selected face's own settings for its effect.
+ */
+function handleFaceParamsReset() {
   const photo = getActivePhoto();
-  if (!photo?.fullCanvas) return;
-
-  const clickedFace = photo.faces.find((f) => {
-    const b = f.box;
-    return x >= b.x && x <= b.x + b.width && y >= b.y && y <= b.y + b.height;
-  });
-
-  if (clickedFace) {
-    photo.selectedFaceId = clickedFace.id;
-  } else if (photo.selectedFaceId) {
-    photo.selectedFaceId = null;
-  } else {
-    pushUndo(photo);
-    const size = getDefaultFaceSize();
-    const cw = photo.fullCanvas.width;
-    const ch = photo.fullCanvas.height;
-    const newFace = {
-      id: `manual-${Date.now()}`,
-      box: {
-        x: Math.max(0, Math.min(x - size / 2, cw - size)),
-        y: Math.max(0, Math.min(y - size / 2, ch - size)),
-        width: size,
-        height: size,
-      },
-      score: 1,
-      landmarks: null,
-      manual: true,
-    };
-    photo.faces.push(newFace);
-    photo.selectedFaceId = newFace.id;
-  }
-
-  renderOverlay(photo.faces, photo.selectedFaceId);
+  const face = photo?.faces.find((f) => f.id === photo.selectedFaceId);
+  const effectId = face && (face.effectId || state.effectId);
+  if (!face?.paramOverrides?.[effectId]) return;
+  pushUndo(photo);
+  // Copy first: undo snapshots share the old object
+  const overrides = { ...face.paramOverrides };
+  delete overrides[effectId];
+  face.paramOverrides = overrides;
   updatePreview();
 }
 
-function handleFaceDrawn(box) {
+/**
+ * Give the selected face a new random seed, so effects with random detail
+ * (glitch, redact) draw it differently.
+ */
+function handleFaceReroll() {
   const photo = getActivePhoto();
-  if (!photo?.fullCanvas) return;
+  const face = photo?.faces.find((f) => f.id === photo.selectedFaceId);
+  if (!face) return;
   pushUndo(photo);
-  const newFace = {
-    id: `manual-${Date.now()}`,
-    box,
-    score: 1,
-    landmarks: null,
-    manual: true,
-  };
-  photo.faces.push(newFace);
-  photo.selectedFaceId = newFace.id;
-  renderOverlay(photo.faces, photo.selectedFaceId);
+  face.seed = randomSeed();
+  savePhotoSeeds(photo);
   updatePreview();
 }
 
-function handleFaceMoved(faceId, newBox) {
+function handleCoverageChange(coverage) {
+  state.coverage = coverage;
+  setCoverage(coverage);
+  for (const photo of state.photos) applyFaceRules(photo);
+
   const photo = getActivePhoto();
-  if (!photo) return;
-  const face = photo.faces.find((f) => f.id === faceId);
+  if (photo?.fullCanvas) {
+    renderOverlay(photo.faces, photo.selectedFaceId);
+    updatePreview();
+  }
+}
+
+/**
+ * Set the selected face's own coverage, or null to follow the global one.
+ */
+function handleFaceCoverageChange(coverage) {
+  const photo = getActivePhoto();
+  const face = photo?.faces.find((f) => f.id === photo.selectedFaceId);
   if (!face) return;
   pushUndo(photo);
-  face.box = newBox;
+  face.coverageOverride = coverage;
+  face.coverage = coverage || state.coverage;
   renderOverlay(photo.faces, photo.selectedFaceId);
   updatePreview();
 }
 
-function handleFaceResized(faceId, newBox) {
+function handleMaskShapeChange(shape) {
+  state.maskShape = shape;
+  setMaskShape(shape, state.maskFeather);
+  for (const photo of state.photos) applyFaceRules(photo);
+  if (getActivePhoto()?.fullCanvas) updatePreview();
+}
+
+function handleMaskFeatherChange(feather) {
+  state.maskFeather = feather;
+  for (const photo of state.photos) applyFaceRules(photo);
+  if (getActivePhoto()?.fullCanvas) updatePreview();
+}
+
+/**
+ * Set the selected face's own mask shape, or null to follow the global one.
+ */
+function handleFaceMaskShapeChange(shape) {
   const photo = getActivePhoto();
-  if (!photo) return;
-  const face = photo.faces.find((f) => f.id === faceId);
+  const face = photo?.faces.find((f) => f.id === photo.selectedFaceId);
   if (!face) return;
   pushUndo(photo);
-  face.box = newBox;
-  renderOverlay(photo.faces, photo.selectedFaceId);
+  face.maskShapeOverride = shape;
+  face.maskShape = shape || state.maskShape;
   updatePreview();
 }
 
-function handleFaceRemoved() {
+// ---- Face Labels ----
+
+/**
+ * Re-apply face rules everywhere after a label setting changed.
+ */
+function refreshLabels() {
+  for (const photo of state.photos) applyFaceRules(photo);
   const photo = getActivePhoto();
-  if (!photo?.selectedFaceId) return;
-  const face = photo.faces.find((f) => f.id === photo.selectedFaceId);
-  const idx = photo.faces.indexOf(face);
-  if (idx >= 0) {
-    pushUndo(photo);
-    photo.faces.splice(idx, 1);
-    photo.selectedFaceId = null;
+  if (photo?.fullCanvas) {
     renderOverlay(photo.faces, photo.selectedFaceId);
     updatePreview();
   }
 }
 
-// ---- Undo / Redo ----
+function handleLabelsToggle(enabled) {
+  state.labels = enabled;
+  setLabels(enabled, state.labelPrefix, state.labelOverlay);
+  refreshLabels();
+}
 
-const MAX_UNDO = 50;
+function handleLabelPrefixChange(prefix) {
+  state.labelPrefix = prefix.trim() || "Person";
+  refreshLabels();
+}
 
-function pushUndo(photo) {
-  const snapshot = photo.faces.map((f) => ({
-    ...f,
-    box: { ...f.box },
-    landmarks: f.landmarks,
-  }));
-  photo.undoStack.push({
-    faces: snapshot,
-    selectedFaceId: photo.selectedFaceId,
-  });
-  if (photo.undoStack.length > MAX_UNDO) photo.undoStack.shift();
-  photo.redoStack = [];
-  updateUndoRedoButtons();
+function handleLabelOverlayToggle(enabled) {
+  state.labelOverlay = enabled;
+  refreshLabels();
 }
 
-function handleUndo() {
+/**
+ * Give the selected face a label of its own, or clear it (empty text) to
+ * go back to its number. Faces grouped into a person share the label
+ * across the batch.
+ */
+function handleFaceLabelChange(text) {
   const photo = getActivePhoto();
-  if (!photo || photo.undoStack.length === 0) return;
+  const face = photo?.faces.find((f) => f.id === photo.selectedFaceId);
+  if (!face) return;
+  const person = face.personId
+    ? state.people.find((p) => p.id === face.personId)
+    : null;
+  if (!person) pushUndo(photo);
+  (person || face).labelOverride = text.trim() || null;
+  refreshLabels();
+}
 
-  const current = photo.faces.map((f) => ({
-    ...f,
-    box: { ...f.box },
-    landmarks: f.landmarks,
-  }));
-  photo.redoStack.push({
-    faces: current,
-    selectedFaceId: photo.selectedFaceId,
-  });
+/**
+ * Save which label covers which face as a separate file, so the key to
+ * the labels never goes out with the photos.
+ */
+function handleLegendExport(format) {
+  const legend = collectLegend(state.photos);
+  if (legend.length === 0) {
+    showStatus("No labelled faces to export", "warning");
+    return;
+  }
+  if (format === "csv") {
+    downloadBlob(exportLegendCsv(legend), "faceblock_legend.csv");
+  } else {
+    downloadBlob(exportLegendJson(legend), "faceblock_legend.json");
+  }
+  showStatus("Label legend exported", "success");
+}
 
-  const prev = photo.undoStack.pop();
-  photo.faces = prev.faces;
-  photo.selectedFaceId = prev.selectedFaceId;
+/**
+ * Filter every photo's cached detections at a new threshold.
+ * No detection is re-run.
+ */
+function handleConfidenceChange(confidence) {
+  state.confidence = confidence;
+  for (const photo of state.photos) {
+    if (photo.status !== "detected") continue;
+    applyConfidenceFilter(photo);
+    assignPeople(photo);
+    applyFaceRules(photo);
+  }
+  updatePeoplePanel();
+  renderThumbnailStrip(state.photos, state.activePhotoId);
 
+  const photo = getActivePhoto();
+  if (!photo?.fullCanvas) return;
   renderOverlay(photo.faces, photo.selectedFaceId);
+  setFaceCount(photo.detectedFaceCount);
   updatePreview();
-  updateUndoRedoButtons();
 }
 
-function handleRedo() {
-  const photo = getActivePhoto();
-  if (!photo || photo.redoStack.length === 0) return;
+async function handleTiledToggle(enabled) {
+  state.tiledDetection = enabled;
+  await redetectActivePhoto();
+}
 
-  const current = photo.faces.map((f) => ({
-    ...f,
-    box: { ...f.box },
-    landmarks: f.landmarks,
-  }));
-  photo.undoStack.push({
-    faces: current,
-    selectedFaceId: photo.selectedFaceId,
-  });
+async function handleDetectorChange(backendId) {
+  const previous = state.detectorBackend;
+  state.detectorBackend = backendId;
 
-  const next = photo.redoStack.pop();
-  photo.faces = next.faces;
-  photo.selectedFaceId = next.selectedFaceId;
+  try {
+    await ensureModels((msg) => showStatus(msg, "info"), backendId);
+  } catch (err) {
+    console.error("Detector load error:", err);
+    state.detectorBackend = previous;
+    setDetectorBackend(previous);
+    showStatus(err.message, "error");
+    return;
+  }
 
-  renderOverlay(photo.faces, photo.selectedFaceId);
-  updatePreview();
-  updateUndoRedoButtons();
+  if (getActivePhoto()?.fullCanvas) {
+    await redetectActivePhoto();
+  } else {
+    hideStatus();
+  }
 }
 
-function updateUndoRedoButtons() {
+async function handleRotationToggle(enabled) {
   const photo = getActivePhoto();
-  setUndoRedoState(
-    photo ? photo.undoStack.length > 0 : false,
-    photo ? photo.redoStack.length > 0 : false,
-  );
+  if (!photo) return;
+  photo.detectRotated = enabled;
+  await redetectActivePhoto();
 }
 
-// ---- Format & Export ----
+/**
+ * Switch a photo between blocking faces and blocking whole people.
+ * The person detector runs the first time a photo needs it.
+ */
+async function handleBodyToggle(enabled) {
+  const photo = getActivePhoto();
+  if (!photo?.fullCanvas) return;
 
-function handleFormatChange(format, quality) {
-  state.format = format;
-  state.quality = quality;
+  if (enabled && !photo.bodies) {
+    showStatus("Finding people...", "info");
+    try {
+      photo.bodies = await findBodies(
+        photo.fullCanvas,
+        state.detectorBackend,
+        (msg) => showStatus(msg, "info"),
+      );
+    } catch (err) {
+      console.error("Person detection error:", err);
+      setBodyToggle(false);
+      showStatus("Couldn't load the person detector.", "error");
+      return;
+    }
+    hideStatus();
+  }
+
+  photo.region = enabled ? "body" : "face";
+  applyFaceRules(photo);
+  renderOverlay(photo.faces, photo.selectedFaceId);
+  updatePreview();
 }
 
-async function handleDownload() {
+// ---- Head Masks ----
+
+/**
+ * Turn head masks on or off for every photo. Faces are segmented the next
+ * time they render.
+ */
+function handleHeadMasksToggle(enabled) {
+  state.headMasks = enabled;
+  for (const photo of state.photos) applyFaceRules(photo);
+
   const photo = getActivePhoto();
-  if (!photo?.fullCanvas || photo.faces.length === 0) {
-    showStatus("No faces to process", "warning");
-    return;
+  if (photo?.fullCanvas) {
+    renderOverlay(photo.faces, photo.selectedFaceId);
+    updatePreview();
+  }
+}
+
+/**
+ * Segment the faces in a photo that don't have a head mask yet. Renders
+ * that overlap share one run; faces added or moved during it get their
+ * own run afterwards.
+ */
+async function ensureHeadMasks(photo) {
+  for (;;) {
+    const missing = photo.faces.filter((f) => !f.mask);
+    if (!state.headMasks || missing.length === 0) return;
+
+    if (!photo.masking) {
+      photo.masking = maskFaces(
+        photo.fullCanvas,
+        photo.faces,
+        state.detectorBackend,
+        (msg) => showStatus(msg, "info"),
+      ).finally(() => {
+        photo.masking = null;
+      });
+    }
+    const masked = await photo.masking;
+    hideStatus();
+
+    // Match by box: a face moved meanwhile needs a mask for its new place
+    const masks = new Map(masked.map((f) => [f.box, f.mask]));
+    for (const face of photo.faces) {
+      if (!face.mask && masks.get(face.box)) face.mask = masks.get(face.box);
+    }
+    if (missing.every((f) => !f.mask)) return; // Nothing left to segment
+  }
+}
+
+/**
+ * Render a photo with the current effect settings, segmenting heads first
+ * when head masks are on and waiting for emoji still being decoded.
+ */
+async function renderPhoto(photo) {
+  if (state.headMasks) {
+    try {
+      await ensureHeadMasks(photo);
+    } catch (err) {
+      console.error("Segmentation error:", err);
+      showStatus("Couldn't load the segmentation model.", "error");
+      state.headMasks = false;
+      setHeadMasksToggle(false);
+      for (const other of state.photos) applyFaceRules(other);
+    }
+  }
+  await state.emojiLoading;
+  return processImageAsync(
+    photo.fullCanvas,
+    photo.faces,
+    state.effectId,
+    state.intensity,
+    state.params,
+  );
+}
+
+/**
+ * Paint or erase the selected face's head mask. Each stroke is one undo
+ * step.
+ */
+function handleMaskStroke(phase, x, y, radius, erase) {
+  const photo = getActivePhoto();
+  const face = photo?.faces.find((f) => f.id === photo.selectedFaceId);
+  if (!face?.mask) return;
+
+  if (phase === "end") {
+    updatePreview();
+    return;
+  }
+  if (phase === "start") {
+    pushUndo(photo);
+    face.mask = cloneMask(face.mask); // The undo snapshot keeps the original
+  }
+  paintMask(face.mask, x, y, radius, erase);
+  renderOverlay(photo.faces, photo.selectedFaceId);
+}
+
+/**
+ * Give re-detected faces the IDs and custom labels of the faces they
+ * overlap from the last run, so labels stay with the person. Each old
+ * face passes them to at most one new face, the best match.
+ */
+function keepFaceIds(previous, detected) {
+  const claimed = new Set();
+  return detected.map((face) => {
+    let match = null;
+    let best = NMS_IOU_THRESHOLD;
+    for (const old of previous) {
+      const overlap = iou(old.box, face.box);
+      if (overlap > best && !claimed.has(old.id)) {
+        match = old;
+        best = overlap;
+      }
+    }
+    if (!match) return face;
+    claimed.add(match.id);
+    return { ...face, id: match.id, labelOverride: match.labelOverride };
+  });
+}
+
+/**
+ * Replace a photo's cached detections after a detection run and show
+ * those above the confidence threshold.
+ */
+function setDetections(photo, detected, manualFaces) {
+  photo.rawFaces = keepFaceIds(photo.rawFaces, detected);
+  photo.faces = manualFaces;
+  photo.dismissedFaceIds = new Set();
+  photo.appliedConfidence = null;
+  applyConfidenceFilter(photo);
+}
+
+/**
+ * Show the cached detections that clear the confidence threshold.
+ * Detected faces the user moved or resized keep their edits, and ones they
+ * removed stay removed, whatever the threshold.
+ */
+function applyConfidenceFilter(photo) {
+  const shown = new Map(
+    photo.faces.filter((f) => !f.manual).map((f) => [f.id, f]),
+  );
+
+  // Faces showing at the last threshold that are now gone were removed
+  for (const raw of photo.rawFaces) {
+    if (shown.has(raw.id)) {
+      photo.dismissedFaceIds.delete(raw.id);
+    } else if (
+      photo.appliedConfidence != null &&
+      clearsThreshold(raw, photo.appliedConfidence)
+    ) {
+      photo.dismissedFaceIds.add(raw.id);
+    }
+  }
+
+  // Carry edits (moved/resized boxes) back into the cache
+  photo.rawFaces = photo.rawFaces.map((f) => shown.get(f.id) || f);
+
+  const detected = photo.rawFaces.filter(
+    (f) =>
+      clearsThreshold(f, state.confidence) && !photo.dismissedFaceIds.has(f.id),
+  );
+  photo.faces = [...detected, ...photo.faces.filter((f) => f.manual)];
+  photo.detectedFaceCount = detected.length;
+  photo.appliedConfidence = state.confidence;
+
+  if (!photo.faces.some((f) => f.id === photo.selectedFaceId)) {
+    photo.selectedFaceId = null;
+  }
+}
+
+/**
+ * Whether a cached detection shows at a confidence threshold. Faces found
+ * with "Find in area" show from AREA_CONFIDENCE_THRESHOLD at the latest.
+ */
+function clearsThreshold(face, confidence) {
+  const threshold = face.fromArea
+    ? Math.min(confidence, AREA_CONFIDENCE_THRESHOLD)
+    : confidence;
+  return face.score >= threshold;
+}
+
+/**
+ * Re-run detection on the active photo with the current settings,
+ * keeping manually added faces.
+ */
+async function redetectActivePhoto() {
+  const photo = getActivePhoto();
+  if (!photo?.fullCanvas) return;
+
+  showStatus("Re-detecting faces...", "info");
+  try {
+    const manualFaces = photo.faces.filter((f) => f.manual);
+    const detected = await redetect(
+      photo.fullCanvas,
+      getDetectionSettings(photo),
+      (msg) => showStatus(msg, "info"),
+    );
+
+    setDetections(photo, detected, manualFaces);
+    assignPeople(photo);
+    applyFaceRules(photo);
+    updatePeoplePanel();
+    renderOverlay(photo.faces, photo.selectedFaceId);
+    setFaceCount(photo.detectedFaceCount);
+    renderThumbnailStrip(state.photos, state.activePhotoId);
+    updatePreview();
+    hideStatus();
+  } catch (err) {
+    console.error("Re-detection error:", err);
+    showStatus("Detection failed. Please try again.", "error");
+  }
+}
+
+/**
+ * Search a rectangle the user dragged for faces the detector missed, and
+ * add the new ones as a single undo step. Results overlapping a face
+ * already shown are dropped; hidden detections they cover are replaced.
+ */
+async function handleAreaDetect(area) {
+  const photo = getActivePhoto();
+  if (!photo?.fullCanvas) return;
+
+  showStatus("Searching the area...", "info");
+  let found;
+  try {
+    found = await detectInArea(
+      photo.fullCanvas,
+      area,
+      getDetectionSettings(photo),
+      (msg) => showStatus(msg, "info"),
+    );
+  } catch (err) {
+    console.error("Area detection error:", err);
+    showStatus("Detection failed. Please try again.", "error");
+    return;
+  }
+
+  const overlaps = (a, b) =>
+    iou(a.box, b.box) > NMS_IOU_THRESHOLD || overlapRatio(a.box, b.box) > 0.7;
+  const stamp = Date.now();
+  const added = [];
+  for (const [index, face] of found.entries()) {
+    const areaFace = { ...face, id: `area-${stamp}-${index}`, fromArea: true };
+    if (!clearsThreshold(areaFace, state.confidence)) continue;
+    if ([...photo.faces, ...added].some((f) => overlaps(f, areaFace))) continue;
+    added.push(areaFace);
+  }
+
+  if (added.length === 0) {
+    showStatus("No new faces found in that area", "info");
+    return;
+  }
+
+  pushUndo(photo);
+  photo.rawFaces = [
+    ...photo.rawFaces.filter((r) => !added.some((f) => overlaps(r, f))),
+    ...added,
+  ].sort((a, b) => b.score - a.score);
+  photo.faces = [...photo.faces, ...added];
+  applyConfidenceFilter(photo);
+
+  assignPeople(photo);
+  applyFaceRules(photo);
+  updatePeoplePanel();
+  renderOverlay(photo.faces, photo.selectedFaceId);
+  setFaceCount(photo.detectedFaceCount);
+  renderThumbnailStrip(state.photos, state.activePhotoId);
+  updatePreview();
+  showStatus(
+    `Found ${added.length} new face${added.length > 1 ? "s" : ""}`,
+    "success",
+  );
+}
+
+// ---- Face Rules ----
+
+/**
+ * Face descriptors are needed to recognise known people and to group
+ * faces into people across a batch.
+ */
+function needsDescriptors() {
+  return state.knownFaces.length > 0 || state.photos.length > 1;
+}
+
+/**
+ * Per-face extras the current settings need from detection.
+ */
+function detectionFeatures() {
+  const features = [];
+  if (needsDescriptors()) features.push("descriptors");
+  if (state.protectMinors) features.push("age");
+  return features;
+}
+
+/**
+ * A blocked face's label: its own or its person's custom label, else the
+ * prefix and a number. The number is given once, to the person when the
+ * face has one, so the same person is the same label in every photo.
+ * A face numbered before it joined a person hands its number on.
+ */
+function faceLabel(photo, face, person) {
+  const owner = person || face;
+  if (owner.labelOverride) return owner.labelOverride;
+  const faceKey = `${photo.id}/${face.id}`;
+  const key = person ? person.id : faceKey;
+  const numbers = state.labelNumbers;
+  if (!numbers.has(key)) {
+    numbers.set(key, numbers.get(faceKey) ?? state.nextLabelNumber++);
+  }
+  return `${state.labelPrefix} ${numbers.get(key)}`;
+}
+
+/**
+ * Hash a photo's file, once per photo: the detection cache and saved face
+ * seeds are both keyed by it. Null where hashing isn't available (no
+ * crypto.subtle outside secure contexts); both are then skipped.
+ */
+async function hashPhotoFile(photo) {
+  if (!photo.fileHash) {
+    try {
+      photo.fileHash = await hashFile(photo.file);
+    } catch (err) {
+      console.warn("Couldn't hash the photo file:", err);
+    }
+  }
+  return photo.fileHash;
+}
+
+/**
+ * Read the seeds saved for a photo's file. Without IndexedDB, seeds are
+ * kept for the session only.
+ */
+async function loadPhotoSeeds(photo) {
+  if (!photo.fileHash) return;
+  try {
+    photo.savedSeeds = await loadFaceSeeds(photo.fileHash);
+    photo.seedsKey = photo.fileHash;
+  } catch (err) {
+    console.warn("Saved face seeds unavailable:", err);
+  }
+}
+
+/**
+ * Save a photo's face seeds, so it renders the same after a reload.
+ * Re-detected faces find theirs again by overlap (see findSeed()).
+ */
+function savePhotoSeeds(photo) {
+  photo.savedSeeds = mergeSeeds(photo.savedSeeds, photo.faces);
+  if (!photo.seedsKey) return;
+  saveFaceSeeds(photo.seedsKey, photo.savedSeeds).catch((err) =>
+    console.warn("Face seeds not saved:", err),
+  );
+}
+
+/**
+ * Decide per face whether it stays visible and which effect it gets.
+ * A choice made for a person in the people panel wins, then the known-faces
+ * library. In protect-minors mode the rest stay visible only when clearly
+ * adult; faces the age estimate is unsure about are blocked and flagged.
+ */
+function applyFaceRules(photo) {
+  // Bodies follow their face, so keeping or removing one covers both
+  if (photo.bodies) linkBodies(photo.faces, photo.bodies);
+
+  let seedsAdded = false;
+  for (const face of photo.faces) {
+    face.region = photo.region;
+    face.coverage = face.coverageOverride || state.coverage;
+    face.maskShape = face.maskShapeOverride || state.maskShape;
+    face.maskFeather = state.maskFeather;
+    if (face.seed == null) {
+      face.seed = findSeed(photo.savedSeeds, face.box) ?? randomSeed();
+      seedsAdded = true;
+    }
+    face.clipToMask = state.headMasks;
+    if (face.descriptor) {
+      const match = matchKnownFace(
+        face.descriptor,
+        state.knownFaces,
+        state.matchThreshold,
+      );
+      face.knownFaceId = match ? match.face.id : null;
+      face.knownFaceName = match ? match.face.name : null;
+    }
+    const person = face.personId
+      ? state.people.find((p) => p.id === face.personId)
+      : null;
+    face.effectId = person?.effectId || null;
+    face.ageReview = false;
+
+    if (person?.keep != null) {
+      face.keep = person.keep;
+    } else if (face.knownFaceId) {
+      face.keep = true;
+    } else if (state.protectMinors && !face.manual) {
+      const verdict = classifyAge(
+        face.age,
+        state.minorAgeLimit,
+        AGE_SAFETY_MARGIN,
+      );
+      face.keep = verdict === "adult";
+      face.ageReview = verdict === "uncertain";
+    } else {
+      face.keep = false;
+    }
+    face.label =
+      state.labels && !face.keep ? faceLabel(photo, face, person) : null;
+    face.labelOverlay = state.labelOverlay;
+  }
+
+  if (seedsAdded) savePhotoSeeds(photo);
+  updateReviewStatus(photo);
+}
+
+/**
+ * Re-apply face rules to every photo after the library, thresholds, batch
+ * or modes changed, computing descriptors and ages for detected faces
+ * found without them.
+ * @returns {Promise<boolean>} False if the face analysis models failed to load
+ */
+async function refreshFaceMatches() {
+  const features = detectionFeatures();
+  let ok = true;
+  for (const photo of state.photos) {
+    if (!photo.fullCanvas || features.length === 0) continue;
+    const detected = photo.faces.filter((f) => !f.manual);
+    try {
+      const described = await describeFaces(
+        photo.fullCanvas,
+        detected,
+        state.detectorBackend,
+        features,
+      );
+      const byId = new Map(described.map((f) => [f.id, f]));
+      photo.faces = photo.faces.map((f) => byId.get(f.id) || f);
+    } catch (err) {
+      console.error("Face analysis error:", err);
+      showStatus("Couldn't load the face analysis models", "error");
+      ok = false;
+      break;
+    }
+  }
+
+  for (const photo of state.photos) {
+    assignPeople(photo);
+    applyFaceRules(photo);
+  }
+  updatePeoplePanel();
+
+  const photo = getActivePhoto();
+  if (photo?.fullCanvas) {
+    renderOverlay(photo.faces, photo.selectedFaceId);
+    updatePreview();
+  }
+  return ok;
+}
+
+async function handleProtectMinorsChange(enabled) {
+  state.protectMinors = enabled;
+  if (enabled && state.photos.some((p) => p.fullCanvas)) {
+    showStatus("Estimating ages...", "info");
+  }
+  const ok = await refreshFaceMatches();
+  if (enabled && ok) hideStatus();
+}
+
+async function handleMinorAgeLimitChange(limit) {
+  state.minorAgeLimit = limit;
+  await refreshFaceMatches();
+}
+
+// ---- Known Faces ----
+
+async function loadKnownFaces() {
+  try {
+    state.knownFaces = await listKnownFaces();
+  } catch (err) {
+    console.warn("Known faces unavailable:", err);
+    state.knownFaces = [];
+  }
+  renderKnownFaces(state.knownFaces);
+  if (state.knownFaces.length > 0) await refreshFaceMatches();
+}
+
+/**
+ * Add the selected face to the known-faces library.
+ */
+async function handleEnrollFace() {
+  const photo = getActivePhoto();
+  const face = photo?.faces.find((f) => f.id === photo.selectedFaceId);
+  if (!face) return;
+
+  const name = prompt("Name for this person (stored on this device only):");
+  if (name === null) return;
+
+  showStatus("Reading face...", "info");
+  let descriptor = face.descriptor;
+  try {
+    if (!descriptor) {
+      const [described] = await describeFaces(
+        photo.fullCanvas,
+        [face],
+        state.detectorBackend,
+      );
+      descriptor = described.descriptor;
+    }
+  } catch (err) {
+    console.error("Face recognition error:", err);
+    showStatus("Couldn't load the face recognition model", "error");
+    return;
+  }
+  if (!descriptor) {
+    showStatus("No recognisable face in the selected area", "warning");
+    return;
+  }
+
+  try {
+    const entry = await addKnownFace({
+      name: name.trim() || "Unnamed",
+      descriptor,
+      thumbnail: cropThumbnail(photo.fullCanvas, face.box),
+    });
+    state.knownFaces.push(entry);
+  } catch (err) {
+    console.error("Known faces error:", err);
+    showStatus("Couldn't save to the known-faces library", "error");
+    return;
+  }
+
+  renderKnownFaces(state.knownFaces);
+  await refreshFaceMatches();
+  showStatus(`${state.knownFaces.at(-1).name} will stay visible`, "success");
+}
+
+async function handleKnownFaceRemoved(id) {
+  try {
+    await removeKnownFace(id);
+  } catch (err) {
+    console.error("Known faces error:", err);
+    showStatus("Couldn't update the known-faces library", "error");
+    return;
+  }
+  state.knownFaces = state.knownFaces.filter((k) => k.id !== id);
+  renderKnownFaces(state.knownFaces);
+  await refreshFaceMatches();
+}
+
+async function handleMatchThresholdChange(value) {
+  state.matchThreshold = value;
+  await refreshFaceMatches();
+}
+
+async function handleKnownFacesExport() {
+  try {
+    const blob = await exportKnownFaces();
+    downloadBlob(blob, "faceblock_known_faces.json");
+    showStatus("Known faces exported", "success");
+  } catch (err) {
+    console.error("Known faces export error:", err);
+    showStatus("Failed to export known faces", "error");
+  }
+}
+
+async function handleKnownFacesImport(file) {
+  try {
+    const count = await importKnownFaces(file);
+    state.knownFaces = await listKnownFaces();
+    renderKnownFaces(state.knownFaces);
+    showStatus(`Imported ${count} known face${count === 1 ? "" : "s"}`, "success");
+  } catch (err) {
+    console.error("Known faces import error:", err);
+    showStatus(err.message, "error");
+    return;
+  }
+  await refreshFaceMatches();
+}
+
+async function handleKnownFacesClear() {
+  if (state.knownFaces.length === 0) return;
+  const confirmed = confirm(
+    "Delete every known face from this device? This can't be undone.",
+  );
+  if (!confirmed) return;
+
+  try {
+    await clearKnownFaces();
+  } catch (err) {
+    console.error("Known faces error:", err);
+    showStatus("Couldn't wipe the known-faces library", "error");
+    return;
+  }
+  state.knownFaces = [];
+  renderKnownFaces(state.knownFaces);
+  await refreshFaceMatches();
+  showStatus("Known faces wiped", "success");
+}
+
+// ---- Bundled Emoji ----
+
+/**
+ * Decode the bundled images of the emoji in use: the global choice and
+ * any picked for single faces. Until an image is ready its emoji draws in
+ * the system font.
+ */
+/**
+ * Decode the emoji in use, globally and per face. Each call queues behind
+ * the last, and renderPhoto() waits for the queue, so an export never draws
+ * an emoji with the system font because its image was still decoding.
+ */
+function loadEmoji() {
+  const emojis = [
+    state.params.emoji?.emoji ?? paramDefaults(getEffect("emoji")).emoji,
+  ];
+  for (const photo of state.photos) {
+    for (const face of photo.faces) {
+      const emoji = face.paramOverrides?.emoji?.emoji;
+      if (emoji) emojis.push(emoji);
+    }
+  }
+  const previous = state.emojiLoading;
+  state.emojiLoading = (async () => {
+    await previous;
+    const { images, added } = await loadEmojiImages(emojis);
+    if (!added) return;
+    await useEmojiImages(images);
+    if (getActivePhoto()?.fullCanvas) updatePreview();
+  })();
+  return state.emojiLoading;
+}
+
+// ---- Stickers ----
+
+async function loadStickers() {
+  let entries = [];
+  try {
+    entries = await listStickers();
+  } catch (err) {
+    console.warn("Sticker library unavailable:", err);
+  }
+  const decoded = await Promise.all(entries.map(withStickerImage));
+  state.stickers = decoded.filter(Boolean);
+  await refreshStickers();
+}
+
+/**
+ * Decode a library entry for rendering, or null if it can't be.
+ */
+async function withStickerImage(entry) {
+  try {
+    return { ...entry, image: await decodeSticker(entry) };
+  } catch (err) {
+    console.warn(`Sticker ${entry.name} couldn't be decoded:`, err);
+    return null;
+  }
+}
+
+/**
+ * Show the library and hand its images to the renderers.
+ */
+async function refreshStickers() {
+  renderStickers(state.stickers);
+  await useStickers(state.stickers.map(({ id, image }) => ({ id, image })));
+  if (getActivePhoto()?.fullCanvas) updatePreview();
+}
+
+/**
+ * Add PNG/SVG files to the sticker library and choose the last one added.
+ */
+async function handleStickerFilesSelected(files) {
+  let added = 0;
+  for (const file of files) {
+    try {
+      const sticker = await withStickerImage(await addSticker(file));
+      if (!sticker) throw new Error(`${file.name} couldn't be read`);
+      state.stickers.push(sticker);
+      state.params.sticker = { ...state.params.sticker, sticker: sticker.id };
+      added++;
+    } catch (err) {
+      console.error("Sticker library error:", err);
+      showStatus(err.message, "error");
+    }
+  }
+  if (added === 0) return;
+
+  await refreshStickers();
+  showStatus(`Added ${added} sticker${added === 1 ? "" : "s"}`, "success");
+}
+
+async function handleStickerRemoved(id) {
+  try {
+    await removeSticker(id);
+  } catch (err) {
+    console.error("Sticker library error:", err);
+    showStatus("Couldn't update the sticker library", "error");
+    return;
+  }
+  state.stickers = state.stickers.filter((s) => s.id !== id);
+  await refreshStickers();
+}
+
+// ---- People (batch clustering) ----
+
+/**
+ * Assign a photo's detected faces to people, creating new people for
+ * faces that match nobody yet.
+ */
+function assignPeople(photo) {
+  for (const face of photo.faces) {
+    if (face.manual || !face.descriptor || face.personId) continue;
+    let person = nearestPerson(
+      state.people,
+      face.descriptor,
+      PERSON_CLUSTER_THRESHOLD,
+    );
+    if (person) {
+      addSample(person, face.descriptor);
+      // Prefer the clearest face as the representative crop
+      if (photo.fullCanvas && face.score > person.thumbnailScore) {
+        person.thumbnail = cropThumbnail(photo.fullCanvas, face.box);
+        person.thumbnailScore = face.score;
+      }
+    } else {
+      person = createPerson(
+        face.descriptor,
+        photo.fullCanvas ? cropThumbnail(photo.fullCanvas, face.box) : null,
+        face.score,
+      );
+      state.people.push(person);
+    }
+    face.personId = person.id;
+  }
+}
+
+/**
+ * Re-render the people panel. People with no faces left (photo removed,
+ * face deleted) are hidden but kept, so undo can bring them back.
+ * The panel only shows in batch mode.
+ */
+function updatePeoplePanel() {
+  const counts = countMembers(state.photos);
+
+  if (state.photos.length <= 1) {
+    renderPeople([]);
+    return;
+  }
+
+  // A person shows as visible when every one of their faces is kept
+  const blocked = new Set();
+  for (const photo of state.photos) {
+    for (const face of photo.faces) {
+      if (face.personId && !face.keep) blocked.add(face.personId);
+    }
+  }
+  const people = state.people
+    .filter((p) => counts.has(p.id))
+    .map((p) => ({
+      id: p.id,
+      thumbnail: p.thumbnail,
+      count: counts.get(p.id),
+      keep: !blocked.has(p.id),
+      effectId: p.effectId,
+    }))
+    .sort((a, b) => b.count - a.count);
+  renderPeople(people);
+}
+
+/**
+ * Apply a person's changed settings in every photo.
+ */
+function applyPersonChange() {
+  for (const photo of state.photos) applyFaceRules(photo);
+  updatePeoplePanel();
+
+  const photo = getActivePhoto();
+  if (photo?.fullCanvas) {
+    renderOverlay(photo.faces, photo.selectedFaceId);
+    updatePreview();
+  }
+}
+
+function handlePersonKeepToggle(personId, keep) {
+  const person = state.people.find((p) => p.id === personId);
+  if (!person) return;
+  person.keep = keep;
+  applyPersonChange();
+}
+
+function handlePersonEffectChange(personId, effectId) {
+  const person = state.people.find((p) => p.id === personId);
+  if (!person) return;
+  person.effectId = effectId || null;
+  applyPersonChange();
+}
+
+// ---- Canvas Interaction Handlers ----
+
+function getDefaultFaceSize() {
+  const photo = getActivePhoto();
+  if (!photo?.fullCanvas) return 100;
+
+  const minDim = Math.min(photo.fullCanvas.width, photo.fullCanvas.height);
+  const minSize = Math.max(minDim * 0.12, 100);
+
+  const detectedFaces = photo.faces.filter((f) => !f.manual);
+  if (detectedFaces.length === 0) {
+    return Math.max(minDim * MANUAL_REGION_RATIO, minSize);
+  }
+  const sizes = detectedFaces
+    .map((f) => Math.max(f.box.width, f.box.height))
+    .sort((a, b) => a - b);
+  return Math.max(sizes[Math.floor(sizes.length / 2)], minSize);
+}
+
+function handleCanvasClick(x, y) {
+  const photo = getActivePhoto();
+  if (!photo?.fullCanvas) return;
+
+  const hit = (b) =>
+    x >= b.x && x <= b.x + b.width && y >= b.y && y <= b.y + b.height;
+  const clickedFace =
+    photo.faces.find((f) => hit(f.box)) ||
+    photo.faces.find((f) => f.region === "body" && f.body && hit(f.body));
+
+  if (clickedFace) {
+    photo.selectedFaceId = clickedFace.id;
+  } else if (photo.selectedFaceId) {
+    photo.selectedFaceId = null;
+  } else {
+    pushUndo(photo);
+    const size = getDefaultFaceSize();
+    const cw = photo.fullCanvas.width;
+    const ch = photo.fullCanvas.height;
+    const newFace = {
+      id: `manual-${Date.now()}`,
+      box: {
+        x: Math.max(0, Math.min(x - size / 2, cw - size)),
+        y: Math.max(0, Math.min(y - size / 2, ch - size)),
+        width: size,
+        height: size,
+      },
+      score: 1,
+      landmarks: null,
+      manual: true,
+    };
+    photo.faces.push(newFace);
+    photo.selectedFaceId = newFace.id;
+    applyFaceRules(photo); // Links the region to a body in whole-person mode
+    refitLandmarks(photo, newFace);
   }
 
-  showStatus("Preparing image...", "info");
+  renderOverlay(photo.faces, photo.selectedFaceId);
+  updatePreview();
+}
+
+function handleFaceDrawn(box) {
+  const photo = getActivePhoto();
+  if (!photo?.fullCanvas) return;
+  pushUndo(photo);
+  const newFace = {
+    id: `manual-${Date.now()}`,
+    box,
+    score: 1,
+    landmarks: null,
+    manual: true,
+  };
+  photo.faces.push(newFace);
+  photo.selectedFaceId = newFace.id;
+  applyFaceRules(photo); // Links the region to a body in whole-person mode
+  renderOverlay(photo.faces, photo.selectedFaceId);
+  updatePreview();
+  refitLandmarks(photo, newFace);
+}
+
+function handleFaceMoved(faceId, newBox) {
+  const photo = getActivePhoto();
+  if (!photo) return;
+  const face = photo.faces.find((f) => f.id === faceId);
+  if (!face) return;
+  pushUndo(photo);
+  if (face.mask) face.mask = fitMaskToBox(face.mask, face.box, newBox);
+  face.box = newBox;
+  if (face.manual) {
+    face.landmarks = null; // Stale for the new box until refitted
+    refitLandmarks(photo, face);
+  }
+  renderOverlay(photo.faces, photo.selectedFaceId);
+  updatePreview();
+}
+
+function handleFaceResized(faceId, newBox) {
+  const photo = getActivePhoto();
+  if (!photo) return;
+  const face = photo.faces.find((f) => f.id === faceId);
+  if (!face) return;
+  pushUndo(photo);
+  if (face.mask) face.mask = fitMaskToBox(face.mask, face.box, newBox);
+  face.box = newBox;
+  if (face.manual) {
+    face.landmarks = null; // Stale for the new box until refitted
+    refitLandmarks(photo, face);
+  }
+  renderOverlay(photo.faces, photo.selectedFaceId);
+  updatePreview();
+}
+
+/**
+ * Turn a manual region; effects draw in its rotated frame.
+ * @param {number} roll - Radians, clockwise
+ */
+function handleFaceRotated(faceId, roll) {
+  const photo = getActivePhoto();
+  if (!photo) return;
+  const face = photo.faces.find((f) => f.id === faceId);
+  if (!face) return;
+  pushUndo(photo);
+  face.roll = roll;
+  renderOverlay(photo.faces, photo.selectedFaceId);
+  updatePreview();
+}
+
+/**
+ * Fit landmarks to a manual region after it was added, moved or resized,
+ * so landmark effects work on it too. Runs in the background; the result
+ * is dropped if the box changed again meanwhile.
+ */
+async function refitLandmarks(photo, face) {
+  const box = face.box;
+  let fitted;
   try {
-    const processed = processImage(
+    [fitted] = await fitLandmarks(
       photo.fullCanvas,
-      photo.faces,
-      state.effectId,
-      state.intensity,
-      state.options,
+      [face],
+      state.detectorBackend,
+    );
+  } catch (err) {
+    console.warn("Landmark fitting failed:", err);
+    return;
+  }
+
+  const current = photo.faces.find((f) => f.id === face.id);
+  if (!current || current.box !== box || !fitted.landmarks) return;
+  current.landmarks = fitted.landmarks;
+  current.landmarkQuality = fitted.landmarkQuality;
+
+  if (photo.id === state.activePhotoId) {
+    renderOverlay(photo.faces, photo.selectedFaceId);
+    updatePreview();
+  }
+}
+
+/**
+ * Turn fitted landmarks on or off for the selected face.
+ */
+function handleLandmarksToggle(enabled) {
+  const photo = getActivePhoto();
+  const face = photo?.faces.find((f) => f.id === photo.selectedFaceId);
+  if (!face) return;
+  pushUndo(photo);
+  face.useLandmarks = enabled;
+  renderOverlay(photo.faces, photo.selectedFaceId);
+  updatePreview();
+}
+
+function handleFaceRemoved() {
+  const photo = getActivePhoto();
+  if (!photo?.selectedFaceId) return;
+  const face = photo.faces.find((f) => f.id === photo.selectedFaceId);
+  const idx = photo.faces.indexOf(face);
+  if (idx >= 0) {
+    pushUndo(photo);
+    photo.faces.splice(idx, 1);
+    photo.selectedFaceId = null;
+    updateReviewStatus(photo);
+    updatePeoplePanel();
+    renderOverlay(photo.faces, photo.selectedFaceId);
+    updatePreview();
+  }
+}
+
+// ---- Review Queue ----
+
+/**
+ * What still needs the user's eye in a photo: ids of detected faces scoring
+ * below the review threshold, or [null] for a photo where nothing was found.
+ * Faces the user drew, kept visible or already confirmed don't count.
+ */
+function pendingReview(photo) {
+  if (photo.status !== "detected") return [];
+  if (photo.faces.length === 0) return photo.emptyConfirmed ? [] : [null];
+  return photo.faces
+    .filter(
+      (f) =>
+        !f.manual && !f.keep && !f.reviewed && f.score < state.reviewThreshold,
+    )
+    .map((f) => f.id);
+}
+
+function updateReviewStatus(photo) {
+  photo.reviewed =
+    photo.status === "detected" && pendingReview(photo).length === 0;
+}
+
+/**
+ * Step through uncertain faces and photos with no faces, starting at the
+ * active photo. Each is zoomed in and confirmed or rejected in the review bar.
+ */
+async function handleReviewStart() {
+  state.reviewing = true;
+  await showNextReviewItem();
+}
+
+async function showNextReviewItem() {
+  if (!state.reviewing) return;
+  const start = Math.max(
+    0,
+    state.photos.findIndex((p) => p.id === state.activePhotoId),
+  );
+  const ordered = [
+    ...state.photos.slice(start),
+    ...state.photos.slice(0, start),
+  ];
+  const photo = ordered.find((p) => pendingReview(p).length > 0);
+  if (!photo) {
+    endReview();
+    renderThumbnailStrip(state.photos, state.activePhotoId);
+    const waiting = state.photos.some(
+      (p) => p.status === "pending" || p.status === "loading",
+    );
+    showStatus(
+      waiting ? "Reviewed every photo scanned so far" : "All photos reviewed",
+      "success",
     );
+    return;
+  }
+
+  if (photo.id !== state.activePhotoId || !photo.fullCanvas) {
+    await switchToPhoto(photo.id);
+    if (!state.reviewing) return; // Stopped while the photo loaded
+    if (!photo.fullCanvas) {
+      // Failed to load, or re-detected with nothing left to review
+      await showNextReviewItem();
+      return;
+    }
+  }
+
+  const pending = pendingReview(photo);
+  if (pending.length === 0) {
+    await showNextReviewItem();
+    return;
+  }
+  const face = photo.faces.find((f) => f.id === pending[0]) || null;
+  photo.selectedFaceId = face?.id || null;
+  renderOverlay(photo.faces, photo.selectedFaceId);
+  setPreviewZoom(face?.box || null);
+  renderReviewItem({
+    score: face ? face.score : null,
+    remaining: state.photos.reduce((n, p) => n + pendingReview(p).length, 0),
+    filename: photo.originalFilename,
+  });
+}
+
+function handleReviewConfirm() {
+  const photo = getActivePhoto();
+  if (!state.reviewing || !photo) return;
+  const face = photo.faces.find((f) => f.id === photo.selectedFaceId);
+  if (face) {
+    face.reviewed = true;
+  } else if (photo.faces.length === 0) {
+    photo.emptyConfirmed = true;
+  }
+  updateReviewStatus(photo);
+  renderThumbnailStrip(state.photos, state.activePhotoId);
+  showNextReviewItem();
+}
+
+/**
+ * Reject the item under review: remove the face, or for a photo with no
+ * faces, stop so the user can add them.
+ */
+function handleReviewReject() {
+  const photo = getActivePhoto();
+  if (!state.reviewing || !photo) return;
+  if (photo.faces.length === 0) {
+    endReview();
+    showStatus("Tap the faces to add them, or use Find in area", "info");
+    return;
+  }
+  handleFaceRemoved();
+  renderThumbnailStrip(state.photos, state.activePhotoId);
+  showNextReviewItem();
+}
+
+function endReview() {
+  if (!state.reviewing) return;
+  state.reviewing = false;
+  setPreviewZoom(null);
+  renderReviewItem(null);
+}
+
+function handleReviewThresholdChange(value) {
+  state.reviewThreshold = value;
+  for (const photo of state.photos) updateReviewStatus(photo);
+  renderThumbnailStrip(state.photos, state.activePhotoId);
+}
+
+function handleRequireReviewToggle(enabled) {
+  state.requireReview = enabled;
+}
+
+/**
+ * With review required, start the review instead of saving while any of
+ * the given photos still has something in it.
+ * @returns {boolean} True if saving may go ahead
+ */
+function checkReviewed(photos) {
+  if (!state.requireReview) return true;
+  if (photos.every((p) => p.reviewed || p.status === "error")) return true;
+  showStatus("Review the uncertain faces before saving", "warning");
+  handleReviewStart();
+  return false;
+}
+
+// ---- Undo / Redo ----
+
+const MAX_UNDO = 50;
+
+/**
+ * A photo's face state for the undo stacks. Faces are copied shallowly;
+ * rawFaces is only ever replaced, never changed in place, so it is kept by
+ * reference. Edits that rewrite the detection cache (area detect) are
+ * undone with it.
+ */
+function faceSnapshot(photo) {
+  return {
+    faces: photo.faces.map((f) => ({
+      ...f,
+      box: { ...f.box },
+      landmarks: f.landmarks,
+    })),
+    rawFaces: photo.rawFaces,
+    dismissedFaceIds: new Set(photo.dismissedFaceIds),
+    detectedFaceCount: photo.detectedFaceCount,
+    selectedFaceId: photo.selectedFaceId,
+  };
+}
+
+function restoreSnapshot(photo, snapshot) {
+  photo.faces = snapshot.faces;
+  photo.rawFaces = snapshot.rawFaces;
+  photo.dismissedFaceIds = snapshot.dismissedFaceIds;
+  photo.detectedFaceCount = snapshot.detectedFaceCount;
+  photo.selectedFaceId = snapshot.selectedFaceId;
+  // Person choices may have changed since the snapshot
+  applyFaceRules(photo);
+  savePhotoSeeds(photo); // Undo may bring back an earlier seed
+  updatePeoplePanel();
+
+  renderOverlay(photo.faces, photo.selectedFaceId);
+  setFaceCount(photo.detectedFaceCount);
+  renderThumbnailStrip(state.photos, state.activePhotoId);
+  updatePreview();
+  updateUndoRedoButtons();
+}
+
+function pushUndo(photo) {
+  photo.undoStack.push(faceSnapshot(photo));
+  if (photo.undoStack.length > MAX_UNDO) photo.undoStack.shift();
+  photo.redoStack = [];
+  updateUndoRedoButtons();
+}
+
+function handleUndo() {
+  const photo = getActivePhoto();
+  if (!photo || photo.undoStack.length === 0) return;
+
+  photo.redoStack.push(faceSnapshot(photo));
+  restoreSnapshot(photo, photo.undoStack.pop());
+}
+
+function handleRedo() {
+  const photo = getActivePhoto();
+  if (!photo || photo.redoStack.length === 0) return;
+
+  photo.undoStack.push(faceSnapshot(photo));
+  restoreSnapshot(photo, photo.redoStack.pop());
+}
+
+function updateUndoRedoButtons() {
+  const photo = getActivePhoto();
+  setUndoRedoState(
+    photo ? photo.undoStack.length > 0 : false,
+    photo ? photo.redoStack.length > 0 : false,
+  );
+}
+
+// ---- Format & Export ----
+
+function handleFormatChange(format, quality) {
+  state.format = format;
+  state.quality = quality;
+}
+
+async function handleDownload() {
+  const photo = getActivePhoto();
+  if (!photo?.fullCanvas || photo.faces.length === 0) {
+    showStatus("No faces to process", "warning");
+    return;
+  }
+  if (!checkReviewed([photo])) return;
+
+  showStatus("Preparing image...", "info");
+  try {
+    const processed = await renderPhoto(photo);
 
     const filename = await exportImage(
       processed,
@@ -617,15 +2129,10 @@ async function handleShare() {
     showStatus("No faces to process", "warning");
     return;
   }
+  if (!checkReviewed([photo])) return;
 
   try {
-    const processed = processImage(
-      photo.fullCanvas,
-      photo.faces,
-      state.effectId,
-      state.intensity,
-      state.options,
-    );
+    const processed = await renderPhoto(photo);
 
     const mimeType = state.format === "jpeg" ? "image/jpeg" : "image/png";
     const ext = state.format === "jpeg" ? ".jpg" : ".png";
@@ -654,10 +2161,20 @@ async function handleDownloadAll() {
     return;
   }
 
+  if (state.requireReview) {
+    // Photos not yet detected can't have been reviewed
+    for (const photo of state.photos) {
+      if (photo.status === "pending") await processPhoto(photo);
+    }
+    if (!checkReviewed(state.photos)) return;
+  }
+
   const zip = new JSZip();
   const total = state.photos.length;
   let completed = 0;
   const usedNames = new Set();
+  // Photos that failed to load or render are left out and reported
+  const failed = [];
 
   showStatus(`Processing 0/${total}...`, "info");
 
@@ -667,20 +2184,24 @@ async function handleDownloadAll() {
       await processPhoto(photo);
     }
     if (!photo.fullCanvas) {
+      failed.push(photo.originalFilename);
       completed++;
-      continue; // Skip errored photos
+      continue;
     }
 
-    const processed = processImage(
-      photo.fullCanvas,
-      photo.faces,
-      state.effectId,
-      state.intensity,
-      state.options,
-    );
-
     const mimeType = state.format === "jpeg" ? "image/jpeg" : "image/png";
     const ext = state.format === "jpeg" ? ".jpg" : ".png";
+    let blob;
+    try {
+      const processed = await renderPhoto(photo);
+      blob = await exportAsBlob(processed, mimeType, state.quality);
+    } catch (err) {
+      console.error(`Export error for ${photo.originalFilename}:`, err);
+      failed.push(photo.originalFilename);
+      completed++;
+      continue;
+    }
+
     const baseName = photo.originalFilename.replace(/\.[^.]+$/, "");
     let filename = `faceblock_${baseName}${ext}`;
 
@@ -691,20 +2212,31 @@ async function handleDownloadAll() {
       counter++;
     }
     usedNames.add(filename);
-
-    const blob = await exportAsBlob(processed, mimeType, state.quality);
     zip.file(filename, blob);
 
     completed++;
     showStatus(`Processing ${completed}/${total}...`, "info");
   }
 
+  const saved = total - failed.length;
+  if (saved === 0) {
+    showStatus("Failed to save any photos. Please try again.", "error");
+    return;
+  }
+
   showStatus("Creating ZIP...", "info");
   try {
     const zipBlob = await zip.generateAsync({ type: "blob" });
     downloadBlob(zipBlob, "faceblock_photos.zip");
     state.hasDownloaded = true;
-    showStatus(`Saved ${total} photos`, "success");
+    if (failed.length > 0) {
+      showStatus(
+        `Saved ${saved} of ${total} photos. Couldn't save: ${failed.join(", ")}`,
+        "warning",
+      );
+    } else {
+      showStatus(`Saved ${total} photos`, "success");
+    }
   } catch (err) {
     console.error("ZIP error:", err);
     showStatus("Failed to create ZIP file", "error");
@@ -720,28 +2252,39 @@ function handleNewPhoto() {
     );
     if (!confirmed) return;
   }
+  for (const photo of state.photos) releaseImage(photo.fullCanvas);
   state.photos = [];
+  state.people = [];
+  state.labelNumbers.clear();
+  state.nextLabelNumber = 1;
   state.activePhotoId = null;
   state.hasDownloaded = false;
+  state.reviewing = false;
+  renderPeople([]);
   resetUI();
 }
 
 // ---- Preview Update ----
 
-function updatePreview() {
+// Incremented per preview request so slower, stale renders are dropped
+let previewToken = 0;
+
+async function updatePreview() {
   const photo = getActivePhoto();
   if (!photo?.fullCanvas || photo.faces.length === 0) return;
 
-  const processed = processImage(
-    photo.fullCanvas,
-    photo.faces,
-    state.effectId,
-    state.intensity,
-    state.options,
-  );
-  photo.processedCanvas = processed;
-  renderResult(processed);
-  renderOverlay(photo.faces, photo.selectedFaceId);
+  const token = ++previewToken;
+  try {
+    const processed = await renderPhoto(photo);
+    if (token !== previewToken || photo.id !== state.activePhotoId) return;
+
+    photo.processedCanvas = processed;
+    renderResult(processed);
+    renderOverlay(photo.faces, photo.selectedFaceId);
+  } catch (err) {
+    console.error("Preview error:", err);
+    showStatus("Failed to render preview", "error");
+  }
 }
 
 // Initialize when DOM is ready
@@ -148,9 +148,7 @@ export function createDetectionCanvas(sourceCanvas) {
   }
 
   const scale = maxDim / Math.max(w, h);
-  const canvas = document.createElement("canvas");
-  canvas.width = Math.round(w * scale);
-  canvas.height = Math.round(h * scale);
+  const canvas = createCanvas(Math.round(w * scale), Math.round(h * scale));
 
   const ctx = canvas.getContext("2d");
   ctx.drawImage(sourceCanvas, 0, 0, canvas.width, canvas.height);
@@ -186,13 +184,52 @@ export function downloadBlob(blob, filename) {
  * Clone a canvas with its content.
  */
 export function cloneCanvas(source) {
-  const canvas = document.createElement("canvas");
-  canvas.width = source.width;
-  canvas.height = source.height;
+  const canvas = createCanvas(source.width, source.height);
   canvas.getContext("2d").drawImage(source, 0, 0);
   return canvas;
 }
 
+/**
+ * Create a blank canvas of the given size.
+ * Falls back to OffscreenCanvas where there is no DOM (the processing worker).
+ */
+export function createCanvas(width, height) {
+  if (typeof document === "undefined") {
+    return new OffscreenCanvas(width, height);
+  }
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
+/**
+ * Copy a canvas rotated clockwise by quarterTurns × 90°.
+ */
+export function rotateCanvas(source, quarterTurns) {
+  const turns = ((quarterTurns % 4) + 4) % 4;
+  const swap = turns % 2 === 1;
+  const canvas = createCanvas(
+    swap ? source.height : source.width,
+    swap ? source.width : source.height,
+  );
+  const ctx = canvas.getContext("2d");
+  ctx.translate(canvas.width / 2, canvas.height / 2);
+  ctx.rotate((turns * Math.PI) / 2);
+  ctx.drawImage(source, -source.width / 2, -source.height / 2);
+  return canvas;
+}
+
+/**
+ * Draw an ImageBitmap onto a new canvas and release the bitmap.
+ */
+export function canvasFromBitmap(bitmap) {
+  const canvas = createCanvas(bitmap.width, bitmap.height);
+  canvas.getContext("2d").drawImage(bitmap, 0, 0);
+  bitmap.close();
+  return canvas;
+}
+
 /**
  * Generate a small thumbnail data URL from a File.
  */
@@ -216,3 +253,20 @@ export function generateThumbnail(file, maxSize = THUMBNAIL_SIZE) {
     img.src = url;
   });
 }
+
+/**
+ * Crop a box out of a canvas into a small square JPEG data URL,
+ * e.g. a known-face thumbnail.
+ */
+export function cropThumbnail(sourceCanvas, box, size = THUMBNAIL_SIZE) {
+  const canvas = document.createElement("canvas");
+  canvas.width = size;
+  canvas.height = size;
+  const side = Math.max(box.width, box.height);
+  const sx = box.x + box.width / 2 - side / 2;
+  const sy = box.y + box.height / 2 - side / 2;
+  canvas
+    .getContext("2d")
+    .drawImage(sourceCanvas, sx, sy, side, side, 0, 0, size, size);
+  return canvas.toDataURL("image/jpeg", 0.8);
+}
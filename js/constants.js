@@ -1,7 +1,9 @@
 // Faceblock constants and configuration
 
-export const MODEL_BASE_URL =
-  "https://cdn.jsdelivr.net/npm/@vladmandic/face-api@1.7.14/model";
+// Model weights are served from the app's own origin (see models/) so the
+// app never needs a third-party host. Override per deployment with
+// <meta name="faceblock-model-base" content="..."> in app.html.
+export const MODEL_BASE_URL = "models";
 export const MAX_IMAGE_DIMENSION = 4096;
 export const DETECTION_MAX_DIMENSION = 1600;
 export const MAX_FILE_SIZE_MB = 50;
@@ -10,119 +12,135 @@ export const MAX_PHOTOS = 20;
 export const MAX_LOADED_CANVASES = 3;
 export const THUMBNAIL_SIZE = 80;
 
-// SSD MobileNet v1 presets (minConfidence controls detection threshold)
+// Detection passes. Both run at a low threshold: every scored result is
+// cached per photo and the confidence slider filters them afterwards,
+// without re-running the model.
+// "tiled" adds full-resolution tile passes for tiny faces in large photos.
+// "area" searches a user-drawn rectangle at full resolution.
 export const SENSITIVITY_PRESETS = {
-  low: { minConfidence: 0.5 },
-  medium: { minConfidence: 0.3 },
-  high: { minConfidence: 0.15 },
+  scan: { minConfidence: 0.1 },
+  tiled: { minConfidence: 0.1, tiled: true },
+  area: { minConfidence: 0.1 },
 };
 
-export const EMOJI_OPTIONS = [
-  "😀",
-  "😎",
-  "🤡",
-  "👽",
-  "🤖",
-  "💀",
-  "🎭",
-  "🐱",
-  "🐶",
-  "🦊",
-  "🐻",
-  "🐼",
-  "🌟",
-  "🔥",
-  "🙈",
-  "🎃",
-  "😈",
-  "🥸",
-  "👾",
-  "🤠",
-];
-
-export const EFFECTS = [
-  {
-    id: "blur",
-    name: "Blur",
-    icon: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10" opacity=".3"/><circle cx="12" cy="12" r="7" opacity=".5"/><circle cx="12" cy="12" r="4"/></svg>`,
-    requiresLandmarks: false,
-    defaultIntensity: 70,
-    description: "Gaussian blur",
-  },
-  {
-    id: "pixelate",
-    name: "Pixelate",
-    icon: `<svg viewBox="0 0 24 24" fill="currentColor"><rect x="2" y="2" width="5" height="5"/><rect x="9" y="2" width="5" height="5" opacity=".7"/><rect x="16" y="2" width="5" height="5"/><rect x="2" y="9" width="5" height="5" opacity=".7"/><rect x="9" y="9" width="5" height="5"/><rect x="16" y="9" width="5" height="5" opacity=".7"/><rect x="2" y="16" width="5" height="5"/><rect x="9" y="16" width="5" height="5" opacity=".7"/><rect x="16" y="16" width="5" height="5"/></svg>`,
-    requiresLandmarks: false,
-    defaultIntensity: 50,
-    description: "Mosaic blocks",
-  },
-  {
-    id: "black-bar-eyes",
-    name: "Eye Bar",
-    icon: `<svg viewBox="0 0 24 24" fill="currentColor"><rect x="2" y="9" width="20" height="6" rx="1"/></svg>`,
-    requiresLandmarks: true,
-    defaultIntensity: 60,
-    description: "Black bar on eyes",
-  },
-  {
-    id: "blackout",
-    name: "Blackout",
-    icon: `<svg viewBox="0 0 24 24" fill="currentColor"><circle cx="12" cy="12" r="10"/></svg>`,
-    requiresLandmarks: false,
-    defaultIntensity: 100,
-    description: "Solid black face",
-  },
-  {
-    id: "emoji",
-    name: "Emoji",
-    icon: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><path d="M8 14s1.5 2 4 2 4-2 4-2"/><line x1="9" y1="9" x2="9.01" y2="9" stroke-width="3" stroke-linecap="round"/><line x1="15" y1="9" x2="15.01" y2="9" stroke-width="3" stroke-linecap="round"/></svg>`,
-    requiresLandmarks: false,
-    defaultIntensity: 60,
-    description: "Emoji overlay",
-  },
-  {
-    id: "solid-color",
-    name: "Color",
-    icon: `<svg viewBox="0 0 24 24" fill="currentColor"><rect x="3" y="3" width="18" height="18" rx="4" fill="var(--accent)"/></svg>`,
-    requiresLandmarks: false,
-    defaultIntensity: 100,
-    description: "Solid color fill",
-  },
-  {
-    id: "glitch",
-    name: "Glitch",
-    icon: `<svg viewBox="0 0 24 24" fill="currentColor"><rect x="2" y="3" width="20" height="3"/><rect x="5" y="8" width="14" height="3" fill="var(--error)"/><rect x="0" y="13" width="18" height="3"/><rect x="6" y="18" width="16" height="3" fill="var(--accent)"/></svg>`,
-    requiresLandmarks: false,
-    defaultIntensity: 60,
-    description: "Digital glitch",
-  },
-  {
-    id: "swirl",
-    name: "Swirl",
-    icon: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M12 12c0-3 2.5-5 5-5s4 2 4 4-1.5 3-3 3-2.5-1-2.5-2.5S17 9 18 9"/><path d="M12 12c0 3-2.5 5-5 5s-4-2-4-4 1.5-3 3-3 2.5 1 2.5 2.5S7 15 6 15"/></svg>`,
-    requiresLandmarks: false,
-    defaultIntensity: 60,
-    description: "Spiral distortion",
+// Confidence slider default: detected faces scoring below it are hidden
+export const DEFAULT_CONFIDENCE_THRESHOLD = 0.3;
+
+// Review queue: detected faces scoring below this are stepped through for
+// confirmation before export, each zoomed in up to REVIEW_ZOOM_MAX times
+export const DEFAULT_REVIEW_THRESHOLD = 0.6;
+export const REVIEW_ZOOM_MAX = 4;
+
+// Faces found with "Find in area" were searched for on purpose, so they
+// show from this score even when the slider is set higher
+export const AREA_CONFIDENCE_THRESHOLD = 0.15;
+
+// Detector backend used until the user picks another (see detector-backends.js)
+export const DEFAULT_DETECTOR_BACKEND = "ssd";
+
+// Tiled detection: tile edge and overlap in full-res pixels.
+// Overlap must exceed the largest face a tile pass is expected to find;
+// bigger faces are covered by the global pass.
+export const DETECTION_TILE_SIZE = 800;
+export const DETECTION_TILE_OVERLAP = 160;
+export const NMS_IOU_THRESHOLD = 0.4;
+
+// Persistent detection cache (see detection-cache.js). Bump the version
+// whenever detection output changes shape or meaning.
+export const DETECTION_CACHE_VERSION = 2;
+export const DETECTION_CACHE_MAX_ENTRIES = 500;
+export const DETECTION_CACHE_MAX_BYTES = 50 * 1024 * 1024;
+
+// Saved face seeds (see face-seeds.js): photos kept, oldest dropped first
+export const FACE_SEEDS_MAX_ENTRIES = 1000;
+
+// Known-faces matching: maximum descriptor distance counted as the same
+// person. face-api.js suggests 0.6; lower is stricter.
+export const KNOWN_FACE_MATCH_THRESHOLD = 0.5;
+
+// Batch mode: maximum distance from a person's mean descriptor for a face
+// to be grouped with them across photos.
+export const PERSON_CLUSTER_THRESHOLD = 0.5;
+
+// Protect-minors mode: default age limit, and the extra years the low end
+// of an age estimate must clear it by before a face is left visible.
+export const DEFAULT_MINOR_AGE_LIMIT = 18;
+export const AGE_SAFETY_MARGIN = 2;
+
+// Whole-person mode (see person-detector.js): minimum person score, padding
+// added around each body box as a fraction of its size, and how far (in face
+// sizes) a body's head may be from a face for the two to be linked.
+export const PERSON_MIN_SCORE = 0.2;
+export const BODY_PADDING = 0.08;
+export const BODY_LINK_MAX_DISTANCE = 1.5;
+
+// Landmarks for manual regions: each box is re-run shifted diagonally by
+// this fraction of its size, and the mean landmark movement (in face sizes)
+// maps to quality 1 at GOOD and 0 at BAD. Landmark effects use them from
+// LANDMARK_MIN_QUALITY up.
+export const LANDMARK_JITTER = 0.05;
+export const LANDMARK_SPREAD_GOOD = 0.025;
+export const LANDMARK_SPREAD_BAD = 0.08;
+export const LANDMARK_MIN_QUALITY = 0.5;
+
+// Rotating a manual region snaps upright within ROLL_SNAP radians
+export const ROLL_SNAP = Math.PI / 36;
+
+// How much around each face effects cover (see coverageBox() in
+// geometry.js). Padding is in face heights (top, bottom) and face widths
+// (side, each way). A turned head shows more of its far side, which gets
+// up to `far` face widths more at 90° yaw.
+export const COVERAGE_PRESETS = {
+  face: {
+    name: "Tight face",
+    padding: { top: 0, bottom: 0, side: 0, far: 0.3 },
   },
-  {
-    id: "silhouette",
-    name: "Silhouette",
-    icon: `<svg viewBox="0 0 24 24" fill="currentColor"><ellipse cx="12" cy="10" rx="7" ry="9" opacity=".8"/></svg>`,
-    requiresLandmarks: true,
-    defaultIntensity: 80,
-    description: "Dark silhouette",
+  head: {
+    name: "Full head",
+    padding: { top: 0.9, bottom: 0.1, side: 0.2, far: 0.5 },
   },
-  {
-    id: "redact",
-    name: "Redact",
-    icon: `<svg viewBox="0 0 24 24" fill="currentColor"><rect x="2" y="4" width="20" height="16" rx="1"/><line x1="4" y1="8" x2="20" y2="8" stroke="rgba(255,255,255,.1)" stroke-width="1"/><line x1="4" y1="12" x2="20" y2="12" stroke="rgba(255,255,255,.1)" stroke-width="1"/><line x1="4" y1="16" x2="20" y2="16" stroke="rgba(255,255,255,.1)" stroke-width="1"/></svg>`,
-    requiresLandmarks: false,
-    defaultIntensity: 100,
-    description: "Document redaction",
+  shoulders: {
+    name: "Head and shoulders",
+    padding: { top: 0.9, bottom: 1.4, side: 1, far: 0.5 },
   },
-];
+};
+export const DEFAULT_COVERAGE = "face";
+
+// Head masks (see segmentation.js): width of the soft mask edge, as a
+// fraction of face size
+export const MASK_FEATHER = 0.04;
+
+// Mask shapes any effect can be drawn through (see applyShapedEffect() in
+// effects.js). "auto" leaves each effect its own outline; "contour" follows
+// the landmark face outline and falls back to an oval without landmarks.
+export const MASK_SHAPES = {
+  auto: { name: "Effect's own" },
+  ellipse: { name: "Oval" },
+  rectangle: { name: "Rectangle" },
+  rounded: { name: "Rounded rectangle" },
+  contour: { name: "Face outline" },
+};
+export const DEFAULT_MASK_SHAPE = "auto";
+
+// Widest soft edge for mask shapes, as a fraction of face size
+export const MAX_SHAPE_FEATHER = 0.2;
+
+// Secure blur and pixelate: the pixels under a face are first replaced by
+// their average colour, and noise of up to SECURE_NOISE levels is added so
+// the result isn't a flat fill
+export const SECURE_NOISE = 24;
+
+// Effect used until the user picks another (see effect-registry.js)
+export const DEFAULT_EFFECT = "blur";
+
+// Sticker library (see sticker-library.js): accepted file types, largest
+// file accepted, and the longest side stickers are decoded at
+export const STICKER_TYPES = ["image/png", "image/svg+xml"];
+export const STICKER_MAX_BYTES = 2 * 1024 * 1024;
+export const STICKER_SIZE = 512;
 
-export function getEffect(id) {
-  return EFFECTS.find((e) => e.id === id);
-}
+// Bundled emoji (see emoji-set.js and emoji-data.js): one Twemoji SVG per
+// emoji in EMOJI_BASE_URL, named by code point (1f600.svg), so the Emoji
+// effect looks the same on every device.
+export const EMOJI_BASE_URL = "assets/emoji";
+export const EMOJI_IMAGE_SIZE = 256;
@@ -0,0 +1,120 @@
+// Persistent detection cache.
+// Normalized face results are stored in IndexedDB, keyed by a SHA-256 of the
+// file bytes plus everything that changes detection output, so re-adding a
+// photo, reloading the page or reprocessing a batch skips the model.
+// Entries are evicted least-recently-used once the cache exceeds its limits.
+
+import { withStore, walkStore } from "./storage.js";
+import {
+  DETECTION_CACHE_VERSION,
+  DETECTION_CACHE_MAX_ENTRIES,
+  DETECTION_CACHE_MAX_BYTES,
+} from "./constants.js";
+
+const STORE = "detections";
+
+/**
+ * Hex SHA-256 of a file's bytes.
+ */
+export async function hashFile(file) {
+  const digest = await crypto.subtle.digest("SHA-256", await file.arrayBuffer());
+  return Array.from(new Uint8Array(digest), (b) =>
+    b.toString(16).padStart(2, "0"),
+  ).join("");
+}
+
+/**
+ * Build the cache key for a file and the detection settings that shape
+ * its results.
+ * @param {string} fileHash - The file's hashFile()
+ * @param {object} detection - { sensitivity, backendId, rotated, features }
+ */
+export function detectionCacheKey(fileHash, detection) {
+  const features = [...(detection.features || [])].sort().join("+");
+  return [
+    fileHash,
+    `v${DETECTION_CACHE_VERSION}`,
+    detection.backendId,
+    detection.sensitivity,
+    detection.rotated ? "rotated" : "upright",
+    features || "plain",
+  ].join(":");
+}
+
+/**
+ * Look up cached faces, marking the entry as recently used.
+ * @returns {Promise<Array|null>} Faces, or null on a miss
+ */
+export async function getCachedDetections(key) {
+  const entry = await withStore(STORE, "readonly", (store) => store.get(key));
+  if (!entry) return null;
+  entry.lastUsed = Date.now();
+  await withStore(STORE, "readwrite", (store) => store.put(entry));
+  return entry.faces;
+}
+
+/**
+ * Store faces for a key, then evict old entries past the limits.
+ */
+export async function putCachedDetections(key, faces) {
+  const size = JSON.stringify(faces).length;
+  if (size > DETECTION_CACHE_MAX_BYTES) return;
+  const now = Date.now();
+  await withStore(STORE, "readwrite", (store) =>
+    store.put({ key, faces, size, createdAt: now, lastUsed: now }),
+  );
+  await evictDetections();
+}
+
+/**
+ * Delete least-recently-used entries until within the entry and size limits.
+ */
+async function evictDetections() {
+  // Newest first: keep entries while they fit, delete the rest
+  const entries = [];
+  await walkStore(STORE, "readonly", {
+    index: "lastUsed",
+    visit: (cursor) => {
+      entries.push({ key: cursor.value.key, size: cursor.value.size || 0 });
+    },
+  });
+  entries.reverse();
+
+  let count = 0;
+  let bytes = 0;
+  const stale = [];
+  for (const entry of entries) {
+    count += 1;
+    bytes += entry.size;
+    if (count > DETECTION_CACHE_MAX_ENTRIES || bytes > DETECTION_CACHE_MAX_BYTES) {
+      stale.push(entry.key);
+    }
+  }
+
+  for (const key of stale) {
+    await withStore(STORE, "readwrite", (store) => store.delete(key));
+  }
+}
+
+/**
+ * Number of cached photos and their approximate size in bytes.
+ * @returns {Promise<{ entries: number, bytes: number }>}
+ */
+export async function getDetectionCacheStats() {
+  let entries = 0;
+  let bytes = 0;
+  await walkStore(STORE, "readonly", {
+    visit: (cursor) => {
+      entries += 1;
+      bytes += cursor.value.size || 0;
+    },
+  });
+  return { entries, bytes };
+}
+
+/**
+ * Delete every cached detection result.
+ */
+export function clearDetectionCache() {
+  return withStore(STORE, "readwrite", (store) => store.clear());
+}
@@ -0,0 +1,166 @@
+// Detector backend registry.
+// A backend wraps one face detector behind a common interface:
+//   id, name, description    - identity and UI text
+//   capabilities             - { speed, recall, landmarks } hints for the UI
+//   models                   - weight files the backend needs (besides landmarks)
+//   isAvailable(faceapi)     - whether the loaded face-api build supports it
+//                              (detector.js adds MTCNN to it, see mtcnn.js)
+//   load(faceapi, loadNet)   - load its nets via the supplied loader
+//   detect(faceapi, canvas, preset, extras)
+//                            - raw results: [{ box, score, landmarks, descriptor, age }]
+//                              extras.descriptors adds faceRecognitionNet output,
+//                              extras.age adds ageGenderNet output,
+//                              extras.tile marks a full-res tile pass
+// detector.js scales and normalizes the raw results into face objects.
+// Backends receive the face-api namespace rather than importing it, so this
+// module stays cheap to import from the UI.
+
+import { DEFAULT_DETECTOR_BACKEND } from "./constants.js";
+
+const backends = new Map();
+
+/**
+ * Register a detector backend. Replaces any backend with the same id.
+ */
+export function registerBackend(backend) {
+  for (const key of ["id", "name", "load", "detect", "capabilities"]) {
+    if (!(key in backend)) {
+      throw new Error(`Detector backend is missing "${key}"`);
+    }
+  }
+  backends.set(backend.id, backend);
+}
+
+/**
+ * Look up a backend by id, falling back to the default.
+ */
+export function getBackend(id) {
+  return backends.get(id) || backends.get(DEFAULT_DETECTOR_BACKEND);
+}
+
+/**
+ * All registered backends, in registration order.
+ */
+export function listBackends() {
+  return [...backends.values()];
+}
+
+/**
+ * Run detection plus 68-point landmarks (and optional age and descriptors)
+ * and flatten face-api's result shape.
+ */
+function detectWithLandmarks(faceapi, canvas, options, extras = {}) {
+  const task = faceapi.detectAllFaces(canvas, options).withFaceLandmarks();
+  return describeDetections(task, extras);
+}
+
+/**
+ * Run the rest of face-api's chain on a landmark task and flatten the
+ * results, for detectors face-api.js can't run itself (see mtcnn.js).
+ */
+async function describeDetections(landmarkTask, extras) {
+  let task = landmarkTask;
+  // Age must come before descriptors: face-api.js only chains it that way round
+  if (extras.age) task = task.withAgeAndGender();
+  if (extras.descriptors) task = task.withFaceDescriptors();
+  const results = await task;
+  return results.map((r) => ({
+    box: r.detection.box,
+    score: r.detection.score,
+    landmarks: r.landmarks ? r.landmarks.positions : null,
+    descriptor: r.descriptor ? Array.from(r.descriptor) : null,
+    age: typeof r.age === "number" ? r.age : null,
+  }));
+}
+
+/**
+ * Build a backend whose nets are plain weight files loaded in order.
+ */
+function netBackend(definition) {
+  return {
+    isAvailable: (faceapi) =>
+      definition.models.every((m) => faceapi.nets[m.net]),
+    async load(faceapi, loadNet) {
+      if (!this.isAvailable(faceapi)) {
+        throw new Error(
+          `${definition.name} isn't included in the bundled face-api.js build`,
+        );
+      }
+      for (const model of definition.models) {
+        if (!faceapi.nets[model.net].isLoaded) await loadNet(model);
+      }
+    },
+    ...definition,
+  };
+}
+
+registerBackend(
+  netBackend({
+    id: "ssd",
+    name: "SSD MobileNet",
+    description: "Best recall on group photos, angled and distant faces",
+    capabilities: { speed: "slow", recall: "high", landmarks: true },
+    models: [
+      {
+        net: "ssdMobilenetv1",
+        name: "ssd_mobilenetv1_model",
+        label: "face detector",
+      },
+    ],
+    detect(faceapi, canvas, preset, extras) {
+      const options = new faceapi.SsdMobilenetv1Options({
+        minConfidence: preset.minConfidence,
+      });
+      return detectWithLandmarks(faceapi, canvas, options, extras);
+    },
+  }),
+);
+
+registerBackend(
+  netBackend({
+    id: "tiny",
+    name: "Tiny Face Detector",
+    description: "Fast and light, for low-end phones; misses small faces",
+    capabilities: { speed: "fast", recall: "medium", landmarks: true },
+    models: [
+      {
+        net: "tinyFaceDetector",
+        name: "tiny_face_detector_model",
+        label: "tiny face detector",
+      },
+    ],
+    detect(faceapi, canvas, preset, extras) {
+      // Tile passes already work at full resolution, so a smaller grid will do
+      const inputSize = extras.tile ? 416 : 608;
+      const options = new faceapi.TinyFaceDetectorOptions({
+        inputSize,
+        scoreThreshold: preset.minConfidence,
+      });
+      return detectWithLandmarks(faceapi, canvas, options, extras);
+    },
+  }),
+);
+
+registerBackend(
+  netBackend({
+    id: "mtcnn",
+    name: "MTCNN",
+    description: "Cascaded detector, good on small frontal faces",
+    capabilities: { speed: "medium", recall: "high", landmarks: true },
+    models: [{ net: "mtcnn", name: "mtcnn_model", label: "MTCNN" }],
+    detect(faceapi, canvas, preset, extras) {
+      const detections = faceapi.nets.mtcnn
+        .locateFaces(canvas, {
+          minFaceSize: 20,
+          scoreThresholds: [0.6, 0.7, preset.minConfidence],
+        })
+        .then((found) =>
+          found.map((detection) =>
+            faceapi.extendWithFaceDetection({}, detection),
+          ),
+        );
+      const task = new faceapi.DetectAllFaceLandmarksTask(detections, canvas);
+      return describeDetections(task, extras);
+    },
+  }),
+);
@@ -1,67 +1,298 @@
 // Face detection module using face-api.js
-// Uses SSD MobileNet v1 for better accuracy on group photos,
-// angled faces, and distant/small faces.
-// face-api.js is loaded via script tag and available as window.faceapi
+// Runs the selected detector backend (SSD MobileNet v1 by default, for
+// better accuracy on group photos, angled and distant faces) followed by
+// the shared 68-point landmark net. See detector-backends.js.
+// face-api.js (ESM build) is imported on first use, either on the main
+// thread or inside the processing worker (js/worker.js).
 
-import { MODEL_BASE_URL, SENSITIVITY_PRESETS } from './constants.js';
+import { SENSITIVITY_PRESETS, DEFAULT_DETECTOR_BACKEND } from './constants.js';
+import { getBackend, listBackends } from './detector-backends.js';
+import { installMtcnn } from './mtcnn.js';
+import { PERSON_MODEL, runPersonModel } from './person-detector.js';
+import { SEGMENTATION_MODEL, runSegmentationModel } from './segmentation.js';
+import { headPose } from './geometry.js';
+import {
+  getModelBaseUrl,
+  indexFilesByName,
+  loadNetFromUri,
+  loadNetFromFiles,
+  loadGraphModelFromUri,
+  loadGraphModelFromFiles,
+} from './model-loader.js';
 
-let modelsLoaded = false;
+// The 68-point landmark net is shared by every backend
+const LANDMARK_MODEL = {
+  net: 'faceLandmark68Net',
+  name: 'face_landmark_68_model',
+  label: 'landmark',
+};
 
-function getFaceApi() {
-  if (!window.faceapi) {
-    throw new Error('face-api.js not loaded. Check script tag in index.html.');
+// Optional extras, requested via the features list.
+// Per-face extras map to the net that computes them and the face field they
+// fill. Graph models are separate TensorFlow.js models, run through
+// detectPeople() and segmentPerson().
+export const FEATURE_MODELS = {
+  descriptors: {
+    net: 'faceRecognitionNet',
+    name: 'face_recognition_model',
+    label: 'face recognition',
+    field: 'descriptor',
+  },
+  age: {
+    net: 'ageGenderNet',
+    name: 'age_gender_model',
+    label: 'age estimation',
+    field: 'age',
+  },
+  people: { ...PERSON_MODEL, graph: true },
+  segmentation: { ...SEGMENTATION_MODEL, graph: true },
+};
+
+// ageGenderNet's face input size; smaller faces are upscaled and less reliable
+const AGE_NET_INPUT_SIZE = 112;
+const AGE_BASE_UNCERTAINTY = 4;
+
+const loadedBackends = new Set();
+const loadedFeatures = new Set();
+const graphModels = new Map(); // feature -> tf.GraphModel
+let faceapiModule = null;
+
+async function getFaceApi() {
+  if (!faceapiModule) {
+    faceapiModule = await import('../vendor/face-api.esm.js');
+    if (typeof document === 'undefined') patchWorkerEnvironment(faceapiModule);
+    installMtcnn(faceapiModule);
+  }
+  return faceapiModule;
+}
+
+/**
+ * face-api.js only auto-detects browser (DOM) and Node environments.
+ * Inside a worker, point it at OffscreenCanvas instead.
+ */
+function patchWorkerEnvironment(faceapi) {
+  faceapi.env.setEnv({
+    Canvas: OffscreenCanvas,
+    CanvasRenderingContext2D: OffscreenCanvasRenderingContext2D,
+    Image: ImageBitmap,
+    ImageData,
+    Video: class {},
+    createCanvasElement: () => new OffscreenCanvas(1, 1),
+    createImageElement: () => {
+      throw new Error('Image elements are not available in a worker');
+    },
+    fetch: self.fetch.bind(self),
+    readFile: () => {
+      throw new Error('readFile - filesystem not available in a worker');
+    },
+  });
+}
+
+/**
+ * Build a per-shard progress reporter for one model.
+ */
+function shardProgress(label, onProgress) {
+  let lastPercent = -1;
+  return (index, count, fraction) => {
+    const percent = Math.round(fraction * 100);
+    if (percent === lastPercent) return;
+    lastPercent = percent;
+    const shard = count > 1 ? ` (part ${index + 1}/${count})` : '';
+    onProgress?.(`Loading ${label} model${shard}... ${percent}%`);
+  };
+}
+
+/**
+ * Load a backend's nets plus the landmark net through a net loader.
+ */
+async function loadBackend(faceapi, backend, loadNet) {
+  await backend.load(faceapi, loadNet);
+  if (!faceapi.nets[LANDMARK_MODEL.net].isLoaded) await loadNet(LANDMARK_MODEL);
+  loadedBackends.add(backend.id);
+}
+
+/**
+ * ageGenderNet only gives a point estimate. Widen it into +/- years from
+ * what makes it less reliable: small faces, weak detections, and older
+ * subjects, whose absolute error is larger.
+ * @param {number} years - Estimated age
+ * @param {number} faceSize - Face box edge in detection-canvas pixels
+ * @param {number} score - Detection score
+ */
+function ageUncertainty(years, faceSize, score) {
+  let uncertainty = AGE_BASE_UNCERTAINTY + years * 0.1;
+  if (faceSize < AGE_NET_INPUT_SIZE) {
+    uncertainty += 4 * (1 - faceSize / AGE_NET_INPUT_SIZE);
+  }
+  if (score < 0.5) uncertainty += 2;
+  return uncertainty;
+}
+
+/**
+ * Load the models for optional features through a net or graph loader.
+ */
+async function loadFeatures(faceapi, features, loadNet, loadGraph) {
+  for (const feature of features) {
+    const model = FEATURE_MODELS[feature];
+    if (!model) throw new Error(`Unknown detection feature: ${feature}`);
+    if (model.graph) {
+      if (!graphModels.has(feature)) graphModels.set(feature, await loadGraph(model));
+    } else if (!faceapi.nets[model.net].isLoaded) {
+      await loadNet(model);
+    }
+    loadedFeatures.add(feature);
+  }
+}
+
+/**
+ * File a model is found by when loading from local files.
+ */
+function manifestName(model) {
+  return model.graph ? `${model.name}.json` : `${model.name}-weights_manifest.json`;
+}
+
+/**
+ * Load face detection models from the configured base path.
+ * @param {function} onProgress - Callback for progress updates
+ * @param {object} opts
+ * @param {string} opts.backendId - Detector backend to load
+ * @param {string[]} opts.features - Optional FEATURE_MODELS keys to load too
+ * @param {string} opts.baseUrl - Model base URL; required inside the worker,
+ *   which has no document to read the configured path from
+ */
+export async function loadModels(
+  onProgress,
+  {
+    backendId = DEFAULT_DETECTOR_BACKEND,
+    features = [],
+    baseUrl = getModelBaseUrl(),
+  } = {},
+) {
+  if (isReady(backendId, features)) return;
+
+  const faceapi = await getFaceApi();
+  const loadNet = async (model) => {
+    onProgress?.(`Loading ${model.label} model...`);
+    await loadNetFromUri(
+      faceapi,
+      faceapi.nets[model.net],
+      model.name,
+      baseUrl,
+      shardProgress(model.label, onProgress),
+    );
+  };
+  const loadGraph = (model) => {
+    onProgress?.(`Loading ${model.label} model...`);
+    return loadGraphModelFromUri(
+      faceapi,
+      model.name,
+      baseUrl,
+      shardProgress(model.label, onProgress),
+    );
+  };
+
+  if (!isReady(backendId)) {
+    await loadBackend(faceapi, getBackend(backendId), loadNet);
   }
-  return window.faceapi;
+  await loadFeatures(faceapi, features, loadNet, loadGraph);
+
+  onProgress?.('Models ready');
 }
 
 /**
- * Load face detection models.
+ * Load face detection models from local files, e.g. a models folder
+ * picked by the user on a machine without network access.
+ * Loads every backend and feature whose weight files are present.
+ * @param {FileList|File[]} files - Weight manifests and .bin shards
  * @param {function} onProgress - Callback for progress updates
+ * @returns {Promise<{ backends: string[], features: string[] }>} What is now ready
  */
-export async function loadModels(onProgress) {
-  if (modelsLoaded) return;
+export async function loadModelsFromFiles(files, onProgress) {
+  const faceapi = await getFaceApi();
+  const filesByName = indexFilesByName(files);
+  const hasManifest = (model) => filesByName.has(manifestName(model));
 
-  const faceapi = getFaceApi();
+  const candidates = listBackends().filter(
+    (b) => b.isAvailable(faceapi) && b.models.every(hasManifest),
+  );
+  const features = Object.keys(FEATURE_MODELS).filter((f) =>
+    hasManifest(FEATURE_MODELS[f]),
+  );
+  if (candidates.length === 0 && features.length === 0) {
+    throw new Error('No detector model files found in the selection');
+  }
 
-  onProgress?.('Loading face detector model...');
-  await faceapi.nets.ssdMobilenetv1.loadFromUri(MODEL_BASE_URL);
+  const loadNet = async (model) => {
+    onProgress?.(`Loading ${model.label} model...`);
+    await loadNetFromFiles(
+      faceapi,
+      faceapi.nets[model.net],
+      model.name,
+      filesByName,
+      shardProgress(model.label, onProgress),
+    );
+  };
+  const loadGraph = (model) => {
+    onProgress?.(`Loading ${model.label} model...`);
+    return loadGraphModelFromFiles(
+      faceapi,
+      model.name,
+      filesByName,
+      shardProgress(model.label, onProgress),
+    );
+  };
 
-  onProgress?.('Loading landmark model...');
-  await faceapi.nets.faceLandmark68Net.loadFromUri(MODEL_BASE_URL);
+  for (const backend of candidates) {
+    await loadBackend(faceapi, backend, loadNet);
+  }
+  await loadFeatures(faceapi, features, loadNet, loadGraph);
 
-  modelsLoaded = true;
   onProgress?.('Models ready');
+  return { backends: candidates.map((b) => b.id), features };
 }
 
 /**
- * Check if models are loaded.
+ * Check if the models for a backend (and any requested features) are loaded.
  */
-export function isReady() {
-  return modelsLoaded;
+export function isReady(backendId = DEFAULT_DETECTOR_BACKEND, features = []) {
+  return (
+    loadedBackends.has(getBackend(backendId).id) &&
+    features.every((f) => loadedFeatures.has(f))
+  );
 }
 
 /**
  * Detect faces in a canvas element.
- * @param {HTMLCanvasElement} canvas - The canvas to detect faces in
- * @param {string} sensitivity - 'low', 'medium', or 'high'
+ * @param {HTMLCanvasElement|OffscreenCanvas} canvas - The canvas to detect faces in
+ * @param {string} sensitivity - A SENSITIVITY_PRESETS key
  * @param {number} detectionScale - Scale factor from detection canvas to full-res
+ * @param {string} backendId - Detector backend to run
+ * @param {string[]} features - FEATURE_MODELS keys to compute per face
+ * @param {boolean} tile - The canvas is one full-res tile of a tiled scan
  * @returns {Array} Array of face detection results with scaled coordinates
  */
-export async function detectFaces(canvas, sensitivity = 'medium', detectionScale = 1) {
-  if (!modelsLoaded) throw new Error('Models not loaded');
+export async function detectFaces(
+  canvas,
+  sensitivity = 'scan',
+  detectionScale = 1,
+  backendId = DEFAULT_DETECTOR_BACKEND,
+  features = [],
+  tile = false,
+) {
+  if (!isReady(backendId, features)) throw new Error('Models not loaded');
 
-  const faceapi = getFaceApi();
-  const preset = SENSITIVITY_PRESETS[sensitivity] || SENSITIVITY_PRESETS.medium;
+  const faceapi = await getFaceApi();
+  const preset = SENSITIVITY_PRESETS[sensitivity] || SENSITIVITY_PRESETS.scan;
 
-  const options = new faceapi.SsdMobilenetv1Options({
-    minConfidence: preset.minConfidence,
+  const results = await getBackend(backendId).detect(faceapi, canvas, preset, {
+    descriptors: features.includes('descriptors'),
+    age: features.includes('age'),
+    tile,
   });
 
-  const results = await faceapi.detectAllFaces(canvas, options).withFaceLandmarks();
-
   // Scale coordinates back to full resolution and normalize the output
   return results.map((r, index) => {
-    const box = r.detection.box;
+    const box = r.box;
     const scale = 1 / detectionScale;
 
     const scaledBox = {
@@ -74,19 +305,82 @@ export async function detectFaces(canvas, sensitivity = 'medium', detectionScale
     let scaledLandmarks = null;
     if (r.landmarks) {
       scaledLandmarks = {
-        positions: r.landmarks.positions.map(p => ({
+        positions: r.landmarks.map(p => ({
           x: p.x * scale,
           y: p.y * scale,
         })),
       };
     }
 
+    const pose = scaledLandmarks && headPose(scaledLandmarks.positions);
+
     return {
       id: `face-${index}`,
       box: scaledBox,
-      score: r.detection.score,
+      score: r.score,
       landmarks: scaledLandmarks,
+      roll: pose ? pose.roll : 0,
+      yaw: pose ? pose.yaw : 0,
+      descriptor: r.descriptor || null,
+      age: r.age != null ? {
+        years: r.age,
+        uncertainty: ageUncertainty(r.age, Math.min(box.width, box.height), r.score),
+      } : null,
       manual: false,
     };
   });
 }
+
+/**
+ * Run the 68-point landmark net on a face crop, such as a manual region the
+ * detector never saw. The net is loaded with every backend.
+ * @param {HTMLCanvasElement|OffscreenCanvas} canvas - The face crop
+ * @returns {Array<{ x, y }>} 68 positions in canvas pixels
+ */
+export async function detectLandmarks(canvas) {
+  const faceapi = await getFaceApi();
+  const net = faceapi.nets[LANDMARK_MODEL.net];
+  if (!net.isLoaded) throw new Error('Landmark model not loaded');
+
+  const landmarks = await net.detectLandmarks(canvas);
+  return landmarks.positions.map(p => ({ x: p.x, y: p.y }));
+}
+
+/**
+ * Detect whole people (bodies) in a canvas with the person detector.
+ * Requires the 'people' feature to be loaded.
+ * @param {HTMLCanvasElement|OffscreenCanvas} canvas - The canvas to search
+ * @param {number} detectionScale - Scale factor from detection canvas to full-res
+ * @returns {Array} [{ box, score, head }] in full-res coordinates
+ */
+export async function detectPeople(canvas, detectionScale = 1) {
+  if (!loadedFeatures.has('people')) throw new Error('Person detector not loaded');
+
+  const faceapi = await getFaceApi();
+  const people = await runPersonModel(faceapi, graphModels.get('people'), canvas);
+
+  const scale = 1 / detectionScale;
+  return people.map((p) => ({
+    box: {
+      x: p.box.x * scale,
+      y: p.box.y * scale,
+      width: p.box.width * scale,
+      height: p.box.height * scale,
+    },
+    score: p.score,
+    head: p.head && { x: p.head.x * scale, y: p.head.y * scale },
+  }));
+}
+
+/**
+ * Segment the person in a canvas, e.g. a crop around one head.
+ * Requires the 'segmentation' feature to be loaded.
+ * @returns {{ width, height, alpha }} Person probability grid, 0-255,
+ *   stretched over the whole canvas
+ */
+export async function segmentPerson(canvas) {
+  if (!loadedFeatures.has('segmentation')) throw new Error('Segmentation model not loaded');
+
+  const faceapi = await getFaceApi();
+  return runSegmentationModel(faceapi, graphModels.get('segmentation'), canvas);
+}
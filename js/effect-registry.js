@@ -0,0 +1,140 @@
+// Effect registry.
+// An effect is one blocking style the user can pick:
+//   id, name, description - identity and UI text
+//   icon                  - inline SVG markup for the mode grid
+//   params                - typed settings, see below; ui.js builds a control
+//                           for each
+//   requiresLandmarks     - drawn from facial landmarks (eye bar, silhouette)
+//   followsCoverage       - false keeps it on a facial feature whatever the
+//                           coverage setting (see COVERAGE_PRESETS)
+//   sizeScaled            - strength scales with the box it is given
+//   randomized            - has random detail, drawn from params.faceSeed;
+//                           faces get a reroll button
+//   drawsLabel            - draws params.faceLabel itself; other effects get
+//                           it as a tag when label overlay is on
+//   render(ctx, sourceCanvas, faceBox, intensity, landmarks, params)
+//                         - draw the effect for one face at full resolution
+// A param is { id, type, label, default } plus, by type:
+//   range  - min, max, step, unit
+//   select - options: [{ value, label }]
+//   emoji  - options: the emoji offered
+//   sticker - an image from the sticker library (see sticker-library.js)
+//   color, text, toggle, number (min, max)
+// A range param with id "intensity" is the effect's strength: it drives the
+// intensity argument and the [ and ] shortcuts. Effects without one ignore
+// intensity. Other values arrive in params, defaults filled in, along with
+// `faceSeed`, a number stored with the face for seeding createRandom()-style
+// generators, `faceRank`, the face's rank by seed among the photo's faces
+// drawn with the same effect, for picking a different variation for each,
+// and `faceLabel`, the face's
+// label ("Person 1") when labels are on. Never call Math.random() in
+// render: preview and every export must draw the same pixels.
+// Built-in effects register from effects.js. Plugin modules listed in
+// <meta name="faceblock-effect-modules"> are imported at startup, on the main
+// thread and in the render worker, and call registerEffect() themselves.
+
+import { DEFAULT_EFFECT } from "./constants.js";
+
+const effects = new Map();
+
+const PARAM_TYPES = new Set([
+  "range",
+  "select",
+  "emoji",
+  "color",
+  "text",
+  "toggle",
+  "number",
+  "sticker",
+]);
+
+// Shown in the mode grid for effects registered without an icon
+const DEFAULT_ICON = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="3" y="3" width="18" height="18" rx="4"/></svg>`;
+
+/**
+ * Register an effect. Replaces any effect with the same id.
+ */
+export function registerEffect(effect) {
+  for (const key of ["id", "name", "render"]) {
+    if (!(key in effect)) {
+      throw new Error(`Effect is missing "${key}"`);
+    }
+  }
+  const params = effect.params || [];
+  for (const param of params) {
+    if (!param.id || !PARAM_TYPES.has(param.type)) {
+      throw new Error(`Effect "${effect.id}" has an invalid param`);
+    }
+  }
+  const intensity = params.find((p) => p.id === "intensity");
+  effects.set(effect.id, {
+    description: effect.name,
+    icon: DEFAULT_ICON,
+    requiresLandmarks: false,
+    followsCoverage: true,
+    sizeScaled: false,
+    randomized: false,
+    drawsLabel: false,
+    ...effect,
+    params,
+    defaultIntensity: intensity?.default ?? 50,
+  });
+}
+
+/**
+ * Look up an effect by id, falling back to the default.
+ */
+export function getEffect(id) {
+  return effects.get(id) || effects.get(DEFAULT_EFFECT);
+}
+
+/**
+ * Default values of an effect's params, keyed by param id.
+ */
+export function paramDefaults(effect) {
+  const values = {};
+  for (const param of effect.params) {
+    if (param.default !== undefined) values[param.id] = param.default;
+  }
+  return values;
+}
+
+/**
+ * All registered effects, in registration order.
+ */
+export function listEffects() {
+  return [...effects.values()];
+}
+
+/**
+ * Plugin module URLs from <meta name="faceblock-effect-modules">
+ * (comma-separated), resolved against the page. Main thread only.
+ */
+export function getEffectModuleUrls() {
+  const meta = document.querySelector('meta[name="faceblock-effect-modules"]');
+  const list = meta?.getAttribute("content") || "";
+  return list
+    .split(",")
+    .map((url) => url.trim())
+    .filter(Boolean)
+    .map((url) => new URL(url, document.baseURI).href);
+}
+
+/**
+ * Import effect plugin modules; each registers its effects on import.
+ * A module that fails to load is logged and skipped.
+ * @param {string[]} urls - Absolute module URLs
+ * @returns {Promise<string[]>} The URLs that failed
+ */
+export async function loadEffectModules(urls) {
+  const failed = [];
+  for (const url of urls) {
+    try {
+      await import(url);
+    } catch (err) {
+      console.error(`Effect module ${url} failed to load:`, err);
+      failed.push(url);
+    }
+  }
+  return failed;
+}
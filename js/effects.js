@@ -1,13 +1,170 @@
 // Face blocking effect implementations
 // All effects operate on a CanvasRenderingContext2D at full resolution.
+// Face boxes may carry an angle (radians, clockwise about the box centre):
+// effects draw in that rotated frame so tilted heads stay covered.
+
+import { createCanvas } from "./canvas-utils.js";
+import { maskToCanvas } from "./segmentation.js";
+import { MASK_FEATHER, SECURE_NOISE } from "./constants.js";
+import { EMOJI_SET } from "./emoji-data.js";
+import { registerEffect, getEffect, paramDefaults } from "./effect-registry.js";
+
+/**
+ * Axis-aligned bounds of a face box turned by its angle.
+ */
+function rotatedBounds(faceBox) {
+  const { x, y, width, height, angle } = faceBox;
+  if (!angle) return { x, y, width, height };
+  const cos = Math.abs(Math.cos(angle));
+  const sin = Math.abs(Math.sin(angle));
+  const w = width * cos + height * sin;
+  const h = width * sin + height * cos;
+  return {
+    x: x + (width - w) / 2,
+    y: y + (height - h) / 2,
+    width: w,
+    height: h,
+  };
+}
+
+/**
+ * Run draw() with the context turned by faceBox.angle about the box
+ * centre, so it can draw the face as if it were upright.
+ */
+function inFaceFrame(ctx, faceBox, draw) {
+  if (!faceBox.angle) return draw();
+  const cx = faceBox.x + faceBox.width / 2;
+  const cy = faceBox.y + faceBox.height / 2;
+  ctx.save();
+  ctx.translate(cx, cy);
+  ctx.rotate(faceBox.angle);
+  ctx.translate(-cx, -cy);
+  draw();
+  ctx.restore();
+}
+
+/**
+ * Map image points into a face's upright frame (see inFaceFrame()).
+ */
+function toFaceFrame(points, faceBox) {
+  if (!faceBox.angle) return points;
+  const cx = faceBox.x + faceBox.width / 2;
+  const cy = faceBox.y + faceBox.height / 2;
+  const cos = Math.cos(faceBox.angle);
+  const sin = Math.sin(faceBox.angle);
+  return points.map((p) => ({
+    x: cx + (p.x - cx) * cos + (p.y - cy) * sin,
+    y: cy - (p.x - cx) * sin + (p.y - cy) * cos,
+  }));
+}
+
+/**
+ * Run a pixel effect on a tilted face: the box is copied upright onto a
+ * layer, the effect runs there, and the layer is turned back into place.
+ * @param {function} draw - (layerCtx, layerBox) => void
+ */
+function applyUpright(ctx, faceBox, draw) {
+  const { x, y, width, height, angle } = faceBox;
+  const w = Math.max(1, Math.ceil(width));
+  const h = Math.max(1, Math.ceil(height));
+  const cx = x + width / 2;
+  const cy = y + height / 2;
+
+  const layer = createCanvas(w, h);
+  const layerCtx = layer.getContext("2d");
+  layerCtx.translate(w / 2, h / 2);
+  layerCtx.rotate(-angle);
+  layerCtx.drawImage(ctx.canvas, -cx, -cy);
+  layerCtx.setTransform(1, 0, 0, 1, 0, 0);
+  draw(layerCtx, { x: 0, y: 0, width: w, height: h });
+
+  ctx.save();
+  ctx.translate(cx, cy);
+  ctx.rotate(angle);
+  ctx.beginPath();
+  ctx.rect(-width / 2, -height / 2, width, height);
+  ctx.clip();
+  ctx.drawImage(layer, -w / 2, -h / 2);
+  ctx.restore();
+}
+
+/**
+ * Seeded pseudo-random numbers in [0, 1) (mulberry32).
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Secure mode: a stand-in for the source pixels in an area. The area is
+ * filled with its average colour and given noise, so only the overall skin
+ * tone survives. Nothing of the face's shape or features, which deblurring
+ * or matching against known faces would need, reaches the output.
+ * @returns {{ canvas, x, y }} The stand-in and its position in the source
+ */
+function scrubbedSource(sourceCanvas, area, random) {
+  const x = Math.max(0, Math.floor(area.x));
+  const y = Math.max(0, Math.floor(area.y));
+  const w = Math.min(sourceCanvas.width, Math.ceil(area.x + area.width)) - x;
+  const h = Math.min(sourceCanvas.height, Math.ceil(area.y + area.height)) - y;
+  const canvas = createCanvas(Math.max(1, w), Math.max(1, h));
+  if (w <= 0 || h <= 0) return { canvas, x, y };
+
+  const data = sourceCanvas.getContext("2d").getImageData(x, y, w, h).data;
+  const sums = [0, 0, 0];
+  for (let i = 0; i < data.length; i += 4) {
+    sums[0] += data[i];
+    sums[1] += data[i + 1];
+    sums[2] += data[i + 2];
+  }
+  const [r, g, b] = sums.map((sum) => Math.round(sum / (w * h)));
+
+  const ctx = canvas.getContext("2d");
+  ctx.fillStyle = `rgb(${r}, ${g}, ${b})`;
+  ctx.fillRect(0, 0, w, h);
+  addNoise(ctx, w, h, random);
+  return { canvas, x, y };
+}
+
+/**
+ * Add grey noise of up to SECURE_NOISE levels to a canvas area.
+ */
+function addNoise(ctx, width, height, random) {
+  const image = ctx.getImageData(0, 0, width, height);
+  const { data } = image;
+  for (let i = 0; i < data.length; i += 4) {
+    const noise = (random() - 0.5) * SECURE_NOISE;
+    data[i] += noise;
+    data[i + 1] += noise;
+    data[i + 2] += noise;
+  }
+  ctx.putImageData(image, 0, 0);
+}
 
 /**
  * Gaussian Blur effect.
  * Uses native CSS filter with elliptical clip.
  * Blur radius scales proportionally to face size so small faces
  * in group photos get a tight, appropriately-sized blur.
+ * Secure mode blurs a stand-in for the face (see scrubbedSource()) and
+ * adds grain on top, seeded by the face's seed.
  */
-export function applyBlur(ctx, sourceCanvas, faceBox, intensity) {
+export function applyBlur(
+  ctx,
+  sourceCanvas,
+  faceBox,
+  intensity,
+  _landmarks,
+  secure = false,
+  seed = 0,
+) {
   const { x, y, width, height } = faceBox;
   const faceSize = Math.min(width, height);
 
@@ -25,7 +182,7 @@ export function applyBlur(ctx, sourceCanvas, faceBox, intensity) {
     y + height / 2,
     width / 2 + padding,
     height / 2 + padding,
-    0,
+    faceBox.angle || 0,
     0,
     Math.PI * 2,
   );
@@ -35,39 +192,120 @@ export function applyBlur(ctx, sourceCanvas, faceBox, intensity) {
   if (typeof ctx.filter !== "undefined" && ctx.filter !== undefined) {
     ctx.filter = `blur(${blurPx}px)`;
     const margin = padding + blurPx;
-    const sx = Math.max(0, x - margin);
-    const sy = Math.max(0, y - margin);
-    const sw = Math.min(sourceCanvas.width - sx, width + margin * 2);
-    const sh = Math.min(sourceCanvas.height - sy, height + margin * 2);
-    ctx.drawImage(sourceCanvas, sx, sy, sw, sh, sx, sy, sw, sh);
-    ctx.filter = "none";
+    const bounds = rotatedBounds(faceBox);
+    const sx = Math.max(0, bounds.x - margin);
+    const sy = Math.max(0, bounds.y - margin);
+    const sw = Math.min(sourceCanvas.width - sx, bounds.width + margin * 2);
+    const sh = Math.min(sourceCanvas.height - sy, bounds.height + margin * 2);
+    if (secure) {
+      // The stand-in goes down unblurred first, so the blur's soft edge
+      // can't let the face show through
+      const random = createRandom(seed);
+      const area = { x: sx, y: sy, width: sw, height: sh };
+      const stand = scrubbedSource(sourceCanvas, area, random);
+      ctx.filter = "none";
+      ctx.drawImage(stand.canvas, stand.x, stand.y);
+      ctx.filter = `blur(${blurPx}px)`;
+      ctx.drawImage(stand.canvas, stand.x, stand.y);
+      ctx.filter = "none";
+      drawGrain(ctx, area, random);
+    } else {
+      ctx.drawImage(sourceCanvas, sx, sy, sw, sh, sx, sy, sw, sh);
+      ctx.filter = "none";
+    }
   } else {
     // Fallback: pixelate at very small scale for blur-like effect
-    applyPixelate(ctx, sourceCanvas, faceBox, Math.max(4, blurPx));
+    applyPixelate(
+      ctx,
+      sourceCanvas,
+      faceBox,
+      Math.max(4, blurPx),
+      null,
+      secure,
+      seed,
+    );
   }
 
   ctx.restore();
 }
 
+/**
+ * Grain over a blurred area, drawn at half resolution.
+ */
+function drawGrain(ctx, area, random) {
+  const w = Math.max(1, Math.ceil(area.width / 2));
+  const h = Math.max(1, Math.ceil(area.height / 2));
+  const grain = createCanvas(w, h);
+  const grainCtx = grain.getContext("2d");
+  const image = grainCtx.createImageData(w, h);
+  for (let i = 0; i < image.data.length; i += 4) {
+    const level = random() < 0.5 ? 0 : 255;
+    image.data[i] = level;
+    image.data[i + 1] = level;
+    image.data[i + 2] = level;
+    image.data[i + 3] = random() * SECURE_NOISE;
+  }
+  grainCtx.putImageData(image, 0, 0);
+  ctx.drawImage(grain, area.x, area.y, area.width, area.height);
+}
+
 /**
  * Pixelate / Mosaic effect.
  * Downscales and upscales with no smoothing.
+ * Secure mode takes its blocks from a stand-in for the face (see
+ * scrubbedSource()) and varies each block's shade, seeded by the face's
+ * seed.
  */
-export function applyPixelate(ctx, sourceCanvas, faceBox, intensity) {
+export function applyPixelate(
+  ctx,
+  sourceCanvas,
+  faceBox,
+  intensity,
+  _landmarks,
+  secure = false,
+  seed = 0,
+) {
   const { x, y, width, height } = faceBox;
   const faceSize = Math.min(width, height);
   // Scale block size relative to face: big faces get big blocks, small faces get small blocks
   const maxBlocks = Math.max(4, faceSize * 0.1);
   const blockSize = Math.max(2, Math.round((intensity / 100) * maxBlocks) + 2);
 
-  const scaledW = Math.max(1, Math.ceil(width / blockSize));
-  const scaledH = Math.max(1, Math.ceil(height / blockSize));
+  // Blocks stay on the image grid; only the outline follows the tilt
+  const bounds = rotatedBounds(faceBox);
+  const scaledW = Math.max(1, Math.ceil(bounds.width / blockSize));
+  const scaledH = Math.max(1, Math.ceil(bounds.height / blockSize));
 
-  const offscreen = document.createElement("canvas");
-  offscreen.width = scaledW;
-  offscreen.height = scaledH;
+  const offscreen = createCanvas(scaledW, scaledH);
   const offCtx = offscreen.getContext("2d");
-  offCtx.drawImage(sourceCanvas, x, y, width, height, 0, 0, scaledW, scaledH);
+  if (secure) {
+    const random = createRandom(seed);
+    const stand = scrubbedSource(sourceCanvas, bounds, random);
+    offCtx.drawImage(
+      stand.canvas,
+      bounds.x - stand.x,
+      bounds.y - stand.y,
+      bounds.width,
+      bounds.height,
+      0,
+      0,
+      scaledW,
+      scaledH,
+    );
+    addNoise(offCtx, scaledW, scaledH, random);
+  } else {
+    offCtx.drawImage(
+      sourceCanvas,
+      bounds.x,
+      bounds.y,
+      bounds.width,
+      bounds.height,
+      0,
+      0,
+      scaledW,
+      scaledH,
+    );
+  }
 
   ctx.save();
   ctx.beginPath();
@@ -76,19 +314,30 @@ export function applyPixelate(ctx, sourceCanvas, faceBox, intensity) {
     y + height / 2,
     width / 2,
     height / 2,
-    0,
+    faceBox.angle || 0,
     0,
     Math.PI * 2,
   );
   ctx.clip();
   ctx.imageSmoothingEnabled = false;
-  ctx.drawImage(offscreen, 0, 0, scaledW, scaledH, x, y, width, height);
+  ctx.drawImage(
+    offscreen,
+    0,
+    0,
+    scaledW,
+    scaledH,
+    bounds.x,
+    bounds.y,
+    bounds.width,
+    bounds.height,
+  );
   ctx.restore();
 }
 
 /**
  * Black Bar on Eyes effect.
  * Uses 68-point landmarks when available, estimates otherwise.
+ * The bar runs along the face's tilt.
  */
 export function applyBlackBarEyes(
   ctx,
@@ -100,9 +349,7 @@ export function applyBlackBarEyes(
   const thicknessMultiplier = 0.5 + (intensity / 100) * 1.5;
 
   if (landmarks && landmarks.positions && landmarks.positions.length >= 48) {
-    const leftEye = landmarks.positions.slice(36, 42);
-    const rightEye = landmarks.positions.slice(42, 48);
-    const allPoints = [...leftEye, ...rightEye];
+    const allPoints = toFaceFrame(landmarks.positions.slice(36, 48), faceBox);
 
     const minX = Math.min(...allPoints.map((p) => p.x));
     const maxX = Math.max(...allPoints.map((p) => p.x));
@@ -117,13 +364,17 @@ export function applyBlackBarEyes(
     const barY = (minY + maxY) / 2 - barHeight / 2;
 
     ctx.fillStyle = "#000000";
-    ctx.fillRect(minX - paddingH, barY, eyeWidth + paddingH * 2, barHeight);
+    inFaceFrame(ctx, faceBox, () =>
+      ctx.fillRect(minX - paddingH, barY, eyeWidth + paddingH * 2, barHeight),
+    );
   } else {
     // Fallback: estimate eye position
     const barY = faceBox.y + faceBox.height * 0.28;
     const barHeight = faceBox.height * 0.16 * thicknessMultiplier;
     ctx.fillStyle = "#000000";
-    ctx.fillRect(faceBox.x, barY, faceBox.width, barHeight);
+    inFaceFrame(ctx, faceBox, () =>
+      ctx.fillRect(faceBox.x, barY, faceBox.width, barHeight),
+    );
   }
 }
 
@@ -140,15 +391,43 @@ export function applyBlackout(ctx, _sourceCanvas, faceBox, _intensity) {
     y + height / 2,
     (width / 2) * 1.05,
     (height / 2) * 1.05,
-    0,
+    faceBox.angle || 0,
     0,
     Math.PI * 2,
   );
   ctx.fill();
 }
 
+// Bundled emoji images by emoji (see setEmojiImages())
+const emojiImages = new Map();
+
+/**
+ * Set the bundled emoji images the Emoji effect draws.
+ * @param {Array<{ emoji: string, image: ImageBitmap }>} list
+ */
+export function setEmojiImages(list) {
+  emojiImages.clear();
+  for (const { emoji, image } of list) emojiImages.set(emoji, image);
+}
+
+/**
+ * Draw an image over a face box, centred and turned with it, scaled so its
+ * longer side is `size`.
+ */
+function drawOverFace(ctx, faceBox, image, size) {
+  const { x, y, width, height } = faceBox;
+  const scale = size / Math.max(image.width, image.height);
+  const w = image.width * scale;
+  const h = image.height * scale;
+  inFaceFrame(ctx, faceBox, () =>
+    ctx.drawImage(image, x + (width - w) / 2, y + (height - h) / 2, w, h),
+  );
+}
+
 /**
  * Emoji Overlay effect.
+ * Draws the bundled image for the emoji, or the system font's glyph when
+ * `style` is "system" or the emoji has no bundled image.
  */
 export function applyEmoji(
   ctx,
@@ -157,19 +436,72 @@ export function applyEmoji(
   intensity,
   _landmarks,
   emoji = "\u{1F600}",
+  style = "bundled",
 ) {
   const { x, y, width, height } = faceBox;
   const sizeMultiplier = 0.6 + (intensity / 100) * 0.8;
   const size = Math.max(width, height) * sizeMultiplier;
 
+  if (style !== "system" && emojiImages.has(emoji)) {
+    drawOverFace(ctx, faceBox, emojiImages.get(emoji), size);
+    return;
+  }
+
   ctx.save();
   ctx.font = `${size}px serif`;
   ctx.textAlign = "center";
   ctx.textBaseline = "middle";
-  ctx.fillText(emoji, x + width / 2, y + height / 2);
+  inFaceFrame(ctx, faceBox, () =>
+    ctx.fillText(emoji, x + width / 2, y + height / 2),
+  );
   ctx.restore();
 }
 
+// Decoded sticker images by library ID, in library order (see setStickers())
+const stickers = new Map();
+
+/**
+ * Set the sticker images the Sticker effect can draw.
+ * @param {Array<{ id: string, image: ImageBitmap }>} list - In library order
+ */
+export function setStickers(list) {
+  stickers.clear();
+  for (const { id, image } of list) stickers.set(id, image);
+}
+
+/**
+ * Sticker effect.
+ * Draws an image from the sticker library over the face, fitted to it and
+ * turned with it. With autoVary, faces take the library's stickers in the
+ * order of their rank by seed (see rankBySeed()), so no two share one until
+ * there are more faces than stickers. Draws an emoji while the library is
+ * empty.
+ */
+export function applySticker(
+  ctx,
+  sourceCanvas,
+  faceBox,
+  intensity,
+  landmarks,
+  stickerId,
+  autoVary = false,
+  rank = 0,
+) {
+  const ids = [...stickers.keys()];
+  if (ids.length === 0) {
+    applyEmoji(ctx, sourceCanvas, faceBox, intensity, landmarks);
+    return;
+  }
+  const id = autoVary
+    ? ids[rank % ids.length]
+    : stickers.has(stickerId)
+      ? stickerId
+      : ids[0];
+  const sizeMultiplier = 0.6 + (intensity / 100) * 0.8;
+  const size = Math.max(faceBox.width, faceBox.height) * sizeMultiplier;
+  drawOverFace(ctx, faceBox, stickers.get(id), size);
+}
+
 /**
  * Solid Color fill effect.
  */
@@ -189,7 +521,7 @@ export function applySolidColor(
     y + height / 2,
     (width / 2) * 1.05,
     (height / 2) * 1.05,
-    0,
+    faceBox.angle || 0,
     0,
     Math.PI * 2,
   );
@@ -198,9 +530,16 @@ export function applySolidColor(
 
 /**
  * Digital Glitch effect.
- * Displaces horizontal slices and separates color channels.
+ * Displaces horizontal slices and separates color channels. The seed picks
+ * the pattern, so every render of a face looks the same.
  */
-export function applyGlitch(ctx, sourceCanvas, faceBox, intensity) {
+export function applyGlitch(ctx, sourceCanvas, faceBox, intensity, seed = 1) {
+  if (faceBox.angle) {
+    return applyUpright(ctx, faceBox, (layerCtx, box) =>
+      applyGlitch(layerCtx, layerCtx.canvas, box, intensity, seed),
+    );
+  }
+  const random = createRandom(seed);
   const { x, y, width, height } = faceBox;
   const fx = Math.round(Math.max(0, x));
   const fy = Math.round(Math.max(0, y));
@@ -216,8 +555,8 @@ export function applyGlitch(ctx, sourceCanvas, faceBox, intensity) {
 
   // Horizontal slice displacement
   for (let row = 0; row < fh; row++) {
-    if (Math.random() < 0.3 * strength) {
-      const shift = Math.floor((Math.random() - 0.5) * fw * 0.3 * strength);
+    if (random() < 0.3 * strength) {
+      const shift = Math.floor((random() - 0.5) * fw * 0.3 * strength);
       for (let col = 0; col < fw; col++) {
         const srcCol = Math.min(fw - 1, Math.max(0, col - shift));
         const dstIdx = (row * fw + col) * 4;
@@ -233,11 +572,9 @@ export function applyGlitch(ctx, sourceCanvas, faceBox, intensity) {
   // RGB channel separation on random bands
   const numBands = Math.floor(3 + strength * 8);
   for (let i = 0; i < numBands; i++) {
-    const bandY = Math.floor(Math.random() * fh);
-    const bandH = Math.floor(Math.random() * fh * 0.08) + 1;
-    const channelShift = Math.floor(
-      (Math.random() - 0.5) * fw * 0.15 * strength,
-    );
+    const bandY = Math.floor(random() * fh);
+    const bandH = Math.floor(random() * fh * 0.08) + 1;
+    const channelShift = Math.floor((random() - 0.5) * fw * 0.15 * strength);
 
     for (let row = bandY; row < Math.min(fh, bandY + bandH); row++) {
       for (let col = 0; col < fw; col++) {
@@ -259,6 +596,11 @@ export function applyGlitch(ctx, sourceCanvas, faceBox, intensity) {
  * Pixel-by-pixel polar coordinate remapping.
  */
 export function applySwirl(ctx, sourceCanvas, faceBox, intensity) {
+  if (faceBox.angle) {
+    return applyUpright(ctx, faceBox, (layerCtx, box) =>
+      applySwirl(layerCtx, layerCtx.canvas, box, intensity),
+    );
+  }
   const { x, y, width, height } = faceBox;
   const fx = Math.round(Math.max(0, x));
   const fy = Math.round(Math.max(0, y));
@@ -328,10 +670,11 @@ export function applySilhouette(
   const color = `rgb(${r},${g},${b})`;
 
   if (landmarks && landmarks.positions && landmarks.positions.length >= 17) {
-    // Use jawline + estimated forehead
-    const jaw = landmarks.positions.slice(0, 17);
-    const leftBrow = landmarks.positions.slice(17, 22);
-    const rightBrow = landmarks.positions.slice(22, 27);
+    // Use jawline + estimated forehead, worked out in the upright frame
+    const upright = toFaceFrame(landmarks.positions.slice(0, 27), faceBox);
+    const jaw = upright.slice(0, 17);
+    const leftBrow = upright.slice(17, 22);
+    const rightBrow = upright.slice(22, 27);
 
     // Estimate forehead points above eyebrows
     const browTop = Math.min(
@@ -340,30 +683,32 @@ export function applySilhouette(
     );
     const foreheadHeight = (browTop - faceBox.y) * 0.6;
 
-    ctx.beginPath();
-    ctx.moveTo(jaw[0].x, jaw[0].y);
-    for (const p of jaw) {
-      ctx.lineTo(p.x, p.y);
-    }
+    ctx.fillStyle = color;
+    inFaceFrame(ctx, faceBox, () => {
+      ctx.beginPath();
+      ctx.moveTo(jaw[0].x, jaw[0].y);
+      for (const p of jaw) {
+        ctx.lineTo(p.x, p.y);
+      }
 
-    // Forehead curve
-    const rightTop = rightBrow[rightBrow.length - 1];
-    const leftTop = leftBrow[0];
-    ctx.lineTo(rightTop.x, rightTop.y - foreheadHeight);
-
-    // Arc across forehead
-    const midX = (leftTop.x + rightTop.x) / 2;
-    ctx.quadraticCurveTo(
-      midX,
-      browTop - foreheadHeight * 1.5,
-      leftTop.x,
-      leftTop.y - foreheadHeight,
-    );
-    ctx.lineTo(jaw[0].x, jaw[0].y);
+      // Forehead curve
+      const rightTop = rightBrow[rightBrow.length - 1];
+      const leftTop = leftBrow[0];
+      ctx.lineTo(rightTop.x, rightTop.y - foreheadHeight);
 
-    ctx.closePath();
-    ctx.fillStyle = color;
-    ctx.fill();
+      // Arc across forehead
+      const midX = (leftTop.x + rightTop.x) / 2;
+      ctx.quadraticCurveTo(
+        midX,
+        browTop - foreheadHeight * 1.5,
+        leftTop.x,
+        leftTop.y - foreheadHeight,
+      );
+      ctx.lineTo(jaw[0].x, jaw[0].y);
+
+      ctx.closePath();
+      ctx.fill();
+    });
   } else {
     // Ellipse fallback
     const { x, y, width, height } = faceBox;
@@ -374,7 +719,7 @@ export function applySilhouette(
       y + height / 2,
       (width / 2) * 1.05,
       (height / 2) * 1.15,
-      0,
+      faceBox.angle || 0,
       0,
       Math.PI * 2,
     );
@@ -384,9 +729,24 @@ export function applySilhouette(
 
 /**
  * Redact effect (official document style).
- * Black rectangle with subtle texture.
+ * Black rectangle with subtle texture and an optional label.
  */
-export function applyRedact(ctx, _sourceCanvas, faceBox, _intensity) {
+export function applyRedact(
+  ctx,
+  _sourceCanvas,
+  faceBox,
+  _intensity,
+  _landmarks,
+  label = "",
+  seed = 0,
+) {
+  inFaceFrame(ctx, faceBox, () => {
+    drawRedaction(ctx, faceBox, createRandom(seed));
+    if (label) drawRedactionLabel(ctx, faceBox, label);
+  });
+}
+
+function drawRedaction(ctx, faceBox, random) {
   const { x, y, width, height } = faceBox;
   const pad = 4;
 
@@ -403,66 +763,576 @@ export function applyRedact(ctx, _sourceCanvas, faceBox, _intensity) {
   // Rough edges
   ctx.fillStyle = "rgba(0,0,0,0.6)";
   for (let i = 0; i < 15; i++) {
-    const ex = x - pad + Math.random() * (width + pad * 2);
-    const ey = y - pad + (Math.random() < 0.5 ? 0 : height + pad * 2);
+    const ex = x - pad + random() * (width + pad * 2);
+    const ey = y - pad + (random() < 0.5 ? 0 : height + pad * 2);
     ctx.fillRect(ex - 1, ey - 1, 3, 3);
   }
 }
 
 /**
- * Apply an effect by ID.
+ * White label centred on a redaction box, shrunk to fit its width.
  */
-export function applyEffect(
+function drawRedactionLabel(ctx, faceBox, label) {
+  const { x, y, width, height } = faceBox;
+  let size = height * 0.2;
+  ctx.save();
+  ctx.font = `bold ${size}px sans-serif`;
+  const textWidth = ctx.measureText(label).width;
+  if (textWidth > width * 0.9) {
+    size *= (width * 0.9) / textWidth;
+    ctx.font = `bold ${size}px sans-serif`;
+  }
+  ctx.fillStyle = "#ffffff";
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.fillText(label, x + width / 2, y + height / 2);
+  ctx.restore();
+}
+
+/**
+ * Face label tag: white text on a black pill across the bottom of the face
+ * box, drawn over effects that don't show the label themselves.
+ */
+export function drawFaceLabel(ctx, faceBox, label) {
+  inFaceFrame(ctx, faceBox, () => {
+    const { x, y, width, height } = faceBox;
+    let size = Math.max(10, height * 0.12);
+    ctx.save();
+    ctx.font = `bold ${size}px sans-serif`;
+    const textWidth = ctx.measureText(label).width;
+    if (textWidth > width * 0.9) {
+      size = Math.max(8, size * ((width * 0.9) / textWidth));
+      ctx.font = `bold ${size}px sans-serif`;
+    }
+    const tagWidth = Math.min(ctx.measureText(label).width, width) + size;
+    const tagHeight = size * 1.5;
+    const tx = x + (width - tagWidth) / 2;
+    const ty = y + height - tagHeight * 1.2;
+
+    ctx.fillStyle = "rgba(0,0,0,0.85)";
+    ctx.beginPath();
+    ctx.roundRect(tx, ty, tagWidth, tagHeight, tagHeight / 2);
+    ctx.fill();
+    ctx.fillStyle = "#ffffff";
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.fillText(label, x + width / 2, ty + tagHeight / 2);
+    ctx.restore();
+  });
+}
+
+/**
+ * Render an effect onto a layer for cutting to an outline. The layer is a
+ * copy of the canvas around `area`, plus `margin`; the effect is drawn
+ * with its own shape grown to cover `outlineBox`, which may be turned by
+ * its angle.
+ * @returns {{ layer, layerCtx, lx, ly } | null} Null if off the canvas
+ */
+function effectLayer(
   ctx,
   sourceCanvas,
   faceBox,
+  area,
+  outlineBox,
+  margin,
   effectId,
   intensity,
   landmarks,
-  options = {},
+  params,
 ) {
-  switch (effectId) {
-    case "blur":
-      return applyBlur(ctx, sourceCanvas, faceBox, intensity);
-    case "pixelate":
-      return applyPixelate(ctx, sourceCanvas, faceBox, intensity);
-    case "black-bar-eyes":
-      return applyBlackBarEyes(
-        ctx,
-        sourceCanvas,
-        faceBox,
-        intensity,
-        landmarks,
-      );
-    case "blackout":
-      return applyBlackout(ctx, sourceCanvas, faceBox, intensity);
-    case "emoji":
-      return applyEmoji(
-        ctx,
-        sourceCanvas,
-        faceBox,
-        intensity,
-        landmarks,
-        options.emoji,
-      );
-    case "solid-color":
-      return applySolidColor(
-        ctx,
-        sourceCanvas,
-        faceBox,
-        intensity,
-        landmarks,
-        options.color,
+  const lx = Math.max(0, Math.floor(area.x - margin));
+  const ly = Math.max(0, Math.floor(area.y - margin));
+  const lw =
+    Math.min(sourceCanvas.width, Math.ceil(area.x + area.width + margin)) - lx;
+  const lh =
+    Math.min(sourceCanvas.height, Math.ceil(area.y + area.height + margin)) -
+    ly;
+  if (lw <= 0 || lh <= 0) return null;
+
+  const layer = createCanvas(lw, lh);
+  const layerCtx = layer.getContext("2d");
+  layerCtx.drawImage(ctx.canvas, lx, ly, lw, lh, 0, 0, lw, lh);
+  const source = createCanvas(lw, lh);
+  source.getContext("2d").drawImage(sourceCanvas, lx, ly, lw, lh, 0, 0, lw, lh);
+
+  const effect = getEffect(effectId);
+  if (effect.followsCoverage === false) {
+    // A feature effect keeps its landmark position; the outline only trims it
+    const local = landmarks?.positions && {
+      positions: landmarks.positions.map((p) => ({
+        x: p.x - lx,
+        y: p.y - ly,
+      })),
+    };
+    const bar = { ...faceBox, x: faceBox.x - lx, y: faceBox.y - ly };
+    applyEffect(layerCtx, source, bar, effectId, intensity, local, params);
+  } else {
+    // An ellipse inscribed in a box √2 larger covers the whole outline box
+    const cover = {
+      x: outlineBox.x - lx - (outlineBox.width * (Math.SQRT2 - 1)) / 2,
+      y: outlineBox.y - ly - (outlineBox.height * (Math.SQRT2 - 1)) / 2,
+      width: outlineBox.width * Math.SQRT2,
+      height: outlineBox.height * Math.SQRT2,
+      angle: outlineBox.angle,
+    };
+    const faceSize = Math.min(faceBox.width, faceBox.height);
+    const strength = effect.sizeScaled
+      ? (intensity * faceSize) / Math.min(cover.width, cover.height)
+      : intensity;
+    applyEffect(layerCtx, source, cover, effectId, strength, null, params);
+  }
+  return { layer, layerCtx, lx, ly };
+}
+
+/**
+ * Apply an effect clipped to a head mask instead of its own shape.
+ * The effect renders on a layer cropped around the mask, grown so its
+ * ellipse covers the whole mask box, then the layer is cut to the mask with
+ * a feathered edge and drawn back.
+ * @param {object} faceBox - The face; sets effect strength and eye bar position
+ * @param {object} mask - { box, width, height, alpha }, see segmentation.js
+ */
+export function applyMaskedEffect(
+  ctx,
+  sourceCanvas,
+  faceBox,
+  mask,
+  effectId,
+  intensity,
+  landmarks,
+  params = {},
+) {
+  const { box } = mask;
+  const faceSize = Math.min(faceBox.width, faceBox.height);
+  const feather = Math.max(1, faceSize * MASK_FEATHER);
+
+  // Layer bounds: the mask box plus room for the feathered edge
+  const result = effectLayer(
+    ctx,
+    sourceCanvas,
+    faceBox,
+    box,
+    box,
+    Math.ceil(feather * 2),
+    effectId,
+    intensity,
+    landmarks,
+    params,
+  );
+  if (!result) return;
+  const { layer, layerCtx, lx, ly } = result;
+
+  // Keep the layer only inside the mask, with a soft edge where supported
+  layerCtx.globalCompositeOperation = "destination-in";
+  if (typeof layerCtx.filter !== "undefined") {
+    layerCtx.filter = `blur(${feather / 2}px)`;
+  }
+  layerCtx.drawImage(
+    maskToCanvas(mask),
+    box.x - lx,
+    box.y - ly,
+    box.width,
+    box.height,
+  );
+  layerCtx.filter = "none";
+  layerCtx.globalCompositeOperation = "source-over";
+
+  ctx.drawImage(layer, lx, ly);
+}
+
+// ---- Mask Shapes ----
+
+/**
+ * Face outline from landmarks, in the face's upright frame: the jaw, then
+ * the brows lifted into a domed forehead as in applySilhouette().
+ */
+function contourPoints(faceBox, landmarks) {
+  const upright = toFaceFrame(landmarks.positions.slice(0, 27), faceBox);
+  const jaw = upright.slice(0, 17);
+  const brows = upright.slice(17, 27).reverse();
+  const browTop = Math.min(...brows.map((p) => p.y));
+  const lift = Math.max(browTop - faceBox.y, faceBox.height * 0.1) * 0.6;
+  const left = brows[brows.length - 1].x;
+  const right = brows[0].x;
+  const mid = (left + right) / 2;
+  const half = Math.max(1, (right - left) / 2);
+  const forehead = brows.map((p) => {
+    const centrality = 1 - Math.min(1, Math.abs(p.x - mid) / half);
+    return { x: p.x, y: p.y - lift * (1 + 0.5 * centrality) };
+  });
+  return [...jaw, ...forehead];
+}
+
+/**
+ * Where a mask shape lies: the box it fits in, centred on the face and
+ * turned with it, and a function tracing its path in the face's upright
+ * frame. The face contour needs 68-point landmarks and is an ellipse
+ * without them.
+ */
+function maskShapeOutline(faceBox, shape, landmarks) {
+  const { x, y, width, height } = faceBox;
+  const contour =
+    shape === "contour" && landmarks?.positions?.length >= 27
+      ? contourPoints(faceBox, landmarks)
+      : null;
+
+  let outlineBox = faceBox;
+  if (contour) {
+    // Grow the box evenly about the face centre to take in the contour
+    const cx = x + width / 2;
+    const cy = y + height / 2;
+    const halfW = Math.max(
+      width / 2,
+      ...contour.map((p) => Math.abs(p.x - cx)),
+    );
+    const halfH = Math.max(
+      height / 2,
+      ...contour.map((p) => Math.abs(p.y - cy)),
+    );
+    outlineBox = {
+      x: cx - halfW,
+      y: cy - halfH,
+      width: halfW * 2,
+      height: halfH * 2,
+      angle: faceBox.angle,
+    };
+  }
+
+  const trace = (ctx) => {
+    ctx.beginPath();
+    if (contour) {
+      ctx.moveTo(contour[0].x, contour[0].y);
+      for (const p of contour) ctx.lineTo(p.x, p.y);
+      ctx.closePath();
+    } else if (shape === "rectangle") {
+      ctx.rect(x, y, width, height);
+    } else if (shape === "rounded") {
+      const r = Math.min(width, height) * 0.25;
+      ctx.moveTo(x + r, y);
+      ctx.arcTo(x + width, y, x + width, y + height, r);
+      ctx.arcTo(x + width, y + height, x, y + height, r);
+      ctx.arcTo(x, y + height, x, y, r);
+      ctx.arcTo(x, y, x + width, y, r);
+      ctx.closePath();
+    } else {
+      ctx.ellipse(
+        x + width / 2,
+        y + height / 2,
+        width / 2,
+        height / 2,
+        0,
+        0,
+        Math.PI * 2,
       );
-    case "glitch":
-      return applyGlitch(ctx, sourceCanvas, faceBox, intensity);
-    case "swirl":
-      return applySwirl(ctx, sourceCanvas, faceBox, intensity);
-    case "silhouette":
-      return applySilhouette(ctx, sourceCanvas, faceBox, intensity, landmarks);
-    case "redact":
-      return applyRedact(ctx, sourceCanvas, faceBox, intensity);
-    default:
-      return applyBlur(ctx, sourceCanvas, faceBox, intensity);
+    }
+  };
+  return { outlineBox, trace };
+}
+
+/**
+ * Apply an effect through a mask shape (see MASK_SHAPES) instead of its
+ * own outline. Works like applyMaskedEffect(), with the shape's path as
+ * the mask.
+ * @param {string} shape - "ellipse", "rectangle", "rounded" or "contour"
+ * @param {number} feather - Width of the soft edge, as a fraction of face size
+ * @param {object} landmarks - Outlines the face contour; the effect itself
+ *   only gets them if it follows a feature (the eye bar)
+ */
+export function applyShapedEffect(
+  ctx,
+  sourceCanvas,
+  faceBox,
+  shape,
+  feather,
+  effectId,
+  intensity,
+  landmarks,
+  params = {},
+) {
+  const { outlineBox, trace } = maskShapeOutline(faceBox, shape, landmarks);
+  const featherPx = feather * Math.min(faceBox.width, faceBox.height);
+  const result = effectLayer(
+    ctx,
+    sourceCanvas,
+    faceBox,
+    rotatedBounds(outlineBox),
+    outlineBox,
+    Math.ceil(featherPx),
+    effectId,
+    intensity,
+    landmarks,
+    params,
+  );
+  if (!result) return;
+  const { layer, layerCtx, lx, ly } = result;
+
+  // Keep the layer only inside the shape, softened where supported
+  layerCtx.globalCompositeOperation = "destination-in";
+  if (featherPx > 0 && typeof layerCtx.filter !== "undefined") {
+    layerCtx.filter = `blur(${featherPx / 2}px)`;
   }
+  layerCtx.translate(-lx, -ly);
+  inFaceFrame(layerCtx, faceBox, () => {
+    trace(layerCtx);
+    layerCtx.fill();
+  });
+  layerCtx.setTransform(1, 0, 0, 1, 0, 0);
+  layerCtx.filter = "none";
+  layerCtx.globalCompositeOperation = "source-over";
+
+  ctx.drawImage(layer, lx, ly);
+}
+
+/**
+ * Apply an effect by ID (see effect-registry.js). Params the caller leaves
+ * out take their declared defaults.
+ */
+export function applyEffect(
+  ctx,
+  sourceCanvas,
+  faceBox,
+  effectId,
+  intensity,
+  landmarks,
+  params = {},
+) {
+  const effect = getEffect(effectId);
+  return effect.render(ctx, sourceCanvas, faceBox, intensity, landmarks, {
+    ...paramDefaults(effect),
+    ...params,
+  });
 }
+
+// ---- Built-in effects ----
+// Registration order is the mode grid order and the 1-9/0 shortcut order.
+
+// The strength slider, labelled for what it changes in each effect
+function intensityParam(label, defaultValue) {
+  return {
+    id: "intensity",
+    type: "range",
+    label,
+    min: 0,
+    max: 100,
+    default: defaultValue,
+    unit: "%",
+  };
+}
+
+// Blur and pixelate: replace the face before styling it, so nothing of it
+// can be recovered (see scrubbedSource())
+const SECURE_PARAM = {
+  id: "secure",
+  type: "toggle",
+  label: "Secure mode",
+  default: false,
+};
+
+registerEffect({
+  id: "blur",
+  name: "Blur",
+  description: "Gaussian blur",
+  icon: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10" opacity=".3"/><circle cx="12" cy="12" r="7" opacity=".5"/><circle cx="12" cy="12" r="4"/></svg>`,
+  sizeScaled: true,
+  params: [intensityParam("Blur radius", 70), SECURE_PARAM],
+  render: (ctx, sourceCanvas, faceBox, intensity, landmarks, params) =>
+    applyBlur(
+      ctx,
+      sourceCanvas,
+      faceBox,
+      intensity,
+      landmarks,
+      params.secure,
+      params.faceSeed,
+    ),
+});
+
+registerEffect({
+  id: "pixelate",
+  name: "Pixelate",
+  description: "Mosaic blocks",
+  icon: `<svg viewBox="0 0 24 24" fill="currentColor"><rect x="2" y="2" width="5" height="5"/><rect x="9" y="2" width="5" height="5" opacity=".7"/><rect x="16" y="2" width="5" height="5"/><rect x="2" y="9" width="5" height="5" opacity=".7"/><rect x="9" y="9" width="5" height="5"/><rect x="16" y="9" width="5" height="5" opacity=".7"/><rect x="2" y="16" width="5" height="5"/><rect x="9" y="16" width="5" height="5" opacity=".7"/><rect x="16" y="16" width="5" height="5"/></svg>`,
+  sizeScaled: true,
+  params: [intensityParam("Block size", 50), SECURE_PARAM],
+  render: (ctx, sourceCanvas, faceBox, intensity, landmarks, params) =>
+    applyPixelate(
+      ctx,
+      sourceCanvas,
+      faceBox,
+      intensity,
+      landmarks,
+      params.secure,
+      params.faceSeed,
+    ),
+});
+
+registerEffect({
+  id: "black-bar-eyes",
+  name: "Eye Bar",
+  description: "Black bar on eyes",
+  icon: `<svg viewBox="0 0 24 24" fill="currentColor"><rect x="2" y="9" width="20" height="6" rx="1"/></svg>`,
+  requiresLandmarks: true,
+  followsCoverage: false,
+  params: [intensityParam("Bar thickness", 60)],
+  render: applyBlackBarEyes,
+});
+
+registerEffect({
+  id: "blackout",
+  name: "Blackout",
+  description: "Solid black face",
+  icon: `<svg viewBox="0 0 24 24" fill="currentColor"><circle cx="12" cy="12" r="10"/></svg>`,
+  render: applyBlackout,
+});
+
+registerEffect({
+  id: "emoji",
+  name: "Emoji",
+  description: "Emoji overlay",
+  icon: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><path d="M8 14s1.5 2 4 2 4-2 4-2"/><line x1="9" y1="9" x2="9.01" y2="9" stroke-width="3" stroke-linecap="round"/><line x1="15" y1="9" x2="15.01" y2="9" stroke-width="3" stroke-linecap="round"/></svg>`,
+  params: [
+    intensityParam("Size", 60),
+    {
+      id: "emoji",
+      type: "emoji",
+      label: "Choose Emoji",
+      default: EMOJI_SET[0].emoji,
+      options: EMOJI_SET.map((e) => e.emoji),
+    },
+    {
+      id: "style",
+      type: "select",
+      label: "Emoji Style",
+      default: "bundled",
+      options: [
+        { value: "bundled", label: "Built-in (same on every device)" },
+        { value: "system", label: "System font" },
+      ],
+    },
+  ],
+  render: (ctx, sourceCanvas, faceBox, intensity, landmarks, params) =>
+    applyEmoji(
+      ctx,
+      sourceCanvas,
+      faceBox,
+      intensity,
+      landmarks,
+      params.emoji,
+      params.style,
+    ),
+});
+
+registerEffect({
+  id: "solid-color",
+  name: "Color",
+  description: "Solid color fill",
+  icon: `<svg viewBox="0 0 24 24" fill="currentColor"><rect x="3" y="3" width="18" height="18" rx="4" fill="var(--accent)"/></svg>`,
+  params: [
+    { id: "color", type: "color", label: "Choose Color", default: "#ff0000" },
+  ],
+  render: (ctx, sourceCanvas, faceBox, intensity, landmarks, params) =>
+    applySolidColor(
+      ctx,
+      sourceCanvas,
+      faceBox,
+      intensity,
+      landmarks,
+      params.color,
+    ),
+});
+
+registerEffect({
+  id: "glitch",
+  name: "Glitch",
+  description: "Digital glitch",
+  icon: `<svg viewBox="0 0 24 24" fill="currentColor"><rect x="2" y="3" width="20" height="3"/><rect x="5" y="8" width="14" height="3" fill="var(--error)"/><rect x="0" y="13" width="18" height="3"/><rect x="6" y="18" width="16" height="3" fill="var(--accent)"/></svg>`,
+  params: [
+    intensityParam("Strength", 60),
+    {
+      id: "seed",
+      type: "number",
+      label: "Seed",
+      default: 1,
+      min: 0,
+      max: 9999,
+    },
+  ],
+  randomized: true,
+  render: (ctx, sourceCanvas, faceBox, intensity, landmarks, params) =>
+    applyGlitch(
+      ctx,
+      sourceCanvas,
+      faceBox,
+      intensity,
+      // The Seed setting varies every face; rerolling varies one
+      params.seed ^ params.faceSeed,
+    ),
+});
+
+registerEffect({
+  id: "swirl",
+  name: "Swirl",
+  description: "Spiral distortion",
+  icon: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M12 12c0-3 2.5-5 5-5s4 2 4 4-1.5 3-3 3-2.5-1-2.5-2.5S17 9 18 9"/><path d="M12 12c0 3-2.5 5-5 5s-4-2-4-4 1.5-3 3-3 2.5 1 2.5 2.5S7 15 6 15"/></svg>`,
+  params: [intensityParam("Twist", 60)],
+  render: applySwirl,
+});
+
+registerEffect({
+  id: "silhouette",
+  name: "Silhouette",
+  description: "Dark silhouette",
+  icon: `<svg viewBox="0 0 24 24" fill="currentColor"><ellipse cx="12" cy="10" rx="7" ry="9" opacity=".8"/></svg>`,
+  requiresLandmarks: true,
+  params: [intensityParam("Darkness", 80)],
+  render: applySilhouette,
+});
+
+registerEffect({
+  id: "redact",
+  name: "Redact",
+  description: "Document redaction",
+  icon: `<svg viewBox="0 0 24 24" fill="currentColor"><rect x="2" y="4" width="20" height="16" rx="1"/><line x1="4" y1="8" x2="20" y2="8" stroke="rgba(255,255,255,.1)" stroke-width="1"/><line x1="4" y1="12" x2="20" y2="12" stroke="rgba(255,255,255,.1)" stroke-width="1"/><line x1="4" y1="16" x2="20" y2="16" stroke="rgba(255,255,255,.1)" stroke-width="1"/></svg>`,
+  params: [{ id: "label", type: "text", label: "Label", default: "" }],
+  randomized: true,
+  drawsLabel: true,
+  render: (ctx, sourceCanvas, faceBox, intensity, landmarks, params) =>
+    applyRedact(
+      ctx,
+      sourceCanvas,
+      faceBox,
+      intensity,
+      landmarks,
+      // A face label ("Person 1") replaces the effect's own text
+      params.faceLabel || params.label,
+      params.faceSeed,
+    ),
+});
+registerEffect({
+  id: "sticker",
+  name: "Sticker",
+  description: "Your own images",
+  icon: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M20 12V6a2 2 0 0 0-2-2H6a2 2 0 0 0-2 2v12a2 2 0 0 0 2 2h6z"/><path d="M20 12h-6a2 2 0 0 0-2 2v6"/></svg>`,
+  params: [
+    intensityParam("Size", 60),
+    { id: "sticker", type: "sticker", label: "Choose Sticker", default: null },
+    {
+      id: "autoVary",
+      type: "toggle",
+      label: "Different sticker for each face",
+      default: false,
+    },
+  ],
+  randomized: true,
+  render: (ctx, sourceCanvas, faceBox, intensity, landmarks, params) =>
+    applySticker(
+      ctx,
+      sourceCanvas,
+      faceBox,
+      intensity,
+      landmarks,
+      params.sticker,
+      params.autoVary,
+      params.faceRank,
+    ),
+});
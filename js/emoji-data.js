@@ -0,0 +1,1500 @@
+// Emoji offered by the Emoji effect: the Smileys & Emotion and Animals &
+// Nature groups of Unicode emoji, plus a few favourites from elsewhere.
+// Each has a Twemoji image in assets/emoji (see emoji-set.js and the
+// LICENSE file there). Names follow Unicode; keywords, which the picker
+// also searches, come from emojilib. Keep sw.js EMOJI_FILES in step.
+
+export const EMOJI_SET = [
+  {
+    emoji: "😀",
+    name: "Grinning face",
+    keywords: ["smile", "happy", "joy", "grin", "smiley"],
+  },
+  {
+    emoji: "😃",
+    name: "Grinning face with big eyes",
+    keywords: ["happy", "joy", "haha", "smile", "funny"],
+  },
+  {
+    emoji: "😄",
+    name: "Grinning face with smiling eyes",
+    keywords: ["happy", "joy", "funny", "haha", "laugh"],
+  },
+  {
+    emoji: "😁",
+    name: "Beaming face with smiling eyes",
+    keywords: ["happy", "smile", "joy", "kawaii", "eye"],
+  },
+  {
+    emoji: "😆",
+    name: "Grinning squinting face",
+    keywords: ["happy", "joy", "lol", "satisfied", "haha"],
+  },
+  {
+    emoji: "😅",
+    name: "Grinning face with sweat",
+    keywords: ["hot", "happy", "laugh", "smile", "relief"],
+  },
+  {
+    emoji: "🤣",
+    name: "Rolling on the floor laughing",
+    keywords: ["face", "lol", "haha", "rofl", "laugh"],
+  },
+  {
+    emoji: "😂",
+    name: "Face with tears of joy",
+    keywords: ["cry", "weep", "happy", "happytears", "haha"],
+  },
+  {
+    emoji: "🙂",
+    name: "Slightly smiling face",
+    keywords: ["smile", "fine", "happy", "this"],
+  },
+  {
+    emoji: "🙃",
+    name: "Upside-down face",
+    keywords: ["flipped", "silly", "smile", "sarcasm"],
+  },
+  {
+    emoji: "🫠",
+    name: "Melting face",
+    keywords: ["hot", "heat", "disappear", "dissolve", "dread"],
+  },
+  {
+    emoji: "😉",
+    name: "Winking face",
+    keywords: ["happy", "mischievous", "secret", "smile", "eye"],
+  },
+  {
+    emoji: "😊",
+    name: "Smiling face with smiling eyes",
+    keywords: ["smile", "happy", "flushed", "crush", "embarrassed"],
+  },
+  {
+    emoji: "😇",
+    name: "Smiling face with halo",
+    keywords: ["angel", "heaven", "innocent", "fairy", "fantasy"],
+  },
+  {
+    emoji: "🥰",
+    name: "Smiling face with hearts",
+    keywords: ["love", "like", "affection", "valentines", "infatuation"],
+  },
+  {
+    emoji: "😍",
+    name: "Smiling face with heart-eyes",
+    keywords: ["love", "like", "affection", "valentines", "infatuation"],
+  },
+  {
+    emoji: "🤩",
+    name: "Star-struck",
+    keywords: ["face", "smile", "starry", "eyes", "grinning"],
+  },
+  {
+    emoji: "😘",
+    name: "Face blowing a kiss",
+    keywords: ["love", "like", "affection", "valentines", "infatuation"],
+  },
+  {
+    emoji: "😗",
+    name: "Kissing face",
+    keywords: ["love", "like", "3", "valentines", "infatuation"],
+  },
+  {
+    emoji: "☺️",
+    name: "Smiling face",
+    keywords: ["blush", "massage", "happiness", "happy", "outlined"],
+  },
+  {
+    emoji: "😚",
+    name: "Kissing face with closed eyes",
+    keywords: ["love", "like", "affection", "valentines", "infatuation"],
+  },
+  {
+    emoji: "😙",
+    name: "Kissing face with smiling eyes",
+    keywords: ["affection", "valentines", "infatuation", "kiss", "eye"],
+  },
+  {
+    emoji: "🥲",
+    name: "Smiling face with tear",
+    keywords: ["sad", "cry", "pretend", "grateful", "happy"],
+  },
+  {
+    emoji: "😋",
+    name: "Face savoring food",
+    keywords: ["happy", "joy", "tongue", "smile", "silly"],
+  },
+  {
+    emoji: "😛",
+    name: "Face with tongue",
+    keywords: ["prank", "childish", "playful", "mischievous", "smile"],
+  },
+  {
+    emoji: "😜",
+    name: "Winking face with tongue",
+    keywords: ["prank", "childish", "playful", "mischievous", "smile"],
+  },
+  {
+    emoji: "🤪",
+    name: "Zany face",
+    keywords: ["goofy", "crazy", "excited", "eye", "eyes"],
+  },
+  {
+    emoji: "😝",
+    name: "Squinting face with tongue",
+    keywords: ["prank", "playful", "mischievous", "smile", "closed"],
+  },
+  {
+    emoji: "🤑",
+    name: "Money-mouth face",
+    keywords: ["rich", "dollar", "money", "eyes", "sign"],
+  },
+  {
+    emoji: "🤗",
+    name: "Smiling face with open hands",
+    keywords: ["smile", "hug", "hugs"],
+  },
+  {
+    emoji: "🤭",
+    name: "Face with hand over mouth",
+    keywords: ["whoops", "shock", "surprise", "blushing", "covering"],
+  },
+  {
+    emoji: "🫢",
+    name: "Face with open eyes and hand over mouth",
+    keywords: ["silence", "secret", "shock", "surprise", "amazement"],
+  },
+  {
+    emoji: "🫣",
+    name: "Face with peeking eye",
+    keywords: ["scared", "frightening", "embarrassing", "shy", "captivated"],
+  },
+  {
+    emoji: "🤫",
+    name: "Shushing face",
+    keywords: ["quiet", "shhh", "closed", "covering", "finger"],
+  },
+  {
+    emoji: "🤔",
+    name: "Thinking face",
+    keywords: ["hmmm", "think", "consider", "chin", "shade"],
+  },
+  {
+    emoji: "🫡",
+    name: "Saluting face",
+    keywords: ["respect", "salute", "ok", "sunny", "troops"],
+  },
+  {
+    emoji: "🤐",
+    name: "Zipper-mouth face",
+    keywords: ["sealed", "zipper", "secret", "hush", "lips"],
+  },
+  {
+    emoji: "🤨",
+    name: "Face with raised eyebrow",
+    keywords: [
+      "distrust",
+      "scepticism",
+      "disapproval",
+      "disbelief",
+      "surprise",
+    ],
+  },
+  {
+    emoji: "😐",
+    name: "Neutral face",
+    keywords: ["indifference", "meh", "deadpan", "faced", "mouth"],
+  },
+  {
+    emoji: "😑",
+    name: "Expressionless face",
+    keywords: ["indifferent", "meh", "deadpan", "inexpressive", "mouth"],
+  },
+  {
+    emoji: "😶",
+    name: "Face without mouth",
+    keywords: ["blank", "mouthless", "mute", "no", "quiet"],
+  },
+  {
+    emoji: "🫥",
+    name: "Dotted line face",
+    keywords: ["invisible", "lonely", "isolation", "depression", "depressed"],
+  },
+  {
+    emoji: "😶‍🌫️",
+    name: "Face in clouds",
+    keywords: ["shower", "steam", "dream", "absentminded", "brain"],
+  },
+  {
+    emoji: "😏",
+    name: "Smirking face",
+    keywords: ["smile", "mean", "prank", "smug", "sarcasm"],
+  },
+  {
+    emoji: "😒",
+    name: "Unamused face",
+    keywords: ["indifference", "bored", "straight face", "serious", "sarcasm"],
+  },
+  {
+    emoji: "🙄",
+    name: "Face with rolling eyes",
+    keywords: ["eyeroll", "frustrated", "eye", "roll"],
+  },
+  {
+    emoji: "😬",
+    name: "Grimacing face",
+    keywords: ["grimace", "teeth", "awkward", "eek", "nervous"],
+  },
+  {
+    emoji: "😮‍💨",
+    name: "Face exhaling",
+    keywords: ["relieve", "relief", "tired", "sigh", "exhale"],
+  },
+  {
+    emoji: "🤥",
+    name: "Lying face",
+    keywords: ["lie", "pinocchio", "liar", "long", "nose"],
+  },
+  {
+    emoji: "🫨",
+    name: "Shaking face",
+    keywords: ["dizzy", "shock", "blurry", "earthquake"],
+  },
+  {
+    emoji: "😌",
+    name: "Relieved face",
+    keywords: ["relaxed", "phew", "massage", "happiness", "content"],
+  },
+  {
+    emoji: "😔",
+    name: "Pensive face",
+    keywords: ["sad", "depressed", "upset", "dejected", "sadface"],
+  },
+  {
+    emoji: "😪",
+    name: "Sleepy face",
+    keywords: ["tired", "rest", "nap", "bubble", "side"],
+  },
+  { emoji: "🤤", name: "Drooling face", keywords: ["drool"] },
+  {
+    emoji: "😴",
+    name: "Sleeping face",
+    keywords: ["tired", "sleepy", "night", "zzz", "sleep"],
+  },
+  {
+    emoji: "😷",
+    name: "Face with medical mask",
+    keywords: ["sick", "ill", "disease", "covid", "cold"],
+  },
+  {
+    emoji: "🤒",
+    name: "Face with thermometer",
+    keywords: ["sick", "temperature", "cold", "fever", "covid"],
+  },
+  {
+    emoji: "🤕",
+    name: "Face with head-bandage",
+    keywords: ["injured", "clumsy", "bandage", "hurt", "bandaged"],
+  },
+  {
+    emoji: "🤢",
+    name: "Nauseated face",
+    keywords: ["vomit", "gross", "green", "sick", "throw up"],
+  },
+  {
+    emoji: "🤮",
+    name: "Face vomiting",
+    keywords: ["sick", "barf", "ill", "mouth", "open"],
+  },
+  {
+    emoji: "🤧",
+    name: "Sneezing face",
+    keywords: ["gesundheit", "sneeze", "sick", "allergy", "achoo"],
+  },
+  {
+    emoji: "🥵",
+    name: "Hot face",
+    keywords: ["feverish", "heat", "red", "sweating", "overheated"],
+  },
+  {
+    emoji: "🥶",
+    name: "Cold face",
+    keywords: ["blue", "freezing", "frozen", "frostbite", "icicles"],
+  },
+  {
+    emoji: "🥴",
+    name: "Woozy face",
+    keywords: ["dizzy", "intoxicated", "tipsy", "wavy", "drunk"],
+  },
+  {
+    emoji: "😵",
+    name: "Face with crossed-out eyes",
+    keywords: ["spent", "unconscious", "xox", "dizzy", "cross"],
+  },
+  {
+    emoji: "😵‍💫",
+    name: "Face with spiral eyes",
+    keywords: ["sick", "ill", "confused", "nauseous", "nausea"],
+  },
+  {
+    emoji: "🤯",
+    name: "Exploding head",
+    keywords: ["face", "shocked", "mind", "blown", "blowing"],
+  },
+  { emoji: "🤠", name: "Cowboy hat face", keywords: ["cowgirl"] },
+  {
+    emoji: "🥳",
+    name: "Partying face",
+    keywords: ["celebration", "woohoo", "birthday", "hat", "horn"],
+  },
+  {
+    emoji: "🥸",
+    name: "Disguised face",
+    keywords: ["pretent", "brows", "glasses", "moustache", "disguise"],
+  },
+  {
+    emoji: "😎",
+    name: "Smiling face with sunglasses",
+    keywords: ["cool", "smile", "summer", "beach", "sunglass"],
+  },
+  {
+    emoji: "🤓",
+    name: "Nerd face",
+    keywords: ["nerdy", "geek", "dork", "glasses", "smiling"],
+  },
+  {
+    emoji: "🧐",
+    name: "Face with monocle",
+    keywords: ["stuffy", "wealthy", "rich", "exploration", "inspection"],
+  },
+  {
+    emoji: "😕",
+    name: "Confused face",
+    keywords: ["indifference", "huh", "weird", "hmmm", "meh"],
+  },
+  {
+    emoji: "🫤",
+    name: "Face with diagonal mouth",
+    keywords: ["skeptic", "confuse", "frustrated", "indifferent", "confused"],
+  },
+  {
+    emoji: "😟",
+    name: "Worried face",
+    keywords: ["concern", "nervous", "sad", "sadface"],
+  },
+  {
+    emoji: "🙁",
+    name: "Slightly frowning face",
+    keywords: ["disappointed", "sad", "upset", "frown", "unhappy"],
+  },
+  {
+    emoji: "☹️",
+    name: "Frowning face",
+    keywords: ["sad", "upset", "frown", "megafrown", "unhappy"],
+  },
+  {
+    emoji: "😮",
+    name: "Face with open mouth",
+    keywords: ["surprise", "impressed", "wow", "whoa", "surprised"],
+  },
+  {
+    emoji: "😯",
+    name: "Hushed face",
+    keywords: ["woo", "shh", "silence", "speechless", "stunned"],
+  },
+  {
+    emoji: "😲",
+    name: "Astonished face",
+    keywords: ["xox", "surprised", "poisoned", "amazed", "gasp"],
+  },
+  {
+    emoji: "😳",
+    name: "Flushed face",
+    keywords: ["blush", "shy", "flattered", "blushing", "dazed"],
+  },
+  {
+    emoji: "🥺",
+    name: "Pleading face",
+    keywords: ["begging", "mercy", "cry", "tears", "sad"],
+  },
+  {
+    emoji: "🥹",
+    name: "Face holding back tears",
+    keywords: ["touched", "gratitude", "cry", "angry", "proud"],
+  },
+  {
+    emoji: "😦",
+    name: "Frowning face with open mouth",
+    keywords: ["aw", "what", "frown", "yawning"],
+  },
+  {
+    emoji: "😧",
+    name: "Anguished face",
+    keywords: ["stunned", "nervous", "pained"],
+  },
+  {
+    emoji: "😨",
+    name: "Fearful face",
+    keywords: ["scared", "terrified", "nervous", "fear", "oops"],
+  },
+  {
+    emoji: "😰",
+    name: "Anxious face with sweat",
+    keywords: ["nervous", "blue", "cold", "mouth", "open"],
+  },
+  {
+    emoji: "😥",
+    name: "Sad but relieved face",
+    keywords: ["phew", "sweat", "nervous", "disappointed", "eyebrow"],
+  },
+  {
+    emoji: "😢",
+    name: "Crying face",
+    keywords: ["tears", "sad", "depressed", "upset", "cry"],
+  },
+  {
+    emoji: "😭",
+    name: "Loudly crying face",
+    keywords: ["sobbing", "cry", "tears", "sad", "upset"],
+  },
+  {
+    emoji: "😱",
+    name: "Face screaming in fear",
+    keywords: ["munch", "scared", "omg", "alone", "fearful"],
+  },
+  {
+    emoji: "😖",
+    name: "Confounded face",
+    keywords: ["confused", "sick", "unwell", "oops", "mouth"],
+  },
+  {
+    emoji: "😣",
+    name: "Persevering face",
+    keywords: ["sick", "no", "upset", "oops", "eyes"],
+  },
+  {
+    emoji: "😞",
+    name: "Disappointed face",
+    keywords: ["sad", "upset", "depressed", "sadface"],
+  },
+  {
+    emoji: "😓",
+    name: "Downcast face with sweat",
+    keywords: ["hot", "sad", "tired", "exercise", "cold"],
+  },
+  {
+    emoji: "😩",
+    name: "Weary face",
+    keywords: ["tired", "sleepy", "sad", "frustrated", "upset"],
+  },
+  {
+    emoji: "😫",
+    name: "Tired face",
+    keywords: ["sick", "whine", "upset", "frustrated", "distraught"],
+  },
+  {
+    emoji: "🥱",
+    name: "Yawning face",
+    keywords: ["tired", "sleepy", "bored", "yawn"],
+  },
+  {
+    emoji: "😤",
+    name: "Face with steam from nose",
+    keywords: ["gas", "phew", "proud", "pride", "triumph"],
+  },
+  {
+    emoji: "😡",
+    name: "Enraged face",
+    keywords: ["angry", "mad", "hate", "despise", "grumpy"],
+  },
+  {
+    emoji: "😠",
+    name: "Angry face",
+    keywords: ["mad", "annoyed", "frustrated", "anger", "grumpy"],
+  },
+  {
+    emoji: "🤬",
+    name: "Face with symbols on mouth",
+    keywords: ["swearing", "cursing", "cussing", "profanity", "expletive"],
+  },
+  {
+    emoji: "😈",
+    name: "Smiling face with horns",
+    keywords: ["devil", "evil", "fairy", "fantasy", "happy"],
+  },
+  {
+    emoji: "👿",
+    name: "Angry face with horns",
+    keywords: ["devil", "demon", "evil", "fairy", "fantasy"],
+  },
+  {
+    emoji: "💀",
+    name: "Skull",
+    keywords: ["dead", "skeleton", "creepy", "death", "body"],
+  },
+  {
+    emoji: "☠️",
+    name: "Skull and crossbones",
+    keywords: ["poison", "danger", "deadly", "scary", "death"],
+  },
+  {
+    emoji: "💩",
+    name: "Pile of poo",
+    keywords: ["hankey", "shitface", "fail", "turd", "shit"],
+  },
+  { emoji: "🤡", name: "Clown face", keywords: ["mock"] },
+  {
+    emoji: "👹",
+    name: "Ogre",
+    keywords: ["monster", "red", "mask", "halloween", "scary"],
+  },
+  {
+    emoji: "👺",
+    name: "Goblin",
+    keywords: ["red", "evil", "mask", "monster", "scary"],
+  },
+  {
+    emoji: "👻",
+    name: "Ghost",
+    keywords: ["halloween", "spooky", "scary", "creature", "disappear"],
+  },
+  {
+    emoji: "👽",
+    name: "Alien",
+    keywords: ["ufo", "paul", "weird", "outer space", "creature"],
+  },
+  {
+    emoji: "👾",
+    name: "Alien monster",
+    keywords: ["game", "arcade", "play", "creature", "extraterrestrial"],
+  },
+  {
+    emoji: "🤖",
+    name: "Robot",
+    keywords: ["computer", "machine", "bot", "face", "monster"],
+  },
+  {
+    emoji: "😺",
+    name: "Grinning cat",
+    keywords: ["animal", "cats", "happy", "smile", "face"],
+  },
+  {
+    emoji: "😸",
+    name: "Grinning cat with smiling eyes",
+    keywords: ["animal", "cats", "smile", "eye", "face"],
+  },
+  {
+    emoji: "😹",
+    name: "Cat with tears of joy",
+    keywords: ["animal", "cats", "haha", "happy", "face"],
+  },
+  {
+    emoji: "😻",
+    name: "Smiling cat with heart-eyes",
+    keywords: ["animal", "love", "like", "affection", "cats"],
+  },
+  {
+    emoji: "😼",
+    name: "Cat with wry smile",
+    keywords: ["animal", "cats", "smirk", "face", "ironic"],
+  },
+  {
+    emoji: "😽",
+    name: "Kissing cat",
+    keywords: ["animal", "cats", "kiss", "closed", "eye"],
+  },
+  {
+    emoji: "🙀",
+    name: "Weary cat",
+    keywords: ["animal", "cats", "munch", "scared", "scream"],
+  },
+  {
+    emoji: "😿",
+    name: "Crying cat",
+    keywords: ["animal", "tears", "weep", "sad", "cats"],
+  },
+  {
+    emoji: "😾",
+    name: "Pouting cat",
+    keywords: ["animal", "cats", "face", "grumpy"],
+  },
+  {
+    emoji: "🙈",
+    name: "See-no-evil monkey",
+    keywords: ["animal", "nature", "haha", "blind", "covering"],
+  },
+  {
+    emoji: "🙉",
+    name: "Hear-no-evil monkey",
+    keywords: ["animal", "nature", "covering", "deaf", "ears"],
+  },
+  {
+    emoji: "🙊",
+    name: "Speak-no-evil monkey",
+    keywords: ["animal", "nature", "omg", "covering", "face"],
+  },
+  {
+    emoji: "💌",
+    name: "Love letter",
+    keywords: ["email", "like", "affection", "envelope", "valentines"],
+  },
+  {
+    emoji: "💘",
+    name: "Heart with arrow",
+    keywords: ["love", "like", "affection", "valentines", "cupid"],
+  },
+  {
+    emoji: "💝",
+    name: "Heart with ribbon",
+    keywords: ["love", "valentines", "box", "chocolate", "chocolates"],
+  },
+  {
+    emoji: "💖",
+    name: "Sparkling heart",
+    keywords: ["love", "like", "affection", "valentines", "excited"],
+  },
+  {
+    emoji: "💗",
+    name: "Growing heart",
+    keywords: ["like", "love", "affection", "valentines", "pink"],
+  },
+  {
+    emoji: "💓",
+    name: "Beating heart",
+    keywords: ["love", "like", "affection", "valentines", "pink"],
+  },
+  {
+    emoji: "💞",
+    name: "Revolving hearts",
+    keywords: ["love", "like", "affection", "valentines", "heart"],
+  },
+  {
+    emoji: "💕",
+    name: "Two hearts",
+    keywords: ["love", "like", "affection", "valentines", "heart"],
+  },
+  { emoji: "💟", name: "Heart decoration", keywords: ["love", "like"] },
+  {
+    emoji: "❣️",
+    name: "Heart exclamation",
+    keywords: ["decoration", "love", "above", "an", "as"],
+  },
+  {
+    emoji: "💔",
+    name: "Broken heart",
+    keywords: ["sad", "sorry", "break", "heartbreak", "breaking"],
+  },
+  {
+    emoji: "❤️‍🔥",
+    name: "Heart on fire",
+    keywords: ["passionate", "enthusiastic", "burn", "love", "lust"],
+  },
+  {
+    emoji: "❤️‍🩹",
+    name: "Mending heart",
+    keywords: ["broken heart", "bandage", "wounded", "bandaged", "healing"],
+  },
+  {
+    emoji: "❤️",
+    name: "Red heart",
+    keywords: ["love", "like", "valentines", "black", "heavy"],
+  },
+  { emoji: "🩷", name: "Pink heart", keywords: ["valentines"] },
+  {
+    emoji: "🧡",
+    name: "Orange heart",
+    keywords: ["love", "like", "affection", "valentines"],
+  },
+  {
+    emoji: "💛",
+    name: "Yellow heart",
+    keywords: ["love", "like", "affection", "valentines", "bf"],
+  },
+  {
+    emoji: "💚",
+    name: "Green heart",
+    keywords: ["love", "like", "affection", "valentines", "nct"],
+  },
+  {
+    emoji: "💙",
+    name: "Blue heart",
+    keywords: ["love", "like", "affection", "valentines", "brand"],
+  },
+  { emoji: "🩵", name: "Light blue heart", keywords: ["ice", "baby blue"] },
+  {
+    emoji: "💜",
+    name: "Purple heart",
+    keywords: ["love", "like", "affection", "valentines", "bts"],
+  },
+  { emoji: "🤎", name: "Brown heart", keywords: ["coffee"] },
+  { emoji: "🖤", name: "Black heart", keywords: ["evil", "dark", "wicked"] },
+  { emoji: "🩶", name: "Grey heart", keywords: ["silver", "monochrome"] },
+  { emoji: "🤍", name: "White heart", keywords: ["pure"] },
+  {
+    emoji: "💋",
+    name: "Kiss mark",
+    keywords: ["face", "lips", "love", "like", "affection"],
+  },
+  {
+    emoji: "💯",
+    name: "Hundred points",
+    keywords: ["score", "perfect", "numbers", "century", "exam"],
+  },
+  {
+    emoji: "💢",
+    name: "Anger symbol",
+    keywords: ["angry", "mad", "comic", "pop", "sign"],
+  },
+  {
+    emoji: "💥",
+    name: "Collision",
+    keywords: ["bomb", "explode", "explosion", "blown", "bang"],
+  },
+  {
+    emoji: "💫",
+    name: "Dizzy",
+    keywords: ["star", "sparkle", "shoot", "magic", "circle"],
+  },
+  {
+    emoji: "💦",
+    name: "Sweat droplets",
+    keywords: ["water", "drip", "oops", "comic", "drops"],
+  },
+  {
+    emoji: "💨",
+    name: "Dashing away",
+    keywords: ["wind", "air", "fast", "shoo", "fart"],
+  },
+  { emoji: "🕳️", name: "Hole", keywords: ["embarrassing"] },
+  {
+    emoji: "💬",
+    name: "Speech balloon",
+    keywords: ["bubble", "words", "message", "talk", "chatting"],
+  },
+  {
+    emoji: "🗨️",
+    name: "Left speech bubble",
+    keywords: ["words", "message", "talk", "chatting", "dialog"],
+  },
+  {
+    emoji: "🗯️",
+    name: "Right anger bubble",
+    keywords: ["caption", "speech", "thinking", "mad", "angry"],
+  },
+  {
+    emoji: "💭",
+    name: "Thought balloon",
+    keywords: ["bubble", "cloud", "speech", "thinking", "dream"],
+  },
+  {
+    emoji: "💤",
+    name: "ZZZ",
+    keywords: ["sleepy", "tired", "dream", "bedtime", "boring"],
+  },
+  {
+    emoji: "🐵",
+    name: "Monkey face",
+    keywords: ["animal", "nature", "circus", "head"],
+  },
+  {
+    emoji: "🐒",
+    name: "Monkey",
+    keywords: ["animal", "nature", "banana", "circus", "cheeky"],
+  },
+  { emoji: "🦍", name: "Gorilla", keywords: ["animal", "nature", "circus"] },
+  { emoji: "🦧", name: "Orangutan", keywords: ["animal", "ape"] },
+  {
+    emoji: "🐶",
+    name: "Dog face",
+    keywords: ["animal", "friend", "nature", "woof", "puppy"],
+  },
+  {
+    emoji: "🐕",
+    name: "Dog",
+    keywords: ["animal", "nature", "friend", "doge", "pet"],
+  },
+  {
+    emoji: "🦮",
+    name: "Guide dog",
+    keywords: ["animal", "blind", "accessibility", "eye", "seeing"],
+  },
+  {
+    emoji: "🐕‍🦺",
+    name: "Service dog",
+    keywords: ["blind", "animal", "accessibility", "assistance"],
+  },
+  {
+    emoji: "🐩",
+    name: "Poodle",
+    keywords: ["dog", "animal", "101", "nature", "pet"],
+  },
+  { emoji: "🐺", name: "Wolf", keywords: ["animal", "nature", "wild", "face"] },
+  { emoji: "🦊", name: "Fox", keywords: ["animal", "nature", "face"] },
+  {
+    emoji: "🦝",
+    name: "Raccoon",
+    keywords: ["animal", "nature", "curious", "face", "sly"],
+  },
+  {
+    emoji: "🐱",
+    name: "Cat face",
+    keywords: ["animal", "meow", "nature", "pet", "kitten"],
+  },
+  {
+    emoji: "🐈",
+    name: "Cat",
+    keywords: ["animal", "meow", "pet", "cats", "cat2"],
+  },
+  {
+    emoji: "🐈‍⬛",
+    name: "Black cat",
+    keywords: ["superstition", "luck", "halloween", "pet", "unlucky"],
+  },
+  {
+    emoji: "🦁",
+    name: "Lion",
+    keywords: ["animal", "nature", "face", "leo", "zodiac"],
+  },
+  {
+    emoji: "🐯",
+    name: "Tiger face",
+    keywords: ["animal", "cat", "danger", "wild", "nature"],
+  },
+  {
+    emoji: "🐅",
+    name: "Tiger",
+    keywords: ["animal", "nature", "roar", "bengal", "tiger2"],
+  },
+  {
+    emoji: "🐆",
+    name: "Leopard",
+    keywords: ["animal", "nature", "african", "jaguar"],
+  },
+  {
+    emoji: "🐴",
+    name: "Horse face",
+    keywords: ["animal", "brown", "nature", "head"],
+  },
+  {
+    emoji: "🫎",
+    name: "Moose",
+    keywords: ["canada", "sweden", "sven", "cool"],
+  },
+  { emoji: "🫏", name: "Donkey", keywords: ["eeyore", "mule"] },
+  {
+    emoji: "🐎",
+    name: "Horse",
+    keywords: ["animal", "gamble", "luck", "equestrian", "galloping"],
+  },
+  {
+    emoji: "🦄",
+    name: "Unicorn",
+    keywords: ["animal", "nature", "mystical", "face"],
+  },
+  {
+    emoji: "🦓",
+    name: "Zebra",
+    keywords: ["animal", "nature", "stripes", "safari", "face"],
+  },
+  {
+    emoji: "🦌",
+    name: "Deer",
+    keywords: ["animal", "nature", "horns", "venison", "buck"],
+  },
+  { emoji: "🦬", name: "Bison", keywords: ["ox", "buffalo", "herd", "wisent"] },
+  {
+    emoji: "🐮",
+    name: "Cow face",
+    keywords: ["beef", "ox", "animal", "nature", "moo"],
+  },
+  {
+    emoji: "🐂",
+    name: "Ox",
+    keywords: ["animal", "cow", "beef", "bull", "bullock"],
+  },
+  {
+    emoji: "🐃",
+    name: "Water buffalo",
+    keywords: ["animal", "nature", "ox", "cow", "domestic"],
+  },
+  {
+    emoji: "🐄",
+    name: "Cow",
+    keywords: ["beef", "ox", "animal", "nature", "moo"],
+  },
+  {
+    emoji: "🐷",
+    name: "Pig face",
+    keywords: ["animal", "oink", "nature", "head"],
+  },
+  {
+    emoji: "🐖",
+    name: "Pig",
+    keywords: ["animal", "nature", "hog", "pig2", "sow"],
+  },
+  {
+    emoji: "🐗",
+    name: "Boar",
+    keywords: ["animal", "nature", "pig", "warthog", "wild"],
+  },
+  {
+    emoji: "🐽",
+    name: "Pig nose",
+    keywords: ["animal", "oink", "face", "snout"],
+  },
+  {
+    emoji: "🐏",
+    name: "Ram",
+    keywords: ["animal", "sheep", "nature", "aries", "male"],
+  },
+  {
+    emoji: "🐑",
+    name: "Ewe",
+    keywords: ["animal", "nature", "wool", "shipit", "female"],
+  },
+  {
+    emoji: "🐐",
+    name: "Goat",
+    keywords: ["animal", "nature", "capricorn", "zodiac"],
+  },
+  {
+    emoji: "🐪",
+    name: "Camel",
+    keywords: ["animal", "hot", "desert", "hump", "arabian"],
+  },
+  {
+    emoji: "🐫",
+    name: "Two-hump camel",
+    keywords: ["animal", "nature", "hot", "desert", "hump"],
+  },
+  {
+    emoji: "🦙",
+    name: "Llama",
+    keywords: ["animal", "nature", "alpaca", "guanaco", "wool"],
+  },
+  {
+    emoji: "🦒",
+    name: "Giraffe",
+    keywords: ["animal", "nature", "spots", "safari", "face"],
+  },
+  {
+    emoji: "🐘",
+    name: "Elephant",
+    keywords: ["animal", "nature", "nose", "th", "circus"],
+  },
+  {
+    emoji: "🦣",
+    name: "Mammoth",
+    keywords: ["elephant", "tusks", "extinct", "extinction", "large"],
+  },
+  {
+    emoji: "🦏",
+    name: "Rhinoceros",
+    keywords: ["animal", "nature", "horn", "rhino"],
+  },
+  {
+    emoji: "🦛",
+    name: "Hippopotamus",
+    keywords: ["animal", "nature", "hippo"],
+  },
+  {
+    emoji: "🐭",
+    name: "Mouse face",
+    keywords: ["animal", "nature", "cheese wedge", "rodent"],
+  },
+  {
+    emoji: "🐁",
+    name: "Mouse",
+    keywords: ["animal", "nature", "rodent", "dormouse", "mice"],
+  },
+  { emoji: "🐀", name: "Rat", keywords: ["animal", "mouse", "rodent"] },
+  {
+    emoji: "🐹",
+    name: "Hamster",
+    keywords: ["animal", "nature", "face", "pet"],
+  },
+  {
+    emoji: "🐰",
+    name: "Rabbit face",
+    keywords: ["animal", "nature", "pet", "spring", "magic"],
+  },
+  {
+    emoji: "🐇",
+    name: "Rabbit",
+    keywords: ["animal", "nature", "pet", "magic", "spring"],
+  },
+  {
+    emoji: "🐿️",
+    name: "Chipmunk",
+    keywords: ["animal", "nature", "rodent", "squirrel"],
+  },
+  { emoji: "🦫", name: "Beaver", keywords: ["animal", "rodent", "dam"] },
+  {
+    emoji: "🦔",
+    name: "Hedgehog",
+    keywords: ["animal", "nature", "spiny", "face"],
+  },
+  {
+    emoji: "🦇",
+    name: "Bat",
+    keywords: ["animal", "nature", "blind", "vampire", "batman"],
+  },
+  {
+    emoji: "🐻",
+    name: "Bear",
+    keywords: ["animal", "nature", "wild", "face", "teddy"],
+  },
+  {
+    emoji: "🐻‍❄️",
+    name: "Polar bear",
+    keywords: ["animal", "arctic", "face", "white"],
+  },
+  {
+    emoji: "🐨",
+    name: "Koala",
+    keywords: ["animal", "nature", "bear", "face", "marsupial"],
+  },
+  { emoji: "🐼", name: "Panda", keywords: ["animal", "nature", "face"] },
+  { emoji: "🦥", name: "Sloth", keywords: ["animal", "lazy", "slow"] },
+  { emoji: "🦦", name: "Otter", keywords: ["animal", "fishing", "playful"] },
+  { emoji: "🦨", name: "Skunk", keywords: ["animal", "smelly", "stink"] },
+  {
+    emoji: "🦘",
+    name: "Kangaroo",
+    keywords: ["animal", "nature", "australia", "joey", "hop"],
+  },
+  {
+    emoji: "🦡",
+    name: "Badger",
+    keywords: ["animal", "nature", "honey", "pester"],
+  },
+  {
+    emoji: "🐾",
+    name: "Paw prints",
+    keywords: ["animal", "tracking", "footprints", "dog", "cat"],
+  },
+  {
+    emoji: "🦃",
+    name: "Turkey",
+    keywords: ["animal", "bird", "thanksgiving", "wild"],
+  },
+  {
+    emoji: "🐔",
+    name: "Chicken",
+    keywords: ["animal", "cluck", "nature", "bird", "hen"],
+  },
+  {
+    emoji: "🐓",
+    name: "Rooster",
+    keywords: ["animal", "nature", "chicken", "bird", "cock"],
+  },
+  {
+    emoji: "🐣",
+    name: "Hatching chick",
+    keywords: ["animal", "chicken", "egg", "born", "baby"],
+  },
+  {
+    emoji: "🐤",
+    name: "Baby chick",
+    keywords: ["animal", "chicken", "bird", "yellow"],
+  },
+  {
+    emoji: "🐥",
+    name: "Front-facing baby chick",
+    keywords: ["animal", "chicken", "bird", "hatched", "standing"],
+  },
+  {
+    emoji: "🐦",
+    name: "Bird",
+    keywords: ["animal", "nature", "fly", "tweet", "spring"],
+  },
+  { emoji: "🐧", name: "Penguin", keywords: ["animal", "nature", "bird"] },
+  { emoji: "🕊️", name: "Dove", keywords: ["animal", "bird", "fly", "peace"] },
+  {
+    emoji: "🦅",
+    name: "Eagle",
+    keywords: ["animal", "nature", "bird", "bald"],
+  },
+  {
+    emoji: "🦆",
+    name: "Duck",
+    keywords: ["animal", "nature", "bird", "mallard"],
+  },
+  {
+    emoji: "🦢",
+    name: "Swan",
+    keywords: ["animal", "nature", "bird", "cygnet", "duckling"],
+  },
+  {
+    emoji: "🦉",
+    name: "Owl",
+    keywords: ["animal", "nature", "bird", "hoot", "wise"],
+  },
+  {
+    emoji: "🦤",
+    name: "Dodo",
+    keywords: ["animal", "bird", "extinct", "extinction", "large"],
+  },
+  {
+    emoji: "🪶",
+    name: "Feather",
+    keywords: ["bird", "fly", "flight", "light", "plumage"],
+  },
+  {
+    emoji: "🦩",
+    name: "Flamingo",
+    keywords: ["animal", "flamboyant", "tropical"],
+  },
+  {
+    emoji: "🦚",
+    name: "Peacock",
+    keywords: ["animal", "nature", "peahen", "bird", "ostentatious"],
+  },
+  {
+    emoji: "🦜",
+    name: "Parrot",
+    keywords: ["animal", "nature", "bird", "pirate", "talk"],
+  },
+  { emoji: "🪽", name: "Wing", keywords: ["angel", "birds", "flying", "fly"] },
+  { emoji: "🐦‍⬛", name: "Black bird", keywords: ["crow"] },
+  {
+    emoji: "🪿",
+    name: "Goose",
+    keywords: ["silly", "jemima", "goosebumps", "honk"],
+  },
+  {
+    emoji: "🐸",
+    name: "Frog",
+    keywords: ["animal", "nature", "croak", "toad", "face"],
+  },
+  {
+    emoji: "🐊",
+    name: "Crocodile",
+    keywords: ["animal", "nature", "reptile", "lizard", "alligator"],
+  },
+  {
+    emoji: "🐢",
+    name: "Turtle",
+    keywords: ["animal", "slow", "nature", "tortoise", "terrapin"],
+  },
+  {
+    emoji: "🦎",
+    name: "Lizard",
+    keywords: ["animal", "nature", "reptile", "gecko"],
+  },
+  {
+    emoji: "🐍",
+    name: "Snake",
+    keywords: ["animal", "evil", "nature", "hiss", "python"],
+  },
+  {
+    emoji: "🐲",
+    name: "Dragon face",
+    keywords: ["animal", "myth", "nature", "chinese", "green"],
+  },
+  {
+    emoji: "🐉",
+    name: "Dragon",
+    keywords: ["animal", "myth", "nature", "chinese", "green"],
+  },
+  {
+    emoji: "🦕",
+    name: "Sauropod",
+    keywords: ["animal", "nature", "dinosaur", "brachiosaurus", "brontosaurus"],
+  },
+  {
+    emoji: "🦖",
+    name: "T-Rex",
+    keywords: ["animal", "nature", "dinosaur", "tyrannosaurus", "extinct"],
+  },
+  {
+    emoji: "🐳",
+    name: "Spouting whale",
+    keywords: ["animal", "nature", "sea", "ocean", "cute"],
+  },
+  {
+    emoji: "🐋",
+    name: "Whale",
+    keywords: ["animal", "nature", "sea", "ocean", "whale2"],
+  },
+  {
+    emoji: "🐬",
+    name: "Dolphin",
+    keywords: ["animal", "nature", "fish", "sea", "ocean"],
+  },
+  {
+    emoji: "🦭",
+    name: "Seal",
+    keywords: ["animal", "creature", "sea", "lion"],
+  },
+  {
+    emoji: "🐟",
+    name: "Fish",
+    keywords: ["animal", "food", "nature", "freshwater", "pisces"],
+  },
+  {
+    emoji: "🐠",
+    name: "Tropical fish",
+    keywords: ["animal", "swim", "ocean", "beach", "nemo"],
+  },
+  {
+    emoji: "🐡",
+    name: "Blowfish",
+    keywords: ["animal", "nature", "food", "sea", "ocean"],
+  },
+  {
+    emoji: "🦈",
+    name: "Shark",
+    keywords: ["animal", "nature", "fish", "sea", "ocean"],
+  },
+  {
+    emoji: "🐙",
+    name: "Octopus",
+    keywords: ["animal", "creature", "ocean", "sea", "nature"],
+  },
+  {
+    emoji: "🐚",
+    name: "Spiral shell",
+    keywords: ["nature", "sea", "beach", "seashell"],
+  },
+  { emoji: "🪸", name: "Coral", keywords: ["ocean", "sea", "reef"] },
+  { emoji: "🪼", name: "Jellyfish", keywords: ["sting", "tentacles"] },
+  {
+    emoji: "🦀",
+    name: "Crab",
+    keywords: ["animal", "crustacean", "cancer", "zodiac"],
+  },
+  {
+    emoji: "🦞",
+    name: "Lobster",
+    keywords: ["animal", "nature", "bisque", "claws", "seafood"],
+  },
+  {
+    emoji: "🦐",
+    name: "Shrimp",
+    keywords: ["animal", "ocean", "nature", "seafood", "food"],
+  },
+  {
+    emoji: "🦑",
+    name: "Squid",
+    keywords: ["animal", "nature", "ocean", "sea", "food"],
+  },
+  { emoji: "🦪", name: "Oyster", keywords: ["food", "diving", "pearl"] },
+  {
+    emoji: "🐌",
+    name: "Snail",
+    keywords: ["slow", "animal", "shell", "garden", "slug"],
+  },
+  {
+    emoji: "🦋",
+    name: "Butterfly",
+    keywords: ["animal", "insect", "nature", "caterpillar", "pretty"],
+  },
+  {
+    emoji: "🐛",
+    name: "Bug",
+    keywords: ["animal", "insect", "nature", "worm", "caterpillar"],
+  },
+  { emoji: "🐜", name: "Ant", keywords: ["animal", "insect", "nature", "bug"] },
+  {
+    emoji: "🐝",
+    name: "Honeybee",
+    keywords: ["animal", "insect", "nature", "bug", "spring"],
+  },
+  { emoji: "🪲", name: "Beetle", keywords: ["insect", "bug"] },
+  {
+    emoji: "🐞",
+    name: "Lady beetle",
+    keywords: ["animal", "insect", "nature", "ladybug", "bug"],
+  },
+  {
+    emoji: "🦗",
+    name: "Cricket",
+    keywords: ["animal", "chirp", "grasshopper", "insect", "orthoptera"],
+  },
+  {
+    emoji: "🪳",
+    name: "Cockroach",
+    keywords: ["insect", "pests", "pest", "roach"],
+  },
+  { emoji: "🕷️", name: "Spider", keywords: ["animal", "arachnid", "insect"] },
+  {
+    emoji: "🕸️",
+    name: "Spider web",
+    keywords: ["animal", "insect", "arachnid", "silk", "cobweb"],
+  },
+  {
+    emoji: "🦂",
+    name: "Scorpion",
+    keywords: ["animal", "arachnid", "scorpio", "scorpius", "zodiac"],
+  },
+  {
+    emoji: "🦟",
+    name: "Mosquito",
+    keywords: ["animal", "nature", "insect", "malaria", "disease"],
+  },
+  {
+    emoji: "🪰",
+    name: "Fly",
+    keywords: ["insect", "disease", "maggot", "pest", "rotting"],
+  },
+  {
+    emoji: "🪱",
+    name: "Worm",
+    keywords: ["animal", "annelid", "earthworm", "parasite"],
+  },
+  {
+    emoji: "🦠",
+    name: "Microbe",
+    keywords: ["amoeba", "bacteria", "germs", "virus", "covid"],
+  },
+  {
+    emoji: "💐",
+    name: "Bouquet",
+    keywords: ["flowers", "nature", "spring", "flower", "plant"],
+  },
+  {
+    emoji: "🌸",
+    name: "Cherry blossom",
+    keywords: ["nature", "plant", "spring", "flower", "pink"],
+  },
+  {
+    emoji: "💮",
+    name: "White flower",
+    keywords: ["japanese", "spring", "blossom", "cherry", "doily"],
+  },
+  {
+    emoji: "🪷",
+    name: "Lotus",
+    keywords: ["flower", "calm", "meditation", "buddhism", "hinduism"],
+  },
+  {
+    emoji: "🏵️",
+    name: "Rosette",
+    keywords: ["flower", "decoration", "military", "plant"],
+  },
+  {
+    emoji: "🌹",
+    name: "Rose",
+    keywords: ["flowers", "valentines", "love", "spring", "flower"],
+  },
+  {
+    emoji: "🥀",
+    name: "Wilted flower",
+    keywords: ["plant", "nature", "rose", "dead", "drooping"],
+  },
+  {
+    emoji: "🌺",
+    name: "Hibiscus",
+    keywords: ["plant", "vegetable", "flowers", "beach", "flower"],
+  },
+  {
+    emoji: "🌻",
+    name: "Sunflower",
+    keywords: ["nature", "plant", "fall", "flower", "sun"],
+  },
+  {
+    emoji: "🌼",
+    name: "Blossom",
+    keywords: ["nature", "flowers", "yellow", "daisy", "flower"],
+  },
+  {
+    emoji: "🌷",
+    name: "Tulip",
+    keywords: ["flowers", "plant", "nature", "summer", "spring"],
+  },
+  { emoji: "🪻", name: "Hyacinth", keywords: ["flower", "lavender"] },
+  {
+    emoji: "🌱",
+    name: "Seedling",
+    keywords: ["plant", "nature", "grass", "lawn", "spring"],
+  },
+  {
+    emoji: "🪴",
+    name: "Potted plant",
+    keywords: ["greenery", "house", "boring", "grow", "houseplant"],
+  },
+  {
+    emoji: "🌲",
+    name: "Evergreen tree",
+    keywords: ["plant", "nature", "fir", "pine", "wood"],
+  },
+  {
+    emoji: "🌳",
+    name: "Deciduous tree",
+    keywords: ["plant", "nature", "rounded", "shedding", "wood"],
+  },
+  {
+    emoji: "🌴",
+    name: "Palm tree",
+    keywords: ["plant", "vegetable", "nature", "summer", "beach"],
+  },
+  {
+    emoji: "🌵",
+    name: "Cactus",
+    keywords: ["vegetable", "plant", "nature", "desert"],
+  },
+  {
+    emoji: "🌾",
+    name: "Sheaf of rice",
+    keywords: ["nature", "plant", "crop", "ear", "farming"],
+  },
+  {
+    emoji: "🌿",
+    name: "Herb",
+    keywords: ["vegetable", "plant", "medicine", "weed", "grass"],
+  },
+  {
+    emoji: "☘️",
+    name: "Shamrock",
+    keywords: ["vegetable", "plant", "nature", "irish", "clover"],
+  },
+  {
+    emoji: "🍀",
+    name: "Four leaf clover",
+    keywords: ["vegetable", "plant", "nature", "lucky", "irish"],
+  },
+  {
+    emoji: "🍁",
+    name: "Maple leaf",
+    keywords: ["nature", "plant", "vegetable", "ca", "fall"],
+  },
+  {
+    emoji: "🍂",
+    name: "Fallen leaf",
+    keywords: ["nature", "plant", "vegetable", "leaves", "autumn"],
+  },
+  {
+    emoji: "🍃",
+    name: "Leaf fluttering in wind",
+    keywords: ["nature", "plant", "tree", "vegetable", "grass"],
+  },
+  { emoji: "🪹", name: "Empty nest", keywords: ["bird", "nesting"] },
+  { emoji: "🪺", name: "Nest with eggs", keywords: ["bird", "nesting"] },
+  {
+    emoji: "🍄",
+    name: "Mushroom",
+    keywords: ["plant", "vegetable", "fungus", "shroom", "toadstool"],
+  },
+  {
+    emoji: "🎭",
+    name: "Performing arts",
+    keywords: ["acting", "theater", "drama", "activity", "art"],
+  },
+  {
+    emoji: "🎃",
+    name: "Jack-o-lantern",
+    keywords: ["halloween", "light", "pumpkin", "creepy", "fall"],
+  },
+  {
+    emoji: "🌟",
+    name: "Glowing star",
+    keywords: ["night", "sparkle", "awesome", "good", "magic"],
+  },
+  {
+    emoji: "🔥",
+    name: "Fire",
+    keywords: ["hot", "cook", "flame", "burn", "lit"],
+  },
+];
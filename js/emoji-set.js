@@ -0,0 +1,84 @@
+// Bundled emoji set: Twemoji images for the Emoji effect, so an export
+// doesn't depend on the emoji font of the machine it was made on. The SVGs
+// are served with the app and precached by the service worker. Main thread
+// only: the emoji in use are decoded here and handed to the renderers (see
+// setEmojiImages() in effects.js).
+
+import { createCanvas } from "./canvas-utils.js";
+import { EMOJI_BASE_URL, EMOJI_IMAGE_SIZE } from "./constants.js";
+import { EMOJI_SET } from "./emoji-data.js";
+
+const entries = new Map(EMOJI_SET.map((entry) => [entry.emoji, entry]));
+
+// Decoded images by emoji; failed ones hold null so they aren't retried
+const decoded = new Map();
+
+/**
+ * URL of an emoji's bundled image, named by its code points the way
+ * Twemoji names them, e.g. assets/emoji/1f600.svg. Variation selectors
+ * are dropped except in ZWJ sequences (1f43b-200d-2744-fe0f.svg).
+ */
+export function emojiImageUrl(emoji) {
+  let codePoints = [...emoji].map((c) => c.codePointAt(0));
+  if (!codePoints.includes(0x200d)) {
+    codePoints = codePoints.filter((cp) => cp !== 0xfe0f);
+  }
+  return `${EMOJI_BASE_URL}/${codePoints.map((cp) => cp.toString(16)).join("-")}.svg`;
+}
+
+/**
+ * Whether an emoji matches a picker search: its name or a keyword starts
+ * with the query, or the query is the emoji itself.
+ */
+export function matchesEmoji(emoji, query) {
+  const q = query.trim().toLowerCase();
+  if (!q || q === emoji) return true;
+  const entry = entries.get(emoji);
+  if (!entry) return false;
+  const words = [
+    ...entry.name.toLowerCase().split(/[\s-]+/),
+    ...entry.keywords,
+  ];
+  return (
+    entry.name.toLowerCase().startsWith(q) ||
+    words.some((word) => word.startsWith(q))
+  );
+}
+
+/**
+ * Decode the bundled images of the given emoji, on top of those decoded
+ * before. Only emoji in use are decoded, as the full set would hold a
+ * bitmap per emoji on both threads. Emoji outside the set, or whose image
+ * fails to load, are left out and fall back to the system font.
+ * @param {string[]} emojis
+ * @returns {Promise<{ images: Array<{ emoji: string, image: ImageBitmap }>, added: boolean }>}
+ *   Every decoded image, and whether any are new
+ */
+export async function loadEmojiImages(emojis) {
+  const missing = [...new Set(emojis)].filter(
+    (emoji) => entries.has(emoji) && !decoded.has(emoji),
+  );
+  await Promise.all(
+    missing.map(async (emoji) => {
+      try {
+        decoded.set(emoji, await decodeEmoji(emojiImageUrl(emoji)));
+      } catch (err) {
+        console.warn(`Bundled emoji ${emoji} unavailable:`, err);
+        decoded.set(emoji, null);
+      }
+    }),
+  );
+  const images = [...decoded]
+    .filter(([, image]) => image)
+    .map(([emoji, image]) => ({ emoji, image }));
+  return { images, added: missing.length > 0 };
+}
+
+async function decodeEmoji(url) {
+  const img = new Image();
+  img.src = url;
+  await img.decode();
+  const canvas = createCanvas(EMOJI_IMAGE_SIZE, EMOJI_IMAGE_SIZE);
+  canvas.getContext("2d").drawImage(img, 0, 0, canvas.width, canvas.height);
+  return createImageBitmap(canvas);
+}
@@ -0,0 +1,119 @@
+// Known-faces library: people who should stay visible.
+// Each entry holds a 128-d face descriptor from faceRecognitionNet, a name
+// and a small thumbnail, stored in IndexedDB on this device only.
+
+import { withStore } from "./storage.js";
+
+const STORE = "knownFaces";
+const EXPORT_TYPE = "faceblock-known-faces";
+const EXPORT_VERSION = 1;
+
+/**
+ * All known faces, oldest first.
+ */
+export async function listKnownFaces() {
+  const faces = await withStore(STORE, "readonly", (store) => store.getAll());
+  return (faces || []).sort((a, b) => a.createdAt - b.createdAt);
+}
+
+/**
+ * Add a person to the library.
+ * @param {{ name: string, descriptor: number[], thumbnail: string }} entry
+ * @returns {Promise<object>} The stored entry
+ */
+export async function addKnownFace({ name, descriptor, thumbnail }) {
+  const entry = {
+    id: `known-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    name,
+    descriptor: Array.from(descriptor),
+    thumbnail,
+    createdAt: Date.now(),
+  };
+  await withStore(STORE, "readwrite", (store) => store.put(entry));
+  return entry;
+}
+
+export function removeKnownFace(id) {
+  return withStore(STORE, "readwrite", (store) => store.delete(id));
+}
+
+/**
+ * Delete every known face from this device.
+ */
+export function clearKnownFaces() {
+  return withStore(STORE, "readwrite", (store) => store.clear());
+}
+
+/**
+ * Serialize the library to a JSON Blob for backup or transfer.
+ */
+export async function exportKnownFaces() {
+  const faces = await listKnownFaces();
+  const data = { type: EXPORT_TYPE, version: EXPORT_VERSION, faces };
+  return new Blob([JSON.stringify(data)], { type: "application/json" });
+}
+
+/**
+ * Merge a previously exported library file into this one.
+ * Entries with an existing id are replaced.
+ * @returns {Promise<number>} Number of entries imported
+ */
+export async function importKnownFaces(file) {
+  let data;
+  try {
+    data = JSON.parse(await file.text());
+  } catch {
+    throw new Error("Not a valid known-faces file");
+  }
+  if (data?.type !== EXPORT_TYPE || !Array.isArray(data.faces)) {
+    throw new Error("Not a valid known-faces file");
+  }
+
+  const valid = data.faces.filter(
+    (f) =>
+      typeof f.id === "string" &&
+      Array.isArray(f.descriptor) &&
+      f.descriptor.length === 128,
+  );
+  for (const face of valid) {
+    const entry = {
+      id: face.id,
+      name: String(face.name || "Unnamed"),
+      descriptor: face.descriptor.map(Number),
+      thumbnail: typeof face.thumbnail === "string" ? face.thumbnail : null,
+      createdAt: Number(face.createdAt) || Date.now(),
+    };
+    await withStore(STORE, "readwrite", (store) => store.put(entry));
+  }
+  return valid.length;
+}
+
+/**
+ * Euclidean distance between two descriptors.
+ */
+export function descriptorDistance(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    const d = a[i] - b[i];
+    sum += d * d;
+  }
+  return Math.sqrt(sum);
+}
+
+/**
+ * Find the closest known face within a distance threshold.
+ * @param {number[]} descriptor - Descriptor of a detected face
+ * @param {Array} knownFaces - Library entries
+ * @param {number} threshold - Maximum distance counted as the same person
+ * @returns {{ face: object, distance: number } | null}
+ */
+export function matchKnownFace(descriptor, knownFaces, threshold) {
+  let best = null;
+  for (const known of knownFaces) {
+    const distance = descriptorDistance(descriptor, known.descriptor);
+    if (distance <= threshold && (!best || distance < best.distance)) {
+      best = { face: known, distance };
+    }
+  }
+  return best;
+}
@@ -0,0 +1,126 @@
+// Saved face seeds: each face's random seed (see the Deterministic
+// Rendering section of docs/tech_architecture.md), kept in IndexedDB on
+// this device so a photo renders the same after a reload. Seeds are stored
+// per photo, keyed by a SHA-256 of the file, with the box of the face they
+// belong to. Faces are matched back by overlap rather than by ID, so seeds
+// survive re-detection and detection cache misses.
+
+import { withStore, walkStore } from "./storage.js";
+import { iou } from "./geometry.js";
+import { NMS_IOU_THRESHOLD, FACE_SEEDS_MAX_ENTRIES } from "./constants.js";
+
+const STORE = "faceSeeds";
+
+/**
+ * A new random seed for a face.
+ */
+export function randomSeed() {
+  return crypto.getRandomValues(new Uint32Array(1))[0];
+}
+
+/**
+ * Load a photo's saved seeds.
+ * @param {string} key - The photo file's hashFile()
+ * @returns {Promise<Array<{ box: object, seed: number }>>}
+ */
+export async function loadFaceSeeds(key) {
+  const entry = await withStore(STORE, "readonly", (store) => store.get(key));
+  return entry?.seeds || [];
+}
+
+/**
+ * The saved seed of the face best overlapping a box, or null.
+ */
+export function findSeed(seeds, box) {
+  let match = null;
+  let best = NMS_IOU_THRESHOLD;
+  for (const saved of seeds) {
+    const overlap = iou(saved.box, box);
+    if (overlap > best) {
+      match = saved;
+      best = overlap;
+    }
+  }
+  return match ? match.seed : null;
+}
+
+/**
+ * Merge faces' current seeds into a photo's saved ones. Saved seeds of
+ * faces not among them (hidden below the threshold, or removed) are kept.
+ * @returns {Array<{ box: object, seed: number }>}
+ */
+export function mergeSeeds(seeds, faces) {
+  const current = faces
+    .filter((f) => f.seed != null)
+    .map((f) => ({ box: roundBox(f.box), seed: f.seed }));
+  const kept = seeds.filter(
+    (saved) => !current.some((c) => iou(c.box, saved.box) > NMS_IOU_THRESHOLD),
+  );
+  return [...current, ...kept];
+}
+
+/**
+ * Rank faces by seed within groups, e.g. the faces drawn with one effect.
+ * Ranks run from 0 in each group, so no two faces in a group share one, and
+ * they depend only on the group's seeds, not on the order of the list.
+ * @param {function} groupOf - A face's group key
+ * @returns {Map<object, number>} Rank by face
+ */
+export function rankBySeed(faces, groupOf) {
+  const groups = new Map();
+  for (const face of faces) {
+    const key = groupOf(face);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(face);
+  }
+  const ranks = new Map();
+  for (const group of groups.values()) {
+    group
+      .sort(
+        (a, b) =>
+          (a.seed ?? 0) - (b.seed ?? 0) || String(a.id).localeCompare(b.id),
+      )
+      .forEach((face, rank) => ranks.set(face, rank));
+  }
+  return ranks;
+}
+
+/**
+ * Save a photo's seeds, then drop the oldest photos past the limit.
+ */
+export async function saveFaceSeeds(key, seeds) {
+  await withStore(STORE, "readwrite", (store) =>
+    store.put({ key, seeds, updatedAt: Date.now() }),
+  );
+
+  const keys = [];
+  await walkStore(STORE, "readonly", {
+    index: "updatedAt",
+    visit: (cursor) => {
+      keys.push(cursor.value.key);
+    },
+  });
+  const stale = keys.slice(
+    0,
+    Math.max(0, keys.length - FACE_SEEDS_MAX_ENTRIES),
+  );
+  for (const staleKey of stale) {
+    await withStore(STORE, "readwrite", (store) => store.delete(staleKey));
+  }
+}
+
+/**
+ * Delete every saved seed.
+ */
+export function clearFaceSeeds() {
+  return withStore(STORE, "readwrite", (store) => store.clear());
+}
+
+function roundBox({ x, y, width, height }) {
+  return {
+    x: Math.round(x),
+    y: Math.round(y),
+    width: Math.round(width),
+    height: Math.round(height),
+  };
+}
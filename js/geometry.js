@@ -0,0 +1,240 @@
+// Box geometry helpers shared by the detection pipeline.
+// Boxes are plain { x, y, width, height } objects in full-res pixels.
+
+/**
+ * Area of the intersection of two boxes.
+ */
+export function intersectionArea(a, b) {
+  const w = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+  const h = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+  return w > 0 && h > 0 ? w * h : 0;
+}
+
+/**
+ * Intersection over union of two boxes (0..1).
+ */
+export function iou(a, b) {
+  const inter = intersectionArea(a, b);
+  if (inter === 0) return 0;
+  return inter / (a.width * a.height + b.width * b.height - inter);
+}
+
+/**
+ * Intersection over the smaller box's area (0..1).
+ * Catches a face cut off at a tile edge lying inside the full detection,
+ * which plain IoU scores low.
+ */
+export function overlapRatio(a, b) {
+  const inter = intersectionArea(a, b);
+  if (inter === 0) return 0;
+  return inter / Math.min(a.width * a.height, b.width * b.height);
+}
+
+/**
+ * Greedy non-max suppression over face results.
+ * Keeps the highest-scoring face of each overlapping group.
+ * @param {Array} faces - Faces with { box, score }
+ * @param {number} iouThreshold - Suppress when IoU exceeds this
+ * @param {number} containThreshold - Suppress when overlapRatio exceeds this
+ * @returns {Array} Surviving faces, highest score first
+ */
+export function nonMaxSuppression(faces, iouThreshold = 0.4, containThreshold = 0.7) {
+  const sorted = [...faces].sort((a, b) => b.score - a.score);
+  const kept = [];
+  for (const face of sorted) {
+    const duplicate = kept.some(
+      (k) =>
+        iou(k.box, face.box) > iouThreshold ||
+        overlapRatio(k.box, face.box) > containThreshold,
+    );
+    if (!duplicate) kept.push(face);
+  }
+  return kept;
+}
+
+/**
+ * Split an image into overlapping square-ish tiles.
+ * Edge tiles are shifted inwards so every tile is full size where possible.
+ * @returns {Array<{x, y, width, height}>}
+ */
+export function computeTiles(width, height, tileSize, overlap) {
+  const positions = (length) => {
+    if (length <= tileSize) return [0];
+    const step = tileSize - overlap;
+    const count = Math.ceil((length - overlap) / step);
+    const starts = [];
+    for (let i = 0; i < count; i++) {
+      starts.push(Math.min(i * step, length - tileSize));
+    }
+    return starts;
+  };
+
+  const tiles = [];
+  for (const y of positions(height)) {
+    for (const x of positions(width)) {
+      tiles.push({
+        x,
+        y,
+        width: Math.min(tileSize, width),
+        height: Math.min(tileSize, height),
+      });
+    }
+  }
+  return tiles;
+}
+
+/**
+ * Mean distance between matching points of two equal-length point lists.
+ */
+export function meanPointDistance(a, b) {
+  let total = 0;
+  for (let i = 0; i < a.length; i++) {
+    total += Math.hypot(a[i].x - b[i].x, a[i].y - b[i].y);
+  }
+  return total / a.length;
+}
+
+/**
+ * Map a point from a copy rotated clockwise by quarterTurns × 90° back to
+ * the unrotated image of size width × height.
+ */
+export function unrotatePoint(p, quarterTurns, width, height) {
+  switch (((quarterTurns % 4) + 4) % 4) {
+    case 1:
+      return { x: p.y, y: height - p.x };
+    case 2:
+      return { x: width - p.x, y: height - p.y };
+    case 3:
+      return { x: width - p.y, y: p.x };
+    default:
+      return { x: p.x, y: p.y };
+  }
+}
+
+/**
+ * Map a box from a rotated copy back to the unrotated image.
+ */
+export function unrotateBox(box, quarterTurns, width, height) {
+  const a = unrotatePoint(box, quarterTurns, width, height);
+  const b = unrotatePoint(
+    { x: box.x + box.width, y: box.y + box.height },
+    quarterTurns,
+    width,
+    height,
+  );
+  return {
+    x: Math.min(a.x, b.x),
+    y: Math.min(a.y, b.y),
+    width: Math.abs(b.x - a.x),
+    height: Math.abs(b.y - a.y),
+  };
+}
+
+/**
+ * Head pose from 68-point landmarks, in radians.
+ * roll is the tilt of the line through the eye centres: 0 upright, positive
+ * clockwise on screen. yaw is estimated from where the nose tip sits between
+ * the jaw ends: 0 facing the camera, positive when the nose points to image
+ * right on an upright face.
+ * @returns {{ roll: number, yaw: number }|null} Null without 68 points
+ */
+export function headPose(positions) {
+  if (!positions || positions.length < 68) return null;
+  const left = centroid(positions.slice(36, 42));
+  const right = centroid(positions.slice(42, 48));
+  const roll = Math.atan2(right.y - left.y, right.x - left.x);
+
+  // Measure along the eye line so a tilted head doesn't read as turned
+  const along = (p) => p.x * Math.cos(roll) + p.y * Math.sin(roll);
+  const jawLeft = along(positions[0]);
+  const jawRight = along(positions[16]);
+  const halfWidth = (jawRight - jawLeft) / 2;
+  if (halfWidth <= 0) return { roll, yaw: 0 };
+  const offset = (along(positions[30]) - (jawLeft + halfWidth)) / halfWidth;
+  return { roll, yaw: Math.asin(Math.max(-1, Math.min(1, offset))) };
+}
+
+function centroid(points) {
+  let x = 0;
+  let y = 0;
+  for (const p of points) {
+    x += p.x;
+    y += p.y;
+  }
+  return { x: x / points.length, y: y / points.length };
+}
+
+/**
+ * Expand a face box to a coverage preset, in the face's rotated frame.
+ * Padding is in face heights (top, bottom) and widths (side, far). With
+ * landmarks, top padding starts at the brow line, bottom padding at the chin
+ * and side padding at the jaw, since detector boxes stop at different places
+ * depending on the model. The far side of a turned head gets far × |sin yaw|
+ * more.
+ * @param {object} face - { box, roll, yaw }
+ * @param {object} padding - { top, bottom, side, far }, see COVERAGE_PRESETS
+ * @param {Array} [positions] - The face's 68 landmark positions
+ * @returns {object} { x, y, width, height, angle }, angle being face.roll
+ */
+export function coverageBox(face, padding, positions) {
+  const angle = face.roll || 0;
+  const { x, y, width, height } = face.box;
+  const cx = x + width / 2;
+  const cy = y + height / 2;
+
+  // Face edges relative to the box centre, in the upright frame
+  let left = -width / 2;
+  let right = width / 2;
+  let top = -height / 2;
+  let bottom = height / 2;
+  let faceWidth = width;
+  let faceHeight = height;
+  const padded = padding.top || padding.bottom || padding.side;
+  if (padded && positions && positions.length >= 68) {
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const upright = positions.map((p) => ({
+      x: (p.x - cx) * cos + (p.y - cy) * sin,
+      y: -(p.x - cx) * sin + (p.y - cy) * cos,
+    }));
+    const jaw = upright.slice(0, 17);
+    const jawLeft = Math.min(...jaw.map((p) => p.x));
+    const jawRight = Math.max(...jaw.map((p) => p.x));
+    const brow = Math.min(...upright.slice(17, 27).map((p) => p.y));
+    const chin = upright[8].y;
+    if (jawRight > jawLeft && chin > brow) {
+      left = jawLeft;
+      right = jawRight;
+      top = brow;
+      bottom = chin;
+      faceWidth = jawRight - jawLeft;
+      faceHeight = chin - brow;
+    }
+  }
+
+  // Never smaller than the detector box
+  const far = faceWidth * padding.far * Math.abs(Math.sin(face.yaw || 0));
+  const l = Math.min(
+    -width / 2,
+    left - faceWidth * padding.side - (face.yaw > 0 ? far : 0),
+  );
+  const r = Math.max(
+    width / 2,
+    right + faceWidth * padding.side + (face.yaw < 0 ? far : 0),
+  );
+  const t = Math.min(-height / 2, top - faceHeight * padding.top);
+  const b = Math.max(height / 2, bottom + faceHeight * padding.bottom);
+
+  // Centre of the padded frame, turned back into the image
+  const mx = (l + r) / 2;
+  const my = (t + b) / 2;
+  const ox = cx + mx * Math.cos(angle) - my * Math.sin(angle);
+  const oy = cy + mx * Math.sin(angle) + my * Math.cos(angle);
+  return {
+    x: ox - (r - l) / 2,
+    y: oy - (b - t) / 2,
+    width: r - l,
+    height: b - t,
+    angle,
+  };
+}
@@ -0,0 +1,69 @@
+// Label legend: which label ("Person 1" or a custom code) covers which
+// face in which photo. It is exported as its own JSON or CSV file so the
+// key to the labels never ends up in the images.
+
+const EXPORT_TYPE = "faceblock-label-legend";
+const EXPORT_VERSION = 1;
+
+/**
+ * Gather every labelled face, grouped by label in natural order
+ * ("Person 2" before "Person 10").
+ * @param {Array} photos - Photo states with resolved face labels
+ * @returns {Array<{ label: string, faces: Array<{ photo: string, box: object }> }>}
+ */
+export function collectLegend(photos) {
+  const byLabel = new Map();
+  for (const photo of photos) {
+    for (const face of photo.faces) {
+      if (!face.label) continue;
+      if (!byLabel.has(face.label)) byLabel.set(face.label, []);
+      const { x, y, width, height } = face.box;
+      byLabel.get(face.label).push({
+        photo: photo.originalFilename,
+        box: {
+          x: Math.round(x),
+          y: Math.round(y),
+          width: Math.round(width),
+          height: Math.round(height),
+        },
+      });
+    }
+  }
+  return [...byLabel.entries()]
+    .sort(([a], [b]) => a.localeCompare(b, undefined, { numeric: true }))
+    .map(([label, faces]) => ({ label, faces }));
+}
+
+/**
+ * The legend as a JSON Blob.
+ */
+export function exportLegendJson(legend) {
+  const data = { type: EXPORT_TYPE, version: EXPORT_VERSION, labels: legend };
+  return new Blob([JSON.stringify(data, null, 2)], {
+    type: "application/json",
+  });
+}
+
+/**
+ * The legend as a CSV Blob, one row per labelled face.
+ */
+export function exportLegendCsv(legend) {
+  const rows = [["label", "photo", "x", "y", "width", "height"]];
+  for (const { label, faces } of legend) {
+    for (const { photo, box } of faces) {
+      rows.push([label, photo, box.x, box.y, box.width, box.height]);
+    }
+  }
+  const csv = rows.map((row) => row.map(csvField).join(",")).join("\r\n");
+  return new Blob([csv + "\r\n"], { type: "text/csv" });
+}
+
+/**
+ * Quote a CSV field when needed, and defuse values a spreadsheet would
+ * run as a formula.
+ */
+function csvField(value) {
+  let text = String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
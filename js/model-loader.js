@@ -0,0 +1,207 @@
+// Model weight loading for face-api.js nets and TensorFlow.js graph models.
+// Reads tfjs weight manifests and their binary shards either from a base URL
+// (the app's own origin by default) or from user-supplied File objects, so
+// detection works with no third-party network access at all.
+
+import { MODEL_BASE_URL } from "./constants.js";
+
+/**
+ * Resolve the base path for model weights.
+ * Deployments can point elsewhere with
+ * <meta name="faceblock-model-base" content="..."> in app.html.
+ */
+export function getModelBaseUrl() {
+  const meta = document.querySelector('meta[name="faceblock-model-base"]');
+  const base = meta?.getAttribute("content")?.trim() || MODEL_BASE_URL;
+  return base.replace(/\/+$/, "");
+}
+
+/**
+ * Load a net's weights over HTTP, reporting progress per shard.
+ * @param {object} faceapi - The face-api.js namespace
+ * @param {object} net - A face-api.js net, e.g. faceapi.nets.ssdMobilenetv1
+ * @param {string} modelName - Weight file prefix, e.g. 'ssd_mobilenetv1_model'
+ * @param {function} onShardProgress - Called with (shardIndex, shardCount, fraction)
+ */
+export async function loadNetFromUri(
+  faceapi,
+  net,
+  modelName,
+  baseUrl,
+  onShardProgress,
+) {
+  const manifestUrl = `${baseUrl}/${modelName}-weights_manifest.json`;
+  const response = await fetch(manifestUrl);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch ${manifestUrl} (${response.status})`);
+  }
+  const manifest = await response.json();
+
+  await loadWeights(faceapi, net, manifest, (path, index, count) =>
+    fetchShard(`${baseUrl}/${path}`, (fraction) =>
+      onShardProgress?.(index, count, fraction),
+    ),
+  );
+}
+
+/**
+ * Load a net's weights from local files (e.g. a picked models folder).
+ * Files are matched by name, so any folder layout works.
+ * @param {Map<string, File>} filesByName - Files keyed by base name
+ */
+export async function loadNetFromFiles(
+  faceapi,
+  net,
+  modelName,
+  filesByName,
+  onShardProgress,
+) {
+  const manifestName = `${modelName}-weights_manifest.json`;
+  const manifestFile = filesByName.get(manifestName);
+  if (!manifestFile) throw new Error(`Missing model file: ${manifestName}`);
+  const manifest = JSON.parse(await manifestFile.text());
+
+  await loadWeights(faceapi, net, manifest, (path, index, count) =>
+    readShardFile(filesByName, path, () => onShardProgress?.(index, count, 1)),
+  );
+}
+
+/**
+ * Load a TensorFlow.js graph model (model.json plus shards) over HTTP.
+ * @param {object} faceapi - The face-api.js namespace, for its bundled tf
+ * @param {string} modelName - File prefix, e.g. 'movenet-multipose' for
+ *   movenet-multipose.json
+ * @returns {Promise<object>} The tf.GraphModel
+ */
+export async function loadGraphModelFromUri(
+  faceapi,
+  modelName,
+  baseUrl,
+  onShardProgress,
+) {
+  const modelUrl = `${baseUrl}/${modelName}.json`;
+  const response = await fetch(modelUrl);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch ${modelUrl} (${response.status})`);
+  }
+  const modelJson = await response.json();
+
+  return loadGraph(faceapi, modelJson, (path, index, count) =>
+    fetchShard(`${baseUrl}/${path}`, (fraction) =>
+      onShardProgress?.(index, count, fraction),
+    ),
+  );
+}
+
+/**
+ * Load a TensorFlow.js graph model from local files.
+ * @param {Map<string, File>} filesByName - Files keyed by base name
+ * @returns {Promise<object>} The tf.GraphModel
+ */
+export async function loadGraphModelFromFiles(
+  faceapi,
+  modelName,
+  filesByName,
+  onShardProgress,
+) {
+  const modelFile = filesByName.get(`${modelName}.json`);
+  if (!modelFile) throw new Error(`Missing model file: ${modelName}.json`);
+  const modelJson = JSON.parse(await modelFile.text());
+
+  return loadGraph(faceapi, modelJson, (path, index, count) =>
+    readShardFile(filesByName, path, () => onShardProgress?.(index, count, 1)),
+  );
+}
+
+/**
+ * Index a FileList or array of Files by base name.
+ */
+export function indexFilesByName(files) {
+  const map = new Map();
+  for (const file of files) map.set(baseName(file.name), file);
+  return map;
+}
+
+async function loadWeights(faceapi, net, manifest, readShard) {
+  const specs = manifest.flatMap((group) => group.weights);
+  const data = await readShards(manifest, readShard);
+  const weightMap = faceapi.tf.io.decodeWeights(data, specs);
+  net.loadFromWeightMap(weightMap);
+}
+
+async function loadGraph(faceapi, modelJson, readShard) {
+  const manifest = modelJson.weightsManifest;
+  const data = await readShards(manifest, readShard);
+  return faceapi.tf.loadGraphModel(
+    faceapi.tf.io.fromMemory({
+      modelTopology: modelJson.modelTopology,
+      format: modelJson.format,
+      signature: modelJson.signature,
+      weightSpecs: manifest.flatMap((group) => group.weights),
+      weightData: data,
+    }),
+  );
+}
+
+/**
+ * Read every shard listed in a weights manifest, in order, into one buffer.
+ */
+async function readShards(manifest, readShard) {
+  const paths = manifest.flatMap((group) => group.paths);
+  const buffers = [];
+  for (let i = 0; i < paths.length; i++) {
+    buffers.push(await readShard(paths[i], i, paths.length));
+  }
+  return concatBuffers(buffers);
+}
+
+async function readShardFile(filesByName, path, onDone) {
+  const name = baseName(path);
+  const file = filesByName.get(name);
+  if (!file) throw new Error(`Missing model file: ${name}`);
+  const buffer = await file.arrayBuffer();
+  onDone();
+  return buffer;
+}
+
+async function fetchShard(url, onFraction) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch ${url} (${response.status})`);
+  }
+
+  const total = Number(response.headers.get("Content-Length")) || 0;
+  if (!response.body || !total) {
+    const buffer = await response.arrayBuffer();
+    onFraction(1);
+    return buffer;
+  }
+
+  // Stream the body so large shards report progress as they arrive
+  const reader = response.body.getReader();
+  const chunks = [];
+  let received = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    received += value.byteLength;
+    onFraction(Math.min(1, received / total));
+  }
+  return concatBuffers(chunks);
+}
+
+function concatBuffers(parts) {
+  const total = parts.reduce((sum, p) => sum + p.byteLength, 0);
+  const out = new Uint8Array(total);
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part instanceof Uint8Array ? part : new Uint8Array(part), offset);
+    offset += part.byteLength;
+  }
+  return out.buffer;
+}
+
+function baseName(path) {
+  return path.split("/").pop();
+}
@@ -0,0 +1,359 @@
+// MTCNN face detector: a cascade of three small nets. P-Net proposes
+// candidate boxes over an image pyramid, then R-Net and O-Net rescore and
+// tighten them on 24px and 48px crops. The bundled face-api.js build no
+// longer ships MTCNN, so this is a port of face-api.js 0.22's implementation
+// (MIT License, Copyright (c) 2018 Vincent Mühler) onto its bundled tf.
+// installMtcnn() adds the net as faceapi.nets.mtcnn, so it loads through
+// model-loader.js like the built-in nets; its weights are face-api.js's
+// mtcnn_model.
+// Like detector-backends.js, this module receives the face-api namespace
+// rather than importing it.
+
+// P-Net looks at 12px cells, two pixels apart
+const CELL_SIZE = 12;
+const CELL_STRIDE = 2;
+// Pyramid step between scales
+const SCALE_FACTOR = 0.709;
+
+/**
+ * Add the MTCNN net to face-api's nets, as faceapi.nets.mtcnn.
+ * @param {object} faceapi - The face-api.js namespace
+ */
+export function installMtcnn(faceapi) {
+  faceapi.nets.mtcnn ??= new Mtcnn(faceapi);
+}
+
+class Mtcnn {
+  constructor(faceapi) {
+    this.faceapi = faceapi;
+    this.params = null;
+  }
+
+  get isLoaded() {
+    return this.params !== null;
+  }
+
+  /**
+   * Take the nets' tensors from a decoded weight map (see model-loader.js).
+   */
+  loadFromWeightMap(weightMap) {
+    const entry = (name) => {
+      if (!weightMap[name]) throw new Error(`MTCNN weight ${name} is missing`);
+      return weightMap[name];
+    };
+    const conv = (prefix) => ({
+      filters: entry(`${prefix}/weights`),
+      bias: entry(`${prefix}/bias`),
+    });
+    const fc = (prefix) => ({
+      weights: entry(`${prefix}/weights`),
+      bias: entry(`${prefix}/bias`),
+    });
+    const shared = (net) => ({
+      conv1: conv(`${net}/conv1`),
+      prelu1: entry(`${net}/prelu1_alpha`),
+      conv2: conv(`${net}/conv2`),
+      prelu2: entry(`${net}/prelu2_alpha`),
+      conv3: conv(`${net}/conv3`),
+      prelu3: entry(`${net}/prelu3_alpha`),
+    });
+
+    this.params = {
+      pnet: {
+        ...shared("pnet"),
+        conv4_1: conv("pnet/conv4_1"),
+        conv4_2: conv("pnet/conv4_2"),
+      },
+      rnet: {
+        ...shared("rnet"),
+        fc1: fc("rnet/fc1"),
+        prelu4: entry("rnet/prelu4_alpha"),
+        fc2_1: fc("rnet/fc2_1"),
+        fc2_2: fc("rnet/fc2_2"),
+      },
+      onet: {
+        ...shared("onet"),
+        conv4: conv("onet/conv4"),
+        prelu4: entry("onet/prelu4_alpha"),
+        fc1: fc("onet/fc1"),
+        prelu5: entry("onet/prelu5_alpha"),
+        fc2_1: fc("onet/fc2_1"),
+        fc2_2: fc("onet/fc2_2"),
+      },
+    };
+  }
+
+  /**
+   * Find faces in a canvas.
+   * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Image to search
+   * @param {object} opts
+   * @param {number} opts.minFaceSize - Smallest face to look for, in pixels
+   * @param {number[]} opts.scoreThresholds - Minimum P-Net, R-Net and O-Net
+   *   scores a candidate needs to go on to the next stage
+   * @returns {Promise<Array>} face-api.js FaceDetection objects
+   */
+  async locateFaces(canvas, { minFaceSize = 20, scoreThresholds }) {
+    if (!this.params) throw new Error("MTCNN model not loaded");
+    const { tf } = this.faceapi;
+    const { width, height } = canvas;
+    const pixels = canvas.getContext("2d").getImageData(0, 0, width, height);
+    // The nets were trained on BGR images
+    const image = tf.tidy(() =>
+      tf.reverse(tf.browser.fromPixels(pixels, 3).toFloat().expandDims(0), 3),
+    );
+
+    try {
+      let found = await this.propose(image, minFaceSize, scoreThresholds[0]);
+      if (found.boxes.length) {
+        found = await this.refine(image, found.boxes, scoreThresholds[1]);
+      }
+      if (found.boxes.length) {
+        found = await this.output(image, found.boxes, scoreThresholds[2]);
+      }
+      const { FaceDetection, Rect } = this.faceapi;
+      return found.boxes.map((box, i) => {
+        const { x, y, right, bottom } = box.clipAtImageBorders(width, height);
+        const rect = new Rect(
+          x / width,
+          y / height,
+          (right - x) / width,
+          (bottom - y) / height,
+        );
+        return new FaceDetection(found.scores[i], rect, { width, height });
+      });
+    } finally {
+      image.dispose();
+    }
+  }
+
+  /**
+   * Stage 1: run P-Net over every pyramid scale, from minFaceSize up to
+   * faces filling the image, and merge the candidates.
+   */
+  async propose(image, minFaceSize, threshold) {
+    const { tf, BoundingBox, nonMaxSuppression } = this.faceapi;
+    const [height, width] = image.shape.slice(1, 3);
+    const candidates = [];
+
+    for (const scale of pyramidScales(minFaceSize, height, width)) {
+      const { prob, regions } = tf.tidy(() => {
+        const resized = tf.image.resizeBilinear(image, [
+          Math.floor(height * scale),
+          Math.floor(width * scale),
+        ]);
+        // The nets also expect images transposed, rows being x
+        return pnet(tf, transposed(tf, resized), this.params.pnet);
+      });
+      const [scores, offsets] = await Promise.all([
+        prob.array(),
+        regions.array(),
+      ]);
+      prob.dispose();
+      regions.dispose();
+
+      const found = [];
+      scores.forEach((row, x) =>
+        row.forEach((score, y) => {
+          if (score < threshold) return;
+          const cell = new BoundingBox(
+            Math.round((x * CELL_STRIDE + 1) / scale),
+            Math.round((y * CELL_STRIDE + 1) / scale),
+            Math.round((x * CELL_STRIDE + CELL_SIZE) / scale),
+            Math.round((y * CELL_STRIDE + CELL_SIZE) / scale),
+          );
+          found.push({ cell, score, region: offsets[x][y] });
+        }),
+      );
+      const kept = nonMaxSuppression(
+        found.map((c) => c.cell),
+        found.map((c) => c.score),
+        0.5,
+      );
+      candidates.push(...kept.map((i) => found[i]));
+    }
+
+    const kept = nonMaxSuppression(
+      candidates.map((c) => c.cell),
+      candidates.map((c) => c.score),
+      0.7,
+    );
+    return {
+      boxes: kept.map((i) =>
+        candidates[i].cell.calibrate(
+          regionBox(this.faceapi, candidates[i].region),
+        ),
+      ),
+      scores: kept.map((i) => candidates[i].score),
+    };
+  }
+
+  /**
+   * Stage 2: rescore candidates with R-Net, drop overlaps, then move the
+   * survivors by R-Net's offsets.
+   */
+  async refine(image, boxes, threshold) {
+    const { tf, nonMaxSuppression } = this.faceapi;
+    const out = tf.tidy(() =>
+      rnet(tf, extractPatches(tf, image, boxes, 24), this.params.rnet),
+    );
+    const { scores, regions } = await readOutput(out);
+
+    const passed = indicesAbove(scores, threshold);
+    const kept = nonMaxSuppression(
+      passed.map((i) => boxes[i]),
+      passed.map((i) => scores[i]),
+      0.7,
+    ).map((j) => passed[j]);
+    return {
+      boxes: kept.map((i) =>
+        boxes[i].calibrate(regionBox(this.faceapi, regions[i])),
+      ),
+      scores: kept.map((i) => scores[i]),
+    };
+  }
+
+  /**
+   * Stage 3: rescore with O-Net and move boxes by its offsets, then drop
+   * boxes mostly inside a better one.
+   */
+  async output(image, boxes, threshold) {
+    const { tf, nonMaxSuppression } = this.faceapi;
+    const out = tf.tidy(() =>
+      onet(tf, extractPatches(tf, image, boxes, 48), this.params.onet),
+    );
+    const { scores, regions } = await readOutput(out);
+
+    const passed = indicesAbove(scores, threshold);
+    const calibrated = passed.map((i) =>
+      boxes[i].calibrate(regionBox(this.faceapi, regions[i])),
+    );
+    const kept = nonMaxSuppression(
+      calibrated,
+      passed.map((i) => scores[i]),
+      0.7,
+      false,
+    );
+    return {
+      boxes: kept.map((j) => calibrated[j]),
+      scores: kept.map((j) => scores[passed[j]]),
+    };
+  }
+}
+
+/**
+ * Pyramid scales: the first maps minFaceSize onto a P-Net cell, and each
+ * next one shrinks by SCALE_FACTOR until the image is no bigger than a cell.
+ */
+function pyramidScales(minFaceSize, height, width) {
+  const scales = [];
+  let scale = CELL_SIZE / minFaceSize;
+  while (Math.floor(Math.min(height, width) * scale) > CELL_SIZE) {
+    scales.push(scale);
+    scale *= SCALE_FACTOR;
+  }
+  return scales;
+}
+
+/**
+ * Box offsets a net predicted, relative to the box size.
+ */
+function regionBox(faceapi, [left, top, right, bottom]) {
+  return new faceapi.Box({ left, top, right, bottom }, true);
+}
+
+function indicesAbove(scores, threshold) {
+  return scores.flatMap((score, i) => (score > threshold ? [i] : []));
+}
+
+async function readOutput(out) {
+  const [scores, regions] = await Promise.all([
+    out.scores.data(),
+    out.regions.array(),
+  ]);
+  out.scores.dispose();
+  out.regions.dispose();
+  return { scores: Array.from(scores), regions };
+}
+
+/**
+ * Crop each box out of the image and resize it to the net's input size.
+ * Boxes are clipped to the image rather than padded.
+ */
+function extractPatches(tf, image, boxes, size) {
+  const [height, width] = image.shape.slice(1, 3);
+  const crops = boxes.map((box) => {
+    const { x, y, ex, ey } = box.padAtBorders(height, width);
+    return [
+      (y - 1) / (height - 1),
+      (x - 1) / (width - 1),
+      (ey - 1) / (height - 1),
+      (ex - 1) / (width - 1),
+    ];
+  });
+  const patches = tf.image.cropAndResize(
+    image,
+    crops,
+    boxes.map(() => 0),
+    [size, size],
+  );
+  return transposed(tf, patches);
+}
+
+/**
+ * Normalize pixels to [-1, 1] and swap rows and columns.
+ */
+function transposed(tf, x) {
+  return tf.transpose(tf.mul(tf.sub(x, 127.5), 0.0078125), [0, 2, 1, 3]);
+}
+
+function conv(tf, x, params) {
+  return tf.add(tf.conv2d(x, params.filters, 1, "valid"), params.bias);
+}
+
+function fullyConnected(tf, x, params) {
+  return tf.add(tf.matMul(x, params.weights), params.bias);
+}
+
+function sharedLayers(tf, x, params, isPnet = false) {
+  let out = tf.prelu(conv(tf, x, params.conv1), params.prelu1);
+  out = tf.maxPool(out, isPnet ? 2 : 3, 2, "same");
+  out = tf.prelu(conv(tf, out, params.conv2), params.prelu2);
+  if (!isPnet) out = tf.maxPool(out, 3, 2, "valid");
+  return tf.prelu(conv(tf, out, params.conv3), params.prelu3);
+}
+
+/**
+ * P-Net: face probability and box offsets per cell, as [x][y] grids.
+ */
+function pnet(tf, x, params) {
+  const out = sharedLayers(tf, x, params, true);
+  const prob = tf.softmax(conv(tf, out, params.conv4_1));
+  return {
+    prob: prob.slice([0, 0, 0, 1], [1, -1, -1, 1]).squeeze([0, 3]),
+    regions: conv(tf, out, params.conv4_2).squeeze([0]),
+  };
+}
+
+function rnet(tf, x, params) {
+  const out = sharedLayers(tf, x, params);
+  const flat = out.reshape([out.shape[0], -1]);
+  const hidden = tf.prelu(fullyConnected(tf, flat, params.fc1), params.prelu4);
+  return scoresAndRegions(tf, hidden, params);
+}
+
+function onet(tf, x, params) {
+  let out = sharedLayers(tf, x, params);
+  out = tf.maxPool(out, 2, 2, "same");
+  out = tf.prelu(conv(tf, out, params.conv4), params.prelu4);
+  const flat = out.reshape([out.shape[0], -1]);
+  const hidden = tf.prelu(fullyConnected(tf, flat, params.fc1), params.prelu5);
+  return scoresAndRegions(tf, hidden, params);
+}
+
+function scoresAndRegions(tf, hidden, params) {
+  const prob = tf.softmax(fullyConnected(tf, hidden, params.fc2_1));
+  return {
+    scores: prob.slice([0, 1], [-1, 1]).squeeze([1]),
+    regions: fullyConnected(tf, hidden, params.fc2_2),
+  };
+}
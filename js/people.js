@@ -0,0 +1,70 @@
+// Cross-photo identity clustering for batch mode.
+// Detected faces with descriptors are grouped into "people" by greedy
+// nearest-centroid assignment. Assignment is incremental: a face keeps its
+// personId, and new faces join the closest existing person, so choices made
+// for a person survive as more photos finish processing.
+
+import { descriptorDistance } from "./face-library.js";
+
+let nextPersonId = 1;
+
+/**
+ * Create a person from a first face.
+ * @param {number[]} descriptor - The face's descriptor
+ * @param {string|null} thumbnail - Representative crop (data URL)
+ * @param {number} score - Detection score of the face the crop came from
+ */
+export function createPerson(descriptor, thumbnail, score = 0) {
+  return {
+    id: `person-${nextPersonId++}`,
+    centroid: Array.from(descriptor),
+    samples: 1,
+    thumbnail,
+    thumbnailScore: score,
+    keep: null, // null = follow the known-faces library
+    effectId: null, // null = global effect
+  };
+}
+
+/**
+ * Find the person whose centroid is closest to a descriptor.
+ * @returns {object|null} The person, or null if none is within threshold
+ */
+export function nearestPerson(people, descriptor, threshold) {
+  let best = null;
+  let bestDistance = Infinity;
+  for (const person of people) {
+    const distance = descriptorDistance(descriptor, person.centroid);
+    if (distance <= threshold && distance < bestDistance) {
+      best = person;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+/**
+ * Fold another face's descriptor into a person's running-mean centroid.
+ */
+export function addSample(person, descriptor) {
+  person.samples += 1;
+  for (let i = 0; i < person.centroid.length; i++) {
+    person.centroid[i] += (descriptor[i] - person.centroid[i]) / person.samples;
+  }
+}
+
+/**
+ * Count member faces per person across photos.
+ * @returns {Map<string, number>} personId -> face count
+ */
+export function countMembers(photos) {
+  const counts = new Map();
+  for (const photo of photos) {
+    for (const face of photo.faces) {
+      if (face.personId) {
+        counts.set(face.personId, (counts.get(face.personId) || 0) + 1);
+      }
+    }
+  }
+  return counts;
+}
@@ -0,0 +1,165 @@
+// Whole-person detection for blocking bodies as well as faces.
+// Runs MoveNet MultiPose (a TensorFlow.js graph model, served from models/
+// like the face-api.js weights) once per photo. It returns up to six people,
+// each with a body box and 17 keypoints; the head keypoints are used to link
+// a body to the face it belongs to.
+// Like detector-backends.js, this module receives the face-api namespace
+// (for its bundled tf) rather than importing it, so the UI can import
+// linkBodies() cheaply.
+
+import {
+  PERSON_MIN_SCORE,
+  BODY_PADDING,
+  BODY_LINK_MAX_DISTANCE,
+} from "./constants.js";
+
+export const PERSON_MODEL = {
+  name: "movenet-multipose",
+  label: "person detector",
+};
+
+// MoveNet MultiPose takes a fixed 256x256 int32 RGB image and returns
+// [1, 6, 56]: per person 17 keypoints as (y, x, score), then
+// (ymin, xmin, ymax, xmax, score), all normalized to the input.
+const INPUT_SIZE = 256;
+const KEYPOINT_COUNT = 17;
+const HEAD_KEYPOINTS = [0, 1, 2, 3, 4]; // nose, eyes, ears
+const KEYPOINT_MIN_SCORE = 0.3;
+
+/**
+ * Detect people in a canvas.
+ * @param {object} faceapi - The face-api.js namespace
+ * @param {object} model - The loaded tf.GraphModel
+ * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Image to search
+ * @returns {Promise<Array>} [{ box, score, head }] in canvas pixels; head is
+ *   the mean of the confident head keypoints, or null
+ */
+export async function runPersonModel(faceapi, model, canvas) {
+  const { tf } = faceapi;
+
+  // Letterbox into the square input so boxes map back with one scale
+  const side = Math.max(canvas.width, canvas.height);
+  const input = faceapi.env.getEnv().createCanvasElement();
+  input.width = INPUT_SIZE;
+  input.height = INPUT_SIZE;
+  const ctx = input.getContext("2d");
+  ctx.fillStyle = "#000";
+  ctx.fillRect(0, 0, INPUT_SIZE, INPUT_SIZE);
+  const fit = INPUT_SIZE / side;
+  ctx.drawImage(canvas, 0, 0, canvas.width * fit, canvas.height * fit);
+  const pixels = ctx.getImageData(0, 0, INPUT_SIZE, INPUT_SIZE);
+
+  const output = tf.tidy(() =>
+    model.execute(tf.browser.fromPixels(pixels, 3).toInt().expandDims(0)),
+  );
+  const [rows] = await output.array();
+  output.dispose();
+
+  const people = [];
+  for (const row of rows) {
+    const [ymin, xmin, ymax, xmax, score] = row.slice(KEYPOINT_COUNT * 3);
+    if (score < PERSON_MIN_SCORE) continue;
+
+    const x = Math.max(0, xmin * side);
+    const y = Math.max(0, ymin * side);
+    const box = {
+      x,
+      y,
+      width: Math.min(canvas.width, xmax * side) - x,
+      height: Math.min(canvas.height, ymax * side) - y,
+    };
+    if (box.width <= 0 || box.height <= 0) continue;
+
+    people.push({ box, score, head: meanKeypoint(row, HEAD_KEYPOINTS, side) });
+  }
+  return people;
+}
+
+/**
+ * Mean position of the confident keypoints among a set, in pixels.
+ * @returns {{ x: number, y: number }|null} Null if none is confident
+ */
+function meanKeypoint(row, keypoints, side) {
+  const confident = keypoints.filter(
+    (k) => row[k * 3 + 2] >= KEYPOINT_MIN_SCORE,
+  );
+  if (confident.length === 0) return null;
+  let x = 0;
+  let y = 0;
+  for (const k of confident) {
+    y += row[k * 3];
+    x += row[k * 3 + 1];
+  }
+  return {
+    x: (x / confident.length) * side,
+    y: (y / confident.length) * side,
+  };
+}
+
+/**
+ * Pad a body box by BODY_PADDING, clamped to the image.
+ */
+export function padBody(box, width, height) {
+  const px = box.width * BODY_PADDING;
+  const py = box.height * BODY_PADDING;
+  const x = Math.max(0, box.x - px);
+  const y = Math.max(0, box.y - py);
+  return {
+    x,
+    y,
+    width: Math.min(width, box.x + box.width + px) - x,
+    height: Math.min(height, box.y + box.height + py) - y,
+  };
+}
+
+/**
+ * Link detected bodies to faces, setting face.body to the region covering
+ * both (or null). Each body goes to at most one face: the one whose center
+ * is inside the body box and closest to its head keypoints (or the top of
+ * the box when no head keypoint was confident). More confident faces pick
+ * first, and manual regions only get bodies no detected face claimed.
+ * @param {Array} faces - Face objects; updated in place
+ * @param {Array} bodies - Bodies from findBodies() in processor.js
+ */
+export function linkBodies(faces, bodies) {
+  const taken = new Set();
+  const ordered = [...faces].sort(
+    (a, b) => (b.manual ? 0 : b.score) - (a.manual ? 0 : a.score),
+  );
+
+  for (const face of ordered) {
+    const cx = face.box.x + face.box.width / 2;
+    const cy = face.box.y + face.box.height / 2;
+    const size = Math.max(face.box.width, face.box.height);
+
+    let best = null;
+    let bestDistance = BODY_LINK_MAX_DISTANCE;
+    for (const body of bodies) {
+      const b = body.box;
+      if (taken.has(body)) continue;
+      if (cx < b.x || cx > b.x + b.width || cy < b.y || cy > b.y + b.height) {
+        continue;
+      }
+      const head = body.head || { x: b.x + b.width / 2, y: b.y };
+      const distance = Math.hypot(head.x - cx, head.y - cy) / size;
+      if (distance <= bestDistance) {
+        best = body;
+        bestDistance = distance;
+      }
+    }
+
+    if (best) taken.add(best);
+    face.body = best ? unionBox(best.box, face.box) : null;
+  }
+}
+
+function unionBox(a, b) {
+  const x = Math.min(a.x, b.x);
+  const y = Math.min(a.y, b.y);
+  return {
+    x,
+    y,
+    width: Math.max(a.x + a.width, b.x + b.width) - x,
+    height: Math.max(a.y + a.height, b.y + b.height) - y,
+  };
+}
@@ -1,30 +1,338 @@
-// Pipeline orchestrator: coordinates detection and effect application
+// Pipeline orchestrator: coordinates detection and effect application.
+// Detection and rendering run in the processing worker when OffscreenCanvas
+// is available, and on the main thread otherwise.
 
-import { loadModels, detectFaces, isReady } from './detector.js';
-import { applyEffect } from './effects.js';
+import {
+  loadModels,
+  loadModelsFromFiles as loadModelsFromFilesMain,
+  detectFaces,
+  detectPeople,
+  detectLandmarks,
+  segmentPerson,
+  isReady,
+  FEATURE_MODELS,
+} from './detector.js';
+import {
+  applyEffect,
+  applyMaskedEffect,
+  applyShapedEffect,
+  drawFaceLabel,
+  setStickers,
+  setEmojiImages,
+} from './effects.js';
+import { getEffect, loadEffectModules } from './effect-registry.js';
+import { padBody } from './person-detector.js';
+import { headRegion, buildHeadMask } from './segmentation.js';
+import { getModelBaseUrl } from './model-loader.js';
+import { rankBySeed } from './face-seeds.js';
+import {
+  detectionCacheKey,
+  getCachedDetections,
+  putCachedDetections,
+} from './detection-cache.js';
+import {
+  computeTiles,
+  nonMaxSuppression,
+  meanPointDistance,
+  headPose,
+  coverageBox,
+  unrotateBox,
+  unrotatePoint,
+} from './geometry.js';
+import {
+  isWorkerAvailable,
+  isWorkerReady,
+  workerLoadModels,
+  workerLoadModelsFromFiles,
+  workerDetect,
+  workerDetectPeople,
+  workerLandmarks,
+  workerSegment,
+  workerRender,
+  workerLoadEffects,
+  workerSetStickers,
+  workerSetEmojiImages,
+  releaseWorkerSource,
+} from './worker-client.js';
 import {
   loadImageFromFile,
   readExifOrientation,
   drawImageCorrected,
   createDetectionCanvas,
   cloneCanvas,
+  createCanvas,
+  rotateCanvas,
   exportAsBlob,
   downloadBlob,
 } from './canvas-utils.js';
-import { MAX_IMAGE_DIMENSION } from './constants.js';
+import {
+  MAX_IMAGE_DIMENSION,
+  SENSITIVITY_PRESETS,
+  DEFAULT_DETECTOR_BACKEND,
+  DETECTION_TILE_SIZE,
+  DETECTION_TILE_OVERLAP,
+  NMS_IOU_THRESHOLD,
+  LANDMARK_JITTER,
+  LANDMARK_SPREAD_GOOD,
+  LANDMARK_SPREAD_BAD,
+  LANDMARK_MIN_QUALITY,
+  COVERAGE_PRESETS,
+} from './constants.js';
+
+/**
+ * Run a step in the worker if possible. If the worker itself dies,
+ * fall back to the main-thread implementation instead of failing.
+ */
+async function offThread(workerFn, mainFn) {
+  if (isWorkerAvailable()) {
+    try {
+      return await workerFn();
+    } catch (err) {
+      if (isWorkerAvailable()) throw err;
+      console.warn('Processing worker unavailable, using main thread:', err);
+    }
+  }
+  return mainFn();
+}
+
+/**
+ * Check if a backend's models (and any feature models) are loaded wherever
+ * detection runs.
+ */
+export function modelsReady(backendId = DEFAULT_DETECTOR_BACKEND, features = []) {
+  return isWorkerAvailable()
+    ? isWorkerReady(backendId, features)
+    : isReady(backendId, features);
+}
+
+/**
+ * Load a backend's models from the configured base path, if not yet loaded.
+ * @param {string[]} features - Optional feature models, e.g. ['descriptors']
+ */
+export async function ensureModels(onProgress, backendId = DEFAULT_DETECTOR_BACKEND, features = []) {
+  if (modelsReady(backendId, features)) return;
+  await offThread(
+    () => {
+      // Resolve against the page: the worker resolves relative URLs from js/
+      const baseUrl = new URL(getModelBaseUrl() + '/', document.baseURI).href;
+      return workerLoadModels(baseUrl.replace(/\/$/, ''), backendId, features, onProgress);
+    },
+    () => loadModels(onProgress, { backendId, features }),
+  );
+}
+
+/**
+ * Load effect plugin modules on the main thread and, when rendering runs
+ * there, in the render worker too.
+ * @param {string[]} urls - Absolute module URLs
+ * @returns {Promise<string[]>} The URLs that failed to load
+ */
+export async function loadEffectPlugins(urls) {
+  if (urls.length === 0) return [];
+  const failed = await loadEffectModules(urls);
+  const loaded = urls.filter((url) => !failed.includes(url));
+  if (loaded.length > 0 && isWorkerAvailable()) {
+    try {
+      failed.push(...(await workerLoadEffects(loaded)));
+    } catch (err) {
+      console.warn('Effect plugins not loaded in the processing worker:', err);
+    }
+  }
+  return failed;
+}
+
+/**
+ * Hand decoded sticker images to the Sticker effect, on the main thread
+ * and in the render worker.
+ * @param {Array<{ id: string, image: ImageBitmap }>} stickers - In library order
+ */
+export async function useStickers(stickers) {
+  setStickers(stickers);
+  if (isWorkerAvailable()) {
+    try {
+      await workerSetStickers(stickers);
+    } catch (err) {
+      console.warn('Stickers not sent to the processing worker:', err);
+    }
+  }
+}
+
+/**
+ * Hand the decoded bundled emoji to the Emoji effect, on the main thread
+ * and in the render worker.
+ * @param {Array<{ emoji: string, image: ImageBitmap }>} images
+ */
+export async function useEmojiImages(images) {
+  setEmojiImages(images);
+  if (isWorkerAvailable()) {
+    try {
+      await workerSetEmojiImages(images);
+    } catch (err) {
+      console.warn('Bundled emoji not sent to the processing worker:', err);
+    }
+  }
+}
+
+/**
+ * Load detection models from user-supplied files.
+ * @returns {Promise<{ backends: string[], features: string[] }>} What is now ready
+ */
+export function loadModelsFromFiles(files, onProgress) {
+  return offThread(
+    () => workerLoadModelsFromFiles(files, onProgress),
+    () => loadModelsFromFilesMain(files, onProgress),
+  );
+}
+
+/**
+ * Run the detector once on a canvas, in the worker when available.
+ * @param {boolean} tile - The canvas is a full-res tile (see detectTiled())
+ */
+function detectOnce(canvas, { sensitivity, backendId, features = [] }, scale, tile = false) {
+  return offThread(
+    () => workerDetect(canvas, sensitivity, scale, backendId, features, tile),
+    async () => {
+      await loadModels(null, { backendId, features });
+      return detectFaces(canvas, sensitivity, scale, backendId, features, tile);
+    },
+  );
+}
+
+/**
+ * Detect faces on a full-res canvas via a downscaled detection copy.
+ * Tiled presets add overlapping full-res tile passes; a rotated pass runs
+ * when requested or when nothing upright scored above detection.confidence.
+ * Results merge by NMS and come back highest score first.
+ * @param {object} detection - { sensitivity, backendId, rotated, features, confidence }
+ */
+async function runDetection(fullCanvas, detection, onProgress) {
+  const { canvas: detCanvas, scale } = createDetectionCanvas(fullCanvas);
+  let faces = await detectOnce(detCanvas, detection, scale);
+
+  const preset = SENSITIVITY_PRESETS[detection.sensitivity];
+  if (preset?.tiled) {
+    faces = await detectTiled(fullCanvas, detection, faces, onProgress);
+  }
+
+  const confident = faces.some((f) => f.score >= (detection.confidence ?? 0));
+  if (detection.rotated || !confident) {
+    const rotatedFaces = await detectRotated(fullCanvas, detCanvas, detection, scale, onProgress);
+    if (rotatedFaces.length > 0) {
+      faces = nonMaxSuppression([...faces, ...rotatedFaces], NMS_IOU_THRESHOLD);
+    }
+  }
+
+  // IDs are unique across photos and runs; app.js carries them over to
+  // the same faces when a photo is detected again
+  return faces
+    .sort((a, b) => b.score - a.score)
+    .map((f) => ({ ...f, id: `face-${crypto.randomUUID()}` }));
+}
+
+/**
+ * Add overlapping full-res tile passes to a global pass.
+ */
+async function detectTiled(fullCanvas, detection, globalFaces, onProgress) {
+  const tiles = computeTiles(
+    fullCanvas.width,
+    fullCanvas.height,
+    DETECTION_TILE_SIZE,
+    DETECTION_TILE_OVERLAP,
+  );
+  if (tiles.length <= 1) return globalFaces;
+
+  const all = [...globalFaces];
+  for (let i = 0; i < tiles.length; i++) {
+    onProgress?.(`Scanning tile ${i + 1}/${tiles.length}...`);
+    const tile = tiles[i];
+    const tileCanvas = createCanvas(tile.width, tile.height);
+    tileCanvas
+      .getContext('2d')
+      .drawImage(fullCanvas, tile.x, tile.y, tile.width, tile.height, 0, 0, tile.width, tile.height);
+
+    const tileFaces = await detectOnce(tileCanvas, detection, 1, true);
+    all.push(...tileFaces.map((f) => offsetFace(f, tile.x, tile.y)));
+  }
+
+  return nonMaxSuppression(all, NMS_IOU_THRESHOLD);
+}
+
+/**
+ * Detect on 90°, 180° and 270° rotated copies of the detection canvas,
+ * for people lying down or photos with missing EXIF orientation.
+ * Boxes and landmarks are mapped back to upright full-res coordinates.
+ */
+async function detectRotated(fullCanvas, detCanvas, detection, scale, onProgress) {
+  const found = [];
+  for (const turns of [1, 2, 3]) {
+    onProgress?.(`Checking rotated faces (${turns * 90}\u00B0)...`);
+    const rotated = rotateCanvas(detCanvas, turns);
+    const faces = await detectOnce(rotated, detection, scale);
+    found.push(
+      ...faces.map((f) => unrotateFace(f, turns, fullCanvas.width, fullCanvas.height)),
+    );
+  }
+  return found;
+}
+
+/**
+ * Map a face found on a rotated copy back to the upright image.
+ */
+function unrotateFace(face, turns, width, height) {
+  const landmarks = face.landmarks && {
+    positions: face.landmarks.positions.map((p) => unrotatePoint(p, turns, width, height)),
+  };
+  return {
+    ...face,
+    box: unrotateBox(face.box, turns, width, height),
+    landmarks,
+    ...(landmarks && headPose(landmarks.positions)),
+  };
+}
+
+/**
+ * Translate a face (box and landmarks) by a tile offset.
+ */
+function offsetFace(face, dx, dy) {
+  return {
+    ...face,
+    box: { ...face.box, x: face.box.x + dx, y: face.box.y + dy },
+    landmarks: face.landmarks && {
+      positions: face.landmarks.positions.map((p) => ({ x: p.x + dx, y: p.y + dy })),
+    },
+  };
+}
+
+/**
+ * Status line for a detection run, counting faces at the user's threshold.
+ */
+function foundMessage(faces, detection) {
+  const count = faces.filter((f) => f.score >= (detection.confidence ?? 0)).length;
+  return count > 0 ? `Found ${count} face${count > 1 ? 's' : ''}` : 'No faces detected';
+}
 
 /**
  * Full pipeline: load image file, detect faces, return state.
  * @param {File} file - Image file
- * @param {string} sensitivity - Detection sensitivity
+ * @param {string|null} fileHash - The file's hashFile(), which keys the
+ *   detection cache; null skips the cache
+ * @param {object} detection - Detection settings
+ * @param {string} detection.sensitivity - A SENSITIVITY_PRESETS key ('scan' or 'tiled')
+ * @param {string} detection.backendId - Detector backend id
+ * @param {boolean} detection.rotated - Always run the rotated pass
+ * @param {string[]} detection.features - Extra per-face outputs, e.g. ['descriptors', 'age']
+ * @param {number} detection.confidence - Score the user sees faces at; only
+ *   used to decide on the rotated fallback, since all scored faces are returned
  * @param {function} onProgress - Progress callback
- * @returns {{ fullCanvas, faces }}
+ * @returns {{ fullCanvas, faces, cached }} cached is true when faces came
+ *   from the detection cache
  */
-export async function loadAndDetect(file, sensitivity, onProgress) {
+export async function loadAndDetect(file, fileHash, detection, onProgress) {
+  // A cache hit skips model loading and detection entirely
+  const { key: cacheKey, faces: cachedFaces } = await lookupDetections(fileHash, detection);
+
   // Ensure models are loaded
-  if (!isReady()) {
-    await loadModels(onProgress);
-  }
+  if (!cachedFaces) await ensureModels(onProgress, detection.backendId, detection.features);
 
   onProgress?.('Loading image...');
   const img = await loadImageFromFile(file);
@@ -33,55 +341,347 @@ export async function loadAndDetect(file, sensitivity, onProgress) {
   // Draw to full-res canvas with EXIF correction
   const { canvas: fullCanvas } = drawImageCorrected(img, orientation, MAX_IMAGE_DIMENSION);
 
-  onProgress?.('Detecting faces...');
+  let faces = cachedFaces;
+  if (!faces) {
+    onProgress?.('Detecting faces...');
+    faces = await runDetection(fullCanvas, detection, onProgress);
+    if (cacheKey) await storeDetections(cacheKey, faces);
+  }
 
-  // Create downscaled canvas for detection
-  const { canvas: detCanvas, scale } = createDetectionCanvas(fullCanvas);
+  onProgress?.(foundMessage(faces, detection));
 
-  // Run detection
-  const faces = await detectFaces(detCanvas, sensitivity, scale);
+  return { fullCanvas, faces, cached: !!cachedFaces };
+}
 
-  onProgress?.(faces.length > 0 ? `Found ${faces.length} face${faces.length > 1 ? 's' : ''}` : 'No faces detected');
+/**
+ * Save detection results to the cache; failures are logged and ignored.
+ */
+async function storeDetections(key, faces) {
+  try {
+    await putCachedDetections(key, faces);
+  } catch (err) {
+    console.warn('Detection cache write failed:', err);
+  }
+}
 
-  return { fullCanvas, faces };
+/**
+ * Look a file up in the detection cache. Cache problems (no IndexedDB,
+ * private browsing, quota) only cost a cache miss.
+ * @returns {Promise<{ key: string|null, faces: Array|null }>}
+ */
+async function lookupDetections(fileHash, detection) {
+  if (!fileHash) return { key: null, faces: null };
+  try {
+    const key = detectionCacheKey(fileHash, detection);
+    return { key, faces: await getCachedDetections(key) };
+  } catch (err) {
+    console.warn('Detection cache unavailable:', err);
+    return { key: null, faces: null };
+  }
 }
 
 /**
- * Re-detect faces on an existing canvas with a new sensitivity.
+ * Re-detect faces on an existing canvas with new detection settings.
+ * @param {object} detection - { sensitivity, backendId, rotated, features, confidence }
  */
-export async function redetect(fullCanvas, sensitivity, onProgress) {
+export async function redetect(fullCanvas, detection, onProgress) {
+  await ensureModels(onProgress, detection.backendId, detection.features);
   onProgress?.('Re-detecting faces...');
-  const { canvas: detCanvas, scale } = createDetectionCanvas(fullCanvas);
-  const faces = await detectFaces(detCanvas, sensitivity, scale);
-  onProgress?.(faces.length > 0 ? `Found ${faces.length} face${faces.length > 1 ? 's' : ''}` : 'No faces detected');
+  const faces = await runDetection(fullCanvas, detection, onProgress);
+  onProgress?.(foundMessage(faces, detection));
   return faces;
 }
 
+/**
+ * Search one area of a photo again, for faces the full-image pass missed.
+ * The crop is taken at full resolution and the detector scales it up to
+ * its input size, so small faces get far more pixels than in the
+ * downscaled global pass.
+ * @param {object} area - { x, y, width, height } in full-res pixels
+ * @param {object} detection - As for redetect(); the 'area' preset is used
+ * @returns {Promise<Array>} Faces in full-res coordinates, highest score first
+ */
+export async function detectInArea(fullCanvas, area, detection, onProgress) {
+  await ensureModels(onProgress, detection.backendId, detection.features);
+  onProgress?.('Searching the area...');
+
+  const x = Math.max(0, Math.floor(area.x));
+  const y = Math.max(0, Math.floor(area.y));
+  const w = Math.min(fullCanvas.width, Math.ceil(area.x + area.width)) - x;
+  const h = Math.min(fullCanvas.height, Math.ceil(area.y + area.height)) - y;
+  if (w <= 0 || h <= 0) return [];
+
+  const crop = createCanvas(w, h);
+  crop.getContext('2d').drawImage(fullCanvas, x, y, w, h, 0, 0, w, h);
+  const faces = await detectOnce(crop, { ...detection, sensitivity: 'area' }, 1);
+  return faces.map((f) => offsetFace(f, x, y)).sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Compute per-face extras (descriptors, age) for faces that don't have them
+ * yet: manual regions, or faces found before the feature was requested.
+ * Each face is re-detected on a padded crop around its box; faces where
+ * nothing is found keep null fields, and are marked in face.analyzed so
+ * they aren't retried for the same features.
+ * @param {string[]} features - FEATURE_MODELS keys to fill in
+ * @returns {Promise<Array>} The faces, with missing fields filled in
+ */
+export async function describeFaces(
+  fullCanvas,
+  faces,
+  backendId = DEFAULT_DETECTOR_BACKEND,
+  features = ['descriptors'],
+) {
+  const fields = features.map((f) => FEATURE_MODELS[f].field);
+  const missing = faces.filter(
+    (f) =>
+      fields.some((field) => !f[field]) &&
+      !features.every((feature) => f.analyzed?.includes(feature)),
+  );
+  if (missing.length === 0) return faces;
+
+  const detection = { sensitivity: 'scan', backendId, features };
+  await ensureModels(null, backendId, features);
+
+  const described = new Map();
+  for (const face of missing) {
+    const margin = Math.max(face.box.width, face.box.height) * 0.5;
+    const x = Math.max(0, Math.floor(face.box.x - margin));
+    const y = Math.max(0, Math.floor(face.box.y - margin));
+    const w = Math.min(fullCanvas.width, Math.ceil(face.box.x + face.box.width + margin)) - x;
+    const h = Math.min(fullCanvas.height, Math.ceil(face.box.y + face.box.height + margin)) - y;
+    const filled = { analyzed: [...new Set([...(face.analyzed || []), ...features])] };
+    described.set(face, filled);
+    if (w <= 0 || h <= 0) continue;
+
+    const crop = createCanvas(w, h);
+    crop.getContext('2d').drawImage(fullCanvas, x, y, w, h, 0, 0, w, h);
+    const found = await detectOnce(crop, detection, 1);
+    const best = found.sort((a, b) => b.box.width * b.box.height - a.box.width * a.box.height)[0];
+    if (!best) continue;
+
+    for (const field of fields) {
+      if (!face[field] && best[field]) filled[field] = best[field];
+    }
+  }
+
+  return faces.map((f) => (described.has(f) ? { ...f, ...described.get(f) } : f));
+}
+
+/**
+ * Fit 68-point landmarks to manual regions, which skip detection.
+ * The landmark net always returns a face shape, so each box is also run
+ * shifted slightly either way: on a real face the points stay put, on
+ * anything else they follow the crop. That spread gives
+ * face.landmarkQuality (0-1); see landmarksFor().
+ * @returns {Promise<Array>} The faces, with landmarks fitted
+ */
+export async function fitLandmarks(fullCanvas, faces, backendId = DEFAULT_DETECTOR_BACKEND) {
+  if (faces.length === 0) return faces;
+  await ensureModels(null, backendId);
+
+  const fitted = new Map();
+  for (const face of faces) {
+    const runs = [];
+    for (const shift of [0, -LANDMARK_JITTER, LANDMARK_JITTER]) {
+      const positions = await landmarksInBox(fullCanvas, shiftBox(face.box, shift));
+      if (positions) runs.push(positions);
+    }
+    if (runs.length < 3) continue;
+
+    const size = Math.max(face.box.width, face.box.height);
+    const spread = (meanPointDistance(runs[0], runs[1]) + meanPointDistance(runs[0], runs[2])) / 2 / size;
+    const quality = Math.min(
+      1,
+      Math.max(0, (LANDMARK_SPREAD_BAD - spread) / (LANDMARK_SPREAD_BAD - LANDMARK_SPREAD_GOOD)),
+    );
+    fitted.set(face, { landmarks: { positions: runs[0] }, landmarkQuality: quality });
+  }
+
+  return faces.map((f) => (fitted.has(f) ? { ...f, ...fitted.get(f) } : f));
+}
+
+/**
+ * Landmarks for effects to use on a face. face.useLandmarks is the user's
+ * choice; without one, fitted landmarks need LANDMARK_MIN_QUALITY.
+ * @returns {object|null} Null means effects fall back to box geometry
+ */
+function landmarksFor(face) {
+  const enabled =
+    face.useLandmarks ?? (face.landmarkQuality == null || face.landmarkQuality >= LANDMARK_MIN_QUALITY);
+  return enabled ? face.landmarks : null;
+}
+
+/**
+ * The box an effect draws a face in: expanded to a COVERAGE_PRESETS key
+ * and turned by face.roll.
+ */
+function effectBox(face, coverage, landmarks) {
+  const preset = COVERAGE_PRESETS[coverage] || COVERAGE_PRESETS.face;
+  return coverageBox(face, preset.padding, landmarks?.positions);
+}
+
+/**
+ * Shift a box along the up-right diagonal by a fraction of its size
+ * (down-left for negative amounts).
+ */
+function shiftBox(box, amount) {
+  return { ...box, x: box.x + box.width * amount, y: box.y - box.height * amount };
+}
+
+/**
+ * Run the landmark net on a full-res crop.
+ * @returns {Promise<Array|null>} Positions in full-res pixels, or null if
+ *   the box lies outside the image
+ */
+async function landmarksInBox(fullCanvas, box) {
+  const x = Math.max(0, Math.floor(box.x));
+  const y = Math.max(0, Math.floor(box.y));
+  const w = Math.min(fullCanvas.width, Math.ceil(box.x + box.width)) - x;
+  const h = Math.min(fullCanvas.height, Math.ceil(box.y + box.height)) - y;
+  if (w <= 0 || h <= 0) return null;
+
+  const crop = createCanvas(w, h);
+  crop.getContext('2d').drawImage(fullCanvas, x, y, w, h, 0, 0, w, h);
+  const positions = await offThread(
+    () => workerLandmarks(crop),
+    () => detectLandmarks(crop),
+  );
+  return positions.map((p) => ({ x: p.x + x, y: p.y + y }));
+}
+
+/**
+ * Find whole people (bodies) in a photo for whole-person blocking.
+ * Runs the person detector once on the downscaled detection canvas; link
+ * the result to faces with linkBodies() from person-detector.js.
+ * @returns {Promise<Array>} [{ box, score, head }] in full-res pixels, box padded
+ */
+export async function findBodies(fullCanvas, backendId = DEFAULT_DETECTOR_BACKEND, onProgress) {
+  await ensureModels(onProgress, backendId, ['people']);
+  onProgress?.('Finding people...');
+
+  const { canvas: detCanvas, scale } = createDetectionCanvas(fullCanvas);
+  const bodies = await offThread(
+    () => workerDetectPeople(detCanvas, scale),
+    () => detectPeople(detCanvas, scale),
+  );
+  return bodies.map((b) => ({
+    ...b,
+    box: padBody(b.box, fullCanvas.width, fullCanvas.height),
+  }));
+}
+
+/**
+ * Compute head masks for faces that don't have one yet.
+ * Each face's head region is cropped from the full-res canvas and segmented
+ * on its own, so neighbours in a group photo get separate masks.
+ * @returns {Promise<Array>} The faces, with face.mask filled in
+ */
+export async function maskFaces(fullCanvas, faces, backendId = DEFAULT_DETECTOR_BACKEND, onProgress) {
+  const missing = faces.filter((f) => !f.mask);
+  if (missing.length === 0) return faces;
+  await ensureModels(onProgress, backendId, ['segmentation']);
+
+  const masks = new Map();
+  for (let i = 0; i < missing.length; i++) {
+    onProgress?.(`Masking heads ${i + 1}/${missing.length}...`);
+    const face = missing[i];
+    const region = headRegion(face.box, fullCanvas.width, fullCanvas.height);
+    if (region.width <= 0 || region.height <= 0) continue;
+
+    const crop = createCanvas(region.width, region.height);
+    crop
+      .getContext('2d')
+      .drawImage(fullCanvas, region.x, region.y, region.width, region.height, 0, 0, region.width, region.height);
+    const segment = await offThread(
+      () => workerSegment(crop),
+      () => segmentPerson(crop),
+    );
+    masks.set(face, buildHeadMask(segment, region, face.box));
+  }
+
+  return faces.map((f) => (masks.has(f) ? { ...f, mask: masks.get(f) } : f));
+}
+
 /**
  * Apply effects to all faces and return the processed canvas.
- * @param {HTMLCanvasElement} fullCanvas - Original full-res canvas
+ * Runs synchronously on the calling thread; see processImageAsync().
+ * @param {HTMLCanvasElement|OffscreenCanvas} fullCanvas - Original full-res canvas
  * @param {Array} faces - Face detection results with effect settings
  * @param {string} globalEffectId - Default effect ID
  * @param {number} globalIntensity - Default intensity
- * @param {object} globalOptions - Default options (emoji, color)
- * @returns {HTMLCanvasElement} Processed canvas
+ * @param {object} globalParams - Default effect params, keyed by effect ID
+ * @returns {HTMLCanvasElement|OffscreenCanvas} Processed canvas
  */
-export function processImage(fullCanvas, faces, globalEffectId, globalIntensity, globalOptions = {}) {
+export function processImage(fullCanvas, faces, globalEffectId, globalIntensity, globalParams = {}) {
   // Clone the canvas so we don't modify the original
   const processed = cloneCanvas(fullCanvas);
   const ctx = processed.getContext('2d');
+  // Effects that pick from a list (Sticker) pick by rank among the faces
+  // they draw, so those faces get different picks
+  const ranks = rankBySeed(faces.filter((f) => !f.keep), (f) => f.effectId || globalEffectId);
 
   for (const face of faces) {
+    // Faces matched to the known-faces library stay visible
+    if (face.keep) continue;
+
     const effectId = face.effectId || globalEffectId;
-    const intensity = face.intensity != null ? face.intensity : globalIntensity;
-    const options = face.options || globalOptions;
+    // Settings changed for this face win over the global ones
+    const overrides = face.paramOverrides?.[effectId] || {};
+    const intensity = overrides.intensity ?? (face.intensity != null ? face.intensity : globalIntensity);
+    const params = { ...globalParams[effectId], ...overrides, faceSeed: face.seed ?? 0, faceRank: ranks.get(face), faceLabel: face.label || '' };
 
-    applyEffect(ctx, fullCanvas, face.box, effectId, intensity, face.landmarks, options);
+    // Whole-person mode covers the linked body instead. Landmark effects
+    // (eye bar, silhouette) only make sense on the face itself.
+    const landmarks = landmarksFor(face);
+    const effect = getEffect(effectId);
+    if (face.region === 'body' && face.body && !effect.requiresLandmarks) {
+      applyEffect(ctx, fullCanvas, face.body, effectId, intensity, null, params);
+    } else if (face.clipToMask && face.mask) {
+      // The mask sets the outline, so coverage doesn't apply
+      const box = effectBox(face, 'face', landmarks);
+      applyMaskedEffect(ctx, fullCanvas, box, face.mask, effectId, intensity, landmarks, params);
+    } else {
+      const coverage = effect.followsCoverage === false ? 'face' : face.coverage || 'face';
+      // Landmark shapes outline the face alone, so wider coverage drops them
+      const shapeLandmarks = coverage === 'face' ? landmarks : null;
+      const box = effectBox(face, coverage, landmarks);
+      if (face.maskShape && face.maskShape !== 'auto') {
+        const feather = face.maskFeather || 0;
+        applyShapedEffect(ctx, fullCanvas, box, face.maskShape, feather, effectId, intensity, shapeLandmarks, params);
+      } else {
+        applyEffect(ctx, fullCanvas, box, effectId, intensity, shapeLandmarks, params);
+      }
+    }
+
+    // Other effects get the face's label as a tag under the face
+    if (face.label && face.labelOverlay && !effect.drawsLabel) {
+      drawFaceLabel(ctx, effectBox(face, 'face', landmarks), face.label);
+    }
   }
 
   return processed;
 }
 
+/**
+ * Apply effects to all faces without blocking the main thread when possible.
+ * Same arguments as processImage().
+ * @returns {Promise<HTMLCanvasElement>} Processed canvas
+ */
+export function processImageAsync(fullCanvas, faces, globalEffectId, globalIntensity, globalParams = {}) {
+  return offThread(
+    () => workerRender(fullCanvas, faces, globalEffectId, globalIntensity, globalParams),
+    () => processImage(fullCanvas, faces, globalEffectId, globalIntensity, globalParams),
+  );
+}
+
+/**
+ * Release any worker-side copy of a full-res canvas that is being dropped.
+ */
+export function releaseImage(fullCanvas) {
+  if (fullCanvas) releaseWorkerSource(fullCanvas);
+}
+
 /**
  * Export the processed canvas and trigger download.
  */
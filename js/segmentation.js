@@ -0,0 +1,215 @@
+// Head masks for pixel-accurate blocking.
+// A selfie segmentation model (MediaPipe Selfie Segmentation as a
+// TensorFlow.js graph model, served from models/) runs on a crop around each
+// face. The person mask is cut down to the head — the region connected to
+// the face, stopping just under the chin — and merged with the face ellipse
+// so a mask never covers less than the ellipse it replaces.
+// A mask is { box, width, height, alpha }: an alpha grid (0-255) stretched
+// over box in full-res pixels. Effects clip to it (see applyMaskedEffect()
+// in effects.js) and the user can touch it up with a brush.
+// Like person-detector.js, model code receives the face-api namespace, so
+// the UI can import the mask helpers cheaply.
+
+import { createCanvas } from "./canvas-utils.js";
+
+export const SEGMENTATION_MODEL = {
+  name: "selfie",
+  label: "segmentation",
+};
+
+// The model takes a fixed 256x256 float RGB image in [0, 1] and returns a
+// [1, 256, 256, 1] person probability map
+const INPUT_SIZE = 256;
+const MASK_THRESHOLD = 128;
+
+// Head crop around a face box, in face sizes: hair above, ears either side
+const HEAD_WIDTH = 2;
+const HEAD_HEIGHT = 2.2;
+const HEAD_TOP = 0.8;
+// Rows below the chin (in face heights from the box top) are dropped
+const CHIN_CUTOFF = 1.1;
+
+/**
+ * Run the segmentation model on a canvas, stretched to the model input.
+ * @param {object} faceapi - The face-api.js namespace
+ * @param {object} model - The loaded tf.GraphModel
+ * @returns {Promise<{ width: number, height: number, alpha: Uint8ClampedArray }>}
+ *   Person probability per cell, 0-255
+ */
+export async function runSegmentationModel(faceapi, model, canvas) {
+  const { tf } = faceapi;
+
+  const input = faceapi.env.getEnv().createCanvasElement();
+  input.width = INPUT_SIZE;
+  input.height = INPUT_SIZE;
+  const ctx = input.getContext("2d");
+  ctx.drawImage(canvas, 0, 0, INPUT_SIZE, INPUT_SIZE);
+  const pixels = ctx.getImageData(0, 0, INPUT_SIZE, INPUT_SIZE);
+
+  const output = tf.tidy(() =>
+    model.execute(
+      tf.browser.fromPixels(pixels, 3).toFloat().div(255).expandDims(0),
+    ),
+  );
+  const probabilities = await output.data();
+  output.dispose();
+
+  const alpha = new Uint8ClampedArray(INPUT_SIZE * INPUT_SIZE);
+  for (let i = 0; i < alpha.length; i++) alpha[i] = probabilities[i] * 255;
+  return { width: INPUT_SIZE, height: INPUT_SIZE, alpha };
+}
+
+/**
+ * Crop to segment for a face: the head and hair around it, clamped to the
+ * image and rounded to whole pixels.
+ */
+export function headRegion(faceBox, width, height) {
+  const halfWidth = (faceBox.width * HEAD_WIDTH) / 2;
+  const cx = faceBox.x + faceBox.width / 2;
+  const top = faceBox.y - faceBox.height * HEAD_TOP;
+
+  const x = Math.max(0, Math.floor(cx - halfWidth));
+  const y = Math.max(0, Math.floor(top));
+  const right = Math.min(width, Math.ceil(cx + halfWidth));
+  const bottom = Math.min(
+    height,
+    Math.ceil(top + faceBox.height * HEAD_HEIGHT),
+  );
+  return { x, y, width: right - x, height: bottom - y };
+}
+
+/**
+ * Turn a segmentation of a head region into a head mask.
+ * Keeps the segmented area connected to the face center, drops everything
+ * below the chin, and adds the face ellipse.
+ * @param {{ width, height, alpha }} segment - From runSegmentationModel()
+ * @param {object} region - The crop the segment covers, from headRegion()
+ * @param {object} faceBox - The face, in full-res pixels
+ * @returns {object} Mask: { box, width, height, alpha }
+ */
+export function buildHeadMask(segment, region, faceBox) {
+  const { width, height } = segment;
+  const toGridX = (x) => ((x - region.x) / region.width) * width;
+  const toGridY = (y) => ((y - region.y) / region.height) * height;
+  const alpha = new Uint8ClampedArray(width * height);
+
+  // Flood fill from the face center over confident person cells
+  const start =
+    Math.floor(toGridY(faceBox.y + faceBox.height / 2)) * width +
+    Math.floor(toGridX(faceBox.x + faceBox.width / 2));
+  const chinRow = toGridY(faceBox.y + faceBox.height * CHIN_CUTOFF);
+  if (segment.alpha[start] >= MASK_THRESHOLD) {
+    const stack = [start];
+    alpha[start] = 255;
+    while (stack.length > 0) {
+      const i = stack.pop();
+      const gx = i % width;
+      const gy = (i - gx) / width;
+      for (const [nx, ny] of [
+        [gx - 1, gy],
+        [gx + 1, gy],
+        [gx, gy - 1],
+        [gx, gy + 1],
+      ]) {
+        if (nx < 0 || ny < 0 || nx >= width || ny >= height || ny > chinRow) {
+          continue;
+        }
+        const n = ny * width + nx;
+        if (alpha[n] === 0 && segment.alpha[n] >= MASK_THRESHOLD) {
+          alpha[n] = 255;
+          stack.push(n);
+        }
+      }
+    }
+  }
+
+  // Never cover less than the face ellipse
+  const ecx = toGridX(faceBox.x + faceBox.width / 2);
+  const ecy = toGridY(faceBox.y + faceBox.height / 2);
+  const rx = ((faceBox.width / 2) * 1.05 * width) / region.width;
+  const ry = ((faceBox.height / 2) * 1.05 * height) / region.height;
+  for (let gy = 0; gy < height; gy++) {
+    for (let gx = 0; gx < width; gx++) {
+      const dx = (gx + 0.5 - ecx) / rx;
+      const dy = (gy + 0.5 - ecy) / ry;
+      if (dx * dx + dy * dy <= 1) alpha[gy * width + gx] = 255;
+    }
+  }
+
+  return { box: { ...region }, width, height, alpha };
+}
+
+/**
+ * Copy a mask, so edits don't touch undo snapshots sharing the original.
+ */
+export function cloneMask(mask) {
+  return {
+    ...mask,
+    box: { ...mask.box },
+    alpha: new Uint8ClampedArray(mask.alpha),
+  };
+}
+
+/**
+ * Paint a round brush dab into a mask.
+ * @param {number} x - Brush center, full-res pixels
+ * @param {number} y - Brush center, full-res pixels
+ * @param {number} radius - Brush radius, full-res pixels
+ * @param {boolean} erase - Remove from the mask instead of adding
+ */
+export function paintMask(mask, x, y, radius, erase) {
+  const { box, width, height, alpha } = mask;
+  const sx = width / box.width;
+  const sy = height / box.height;
+  const cx = (x - box.x) * sx;
+  const cy = (y - box.y) * sy;
+  const rx = radius * sx;
+  const ry = radius * sy;
+
+  const x0 = Math.max(0, Math.floor(cx - rx));
+  const x1 = Math.min(width - 1, Math.ceil(cx + rx));
+  const y0 = Math.max(0, Math.floor(cy - ry));
+  const y1 = Math.min(height - 1, Math.ceil(cy + ry));
+  for (let gy = y0; gy <= y1; gy++) {
+    for (let gx = x0; gx <= x1; gx++) {
+      const dx = (gx + 0.5 - cx) / rx;
+      const dy = (gy + 0.5 - cy) / ry;
+      if (dx * dx + dy * dy <= 1) alpha[gy * width + gx] = erase ? 0 : 255;
+    }
+  }
+}
+
+/**
+ * Keep a mask on its face after the face box moved or was resized.
+ */
+export function fitMaskToBox(mask, fromBox, toBox) {
+  const sx = toBox.width / fromBox.width;
+  const sy = toBox.height / fromBox.height;
+  return {
+    ...mask,
+    box: {
+      x: toBox.x + (mask.box.x - fromBox.x) * sx,
+      y: toBox.y + (mask.box.y - fromBox.y) * sy,
+      width: mask.box.width * sx,
+      height: mask.box.height * sy,
+    },
+  };
+}
+
+/**
+ * Draw a mask's alpha grid into a canvas (white, at grid size).
+ * Scale it over mask.box when drawing.
+ */
+export function maskToCanvas(mask) {
+  const canvas = createCanvas(mask.width, mask.height);
+  const ctx = canvas.getContext("2d");
+  const image = ctx.createImageData(mask.width, mask.height);
+  for (let i = 0; i < mask.alpha.length; i++) {
+    image.data[i * 4] = 255;
+    image.data[i * 4 + 1] = 255;
+    image.data[i * 4 + 2] = 255;
+    image.data[i * 4 + 3] = mask.alpha[i];
+  }
+  ctx.putImageData(image, 0, 0);
+  return canvas;
+}
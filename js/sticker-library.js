@@ -0,0 +1,86 @@
+// Sticker library: the user's own images for the Sticker effect.
+// PNG and SVG files are stored in IndexedDB on this device only, with a
+// small thumbnail for the picker. They are decoded to bitmaps for rendering
+// (see setStickers() in effects.js).
+
+import { withStore } from "./storage.js";
+import { createCanvas, loadImageFromFile } from "./canvas-utils.js";
+import {
+  STICKER_TYPES,
+  STICKER_MAX_BYTES,
+  STICKER_SIZE,
+  THUMBNAIL_SIZE,
+} from "./constants.js";
+
+const STORE = "stickers";
+
+/**
+ * All stickers, oldest first.
+ */
+export async function listStickers() {
+  const stickers = await withStore(STORE, "readonly", (store) =>
+    store.getAll(),
+  );
+  return (stickers || []).sort((a, b) => a.createdAt - b.createdAt);
+}
+
+/**
+ * Add a PNG or SVG file to the library.
+ * @returns {Promise<object>} The stored entry
+ */
+export async function addSticker(file) {
+  if (!STICKER_TYPES.includes(file.type)) {
+    throw new Error(`${file.name} isn't a PNG or SVG image`);
+  }
+  if (file.size > STICKER_MAX_BYTES) {
+    throw new Error(`${file.name} is too large for a sticker`);
+  }
+
+  let image;
+  try {
+    image = await rasterize(file, THUMBNAIL_SIZE);
+  } catch {
+    throw new Error(`${file.name} couldn't be read`);
+  }
+  const entry = {
+    id: `sticker-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    name: file.name.replace(/\.[^.]+$/, ""),
+    blob: new Blob([file], { type: file.type }),
+    thumbnail: image.toDataURL("image/png"),
+    createdAt: Date.now(),
+  };
+  await withStore(STORE, "readwrite", (store) => store.put(entry));
+  return entry;
+}
+
+export function removeSticker(id) {
+  return withStore(STORE, "readwrite", (store) => store.delete(id));
+}
+
+/**
+ * Decode a library entry into a bitmap for the effect.
+ * @returns {Promise<ImageBitmap>}
+ */
+export async function decodeSticker(entry) {
+  return createImageBitmap(await rasterize(entry.blob, STICKER_SIZE));
+}
+
+/**
+ * Draw an image file onto a canvas no larger than maxSize on its longest
+ * side. PNGs are never enlarged; SVGs are drawn at full size, and at
+ * maxSize square when they declare no size of their own.
+ */
+async function rasterize(blob, maxSize) {
+  const img = await loadImageFromFile(blob);
+  const isSvg = blob.type === "image/svg+xml";
+  const width = img.naturalWidth || maxSize;
+  const height = img.naturalHeight || maxSize;
+  const fit = maxSize / Math.max(width, height);
+  const scale = isSvg ? fit : Math.min(1, fit);
+  const canvas = createCanvas(
+    Math.max(1, Math.round(width * scale)),
+    Math.max(1, Math.round(height * scale)),
+  );
+  canvas.getContext("2d").drawImage(img, 0, 0, canvas.width, canvas.height);
+  return canvas;
+}
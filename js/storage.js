@@ -0,0 +1,90 @@
+// IndexedDB access for data kept on this device.
+// One database holds every object store; stores are created on upgrade.
+// Nothing stored here is ever sent anywhere.
+
+const DB_NAME = "faceblock";
+const DB_VERSION = 4;
+
+// Object stores: key path plus any indexes (index name -> key path)
+const STORES = {
+  knownFaces: { keyPath: "id" },
+  detections: { keyPath: "key", indexes: { lastUsed: "lastUsed" } },
+  stickers: { keyPath: "id" },
+  faceSeeds: { keyPath: "key", indexes: { updatedAt: "updatedAt" } },
+};
+
+let dbPromise = null;
+
+/**
+ * Open (and upgrade if needed) the app database.
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") {
+        reject(new Error("IndexedDB is not available in this browser"));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        for (const [name, { keyPath, indexes = {} }] of Object.entries(STORES)) {
+          if (db.objectStoreNames.contains(name)) continue;
+          const store = db.createObjectStore(name, { keyPath });
+          for (const [indexName, indexKeyPath] of Object.entries(indexes)) {
+            store.createIndex(indexName, indexKeyPath);
+          }
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Run a single request against a store and resolve with its result.
+ * @param {string} storeName - One of STORES
+ * @param {"readonly"|"readwrite"} mode
+ * @param {function} makeRequest - Receives the IDBObjectStore, returns an IDBRequest
+ */
+export async function withStore(storeName, mode, makeRequest) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = makeRequest(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(request?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/**
+ * Walk a store or index with a cursor inside one transaction.
+ * @param {string} storeName - One of STORES
+ * @param {"readonly"|"readwrite"} mode
+ * @param {object} opts
+ * @param {string} opts.index - Index to walk instead of the primary key
+ * @param {function} opts.visit - Called with each IDBCursorWithValue; return
+ *   false to stop early
+ */
+export async function walkStore(storeName, mode, { index, visit }) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const store = tx.objectStore(storeName);
+    const request = (index ? store.index(index) : store).openCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (cursor && visit(cursor) !== false) cursor.continue();
+    };
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
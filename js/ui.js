@@ -1,6 +1,20 @@
 // UI module: DOM manipulation, event handlers, state rendering
 
-import { EFFECTS, EMOJI_OPTIONS, SENSITIVITY_PRESETS } from "./constants.js";
+import {
+  SENSITIVITY_PRESETS,
+  LANDMARK_MIN_QUALITY,
+  REVIEW_ZOOM_MAX,
+  ROLL_SNAP,
+  COVERAGE_PRESETS,
+  MASK_SHAPES,
+  MAX_SHAPE_FEATHER,
+} from "./constants.js";
+import { EMOJI_SET } from "./emoji-data.js";
+import { coverageBox } from "./geometry.js";
+import { listBackends } from "./detector-backends.js";
+import { listEffects, getEffect, paramDefaults } from "./effect-registry.js";
+import { maskToCanvas } from "./segmentation.js";
+import { emojiImageUrl, matchesEmoji } from "./emoji-set.js";
 
 // DOM element references
 let els = {};
@@ -10,7 +24,31 @@ let callbacks = {
   onFilesSelected: null,
   onEffectChange: null,
   onIntensityChange: null,
-  onSensitivityChange: null,
+  onEffectParamChange: null,
+  onFaceParamChange: null,
+  onFaceParamsReset: null,
+  onFaceReroll: null,
+  onStickerFilesSelected: null,
+  onStickerRemoved: null,
+  onConfidenceChange: null,
+  onTiledToggle: null,
+  onDetectorChange: null,
+  onRotationToggle: null,
+  onBodyToggle: null,
+  onHeadMasksToggle: null,
+  onMaskStroke: null,
+  onLandmarksToggle: null,
+  onCoverageChange: null,
+  onFaceCoverageChange: null,
+  onMaskShapeChange: null,
+  onMaskFeatherChange: null,
+  onFaceMaskShapeChange: null,
+  onLabelsToggle: null,
+  onLabelPrefixChange: null,
+  onLabelOverlayToggle: null,
+  onFaceLabelChange: null,
+  onLegendExport: null,
+  onAreaDetect: null,
   onDownload: null,
   onDownloadAll: null,
   onShare: null,
@@ -18,6 +56,7 @@ let callbacks = {
   onFaceDrawn: null,
   onFaceMoved: null,
   onFaceResized: null,
+  onFaceRotated: null,
   onFaceRemoved: null,
   onFormatChange: null,
   onNewPhoto: null,
@@ -25,12 +64,30 @@ let callbacks = {
   onPhotoRemoved: null,
   onUndo: null,
   onRedo: null,
+  onModelFilesSelected: null,
+  onEnrollFace: null,
+  onKnownFaceRemoved: null,
+  onMatchThresholdChange: null,
+  onKnownFacesExport: null,
+  onKnownFacesImport: null,
+  onKnownFacesClear: null,
+  onPersonKeepToggle: null,
+  onPersonEffectChange: null,
+  onProtectMinorsChange: null,
+  onMinorAgeLimitChange: null,
+  onClearCache: null,
+  onReviewStart: null,
+  onReviewConfirm: null,
+  onReviewReject: null,
+  onReviewStop: null,
+  onReviewThresholdChange: null,
+  onRequireReviewToggle: null,
 };
 
 // Canvas interaction state
 const drag = {
   active: false,
-  mode: null, // 'draw' | 'move' | 'resize'
+  mode: null, // 'draw' | 'move' | 'resize' | 'rotate' | 'brush' | 'area'
   startX: 0,
   startY: 0,
   currentX: 0,
@@ -40,6 +97,29 @@ const drag = {
   origBox: null,
 };
 
+// "Find in area" tool: the next drag on the photo marks an area to search
+let areaToolActive = false;
+
+// Head mask brush: size is the on-screen diameter in CSS pixels
+const brush = {
+  active: false,
+  erase: false,
+  size: 24,
+};
+
+// Global effect settings and coverage, for faces without their own.
+// globalParams is app.js's object of param values keyed by effect ID.
+let activeEffectId = null;
+let currentIntensity = null;
+let globalParams = {};
+let defaultCoverage = null;
+
+// Face and values the face settings panel was last built for
+let faceParamsKey = null;
+
+// Sticker library entries, for sticker params (see sticker-library.js)
+let stickerLibrary = [];
+
 // Track current overlay state for hit testing during canvas interaction
 let currentFaces = [];
 let currentSelectedId = null;
@@ -69,17 +149,74 @@ export function setupUI(cbs) {
     statusBar: document.getElementById("status-bar"),
 
     modeGrid: document.getElementById("mode-grid"),
-    intensitySlider: document.getElementById("intensity-slider"),
-    intensityValue: document.getElementById("intensity-value"),
+    effectParams: document.getElementById("effect-params"),
+
+    coverageSelect: document.getElementById("coverage-select"),
+    faceCoverageRow: document.getElementById("face-coverage-row"),
+    faceCoverageSelect: document.getElementById("face-coverage-select"),
+
+    maskShapeSelect: document.getElementById("mask-shape-select"),
+    maskFeatherSlider: document.getElementById("mask-feather-slider"),
+    maskFeatherValue: document.getElementById("mask-feather-value"),
+    faceShapeRow: document.getElementById("face-shape-row"),
+    faceShapeSelect: document.getElementById("face-shape-select"),
+
+    labelsToggle: document.getElementById("labels-toggle"),
+    labelsOptions: document.getElementById("labels-options"),
+    labelPrefixInput: document.getElementById("label-prefix-input"),
+    labelOverlayToggle: document.getElementById("label-overlay-toggle"),
+    legendJsonBtn: document.getElementById("legend-json-btn"),
+    legendCsvBtn: document.getElementById("legend-csv-btn"),
+    faceLabelRow: document.getElementById("face-label-row"),
+    faceLabelInput: document.getElementById("face-label-input"),
+
+    landmarksRow: document.getElementById("landmarks-row"),
+    landmarksToggle: document.getElementById("landmarks-toggle"),
+    landmarksQuality: document.getElementById("landmarks-quality"),
+
+    maskTools: document.getElementById("mask-tools"),
+    maskBrushBtn: document.getElementById("mask-brush-btn"),
+    maskEraseToggle: document.getElementById("mask-erase-toggle"),
+    maskBrushSlider: document.getElementById("mask-brush-slider"),
+    maskBrushValue: document.getElementById("mask-brush-value"),
 
     advancedToggle: document.getElementById("advanced-toggle"),
     advancedPanel: document.getElementById("advanced-panel"),
-    sensitivitySlider: document.getElementById("sensitivity-slider"),
-    sensitivityLabel: document.getElementById("sensitivity-label"),
-
-    emojiPicker: document.getElementById("emoji-picker"),
-    colorPicker: document.getElementById("color-picker"),
-    colorInput: document.getElementById("color-input"),
+    confidenceSlider: document.getElementById("confidence-slider"),
+    confidenceValue: document.getElementById("confidence-value"),
+    tiledToggle: document.getElementById("tiled-toggle"),
+    detectorSelect: document.getElementById("detector-select"),
+    rotationToggle: document.getElementById("rotation-toggle"),
+    bodyToggle: document.getElementById("body-toggle"),
+    headMasksToggle: document.getElementById("head-masks-toggle"),
+    reviewThresholdSlider: document.getElementById("review-threshold-slider"),
+    reviewThresholdValue: document.getElementById("review-threshold-value"),
+    requireReviewToggle: document.getElementById("require-review-toggle"),
+    minorsToggle: document.getElementById("minors-toggle"),
+    minorAgeInput: document.getElementById("minor-age-input"),
+    modelFolderBtn: document.getElementById("model-folder-btn"),
+    modelFilesBtn: document.getElementById("model-files-btn"),
+    modelFolderInput: document.getElementById("model-folder-input"),
+    modelFilesInput: document.getElementById("model-files-input"),
+    cacheStats: document.getElementById("cache-stats"),
+    clearCacheBtn: document.getElementById("clear-cache-btn"),
+    peoplePanel: document.getElementById("people-panel"),
+    peopleList: document.getElementById("people-list"),
+    peopleCount: document.getElementById("people-count"),
+    enrollFaceBtn: document.getElementById("enroll-face-btn"),
+    knownFacesList: document.getElementById("known-faces-list"),
+    matchThresholdSlider: document.getElementById("match-threshold-slider"),
+    matchThresholdValue: document.getElementById("match-threshold-value"),
+    knownExportBtn: document.getElementById("known-export-btn"),
+    knownImportBtn: document.getElementById("known-import-btn"),
+    knownImportInput: document.getElementById("known-import-input"),
+    knownClearBtn: document.getElementById("known-clear-btn"),
+
+    faceParamsRow: document.getElementById("face-params-row"),
+    faceParams: document.getElementById("face-params"),
+    faceParamsReset: document.getElementById("face-params-reset"),
+    faceRerollBtn: document.getElementById("face-reroll-btn"),
+    stickerFileInput: document.getElementById("sticker-file-input"),
 
     formatPng: document.getElementById("format-png"),
     formatJpeg: document.getElementById("format-jpeg"),
@@ -91,23 +228,38 @@ export function setupUI(cbs) {
     shareBtn: document.getElementById("share-btn"),
     downloadAllBtn: document.getElementById("download-all-btn"),
     newPhotoBtn: document.getElementById("new-photo-btn"),
+    reviewBtn: document.getElementById("review-btn"),
     undoBtn: document.getElementById("undo-btn"),
     redoBtn: document.getElementById("redo-btn"),
+    areaDetectBtn: document.getElementById("area-detect-btn"),
 
     thumbnailStrip: document.getElementById("thumbnail-strip"),
     faceCount: document.getElementById("face-count"),
+
+    reviewBar: document.getElementById("review-bar"),
+    reviewText: document.getElementById("review-text"),
+    reviewConfirmBtn: document.getElementById("review-confirm-btn"),
+    reviewRejectBtn: document.getElementById("review-reject-btn"),
+    reviewStopBtn: document.getElementById("review-stop-btn"),
   };
 
   setupFileInput();
   setupDragDrop();
   setupPaste();
-  setupModeGrid();
-  setupSliders();
+  renderModeGrid();
+  setupFaceParams();
+  setupCoverage();
+  setupMaskShape();
+  setupLabels();
+  setupLandmarksToggle();
+  setupMaskTools();
   setupAdvancedPanel();
-  setupEmojiPicker();
-  setupColorPicker();
+  setupModelSource();
+  setupKnownFaces();
+  setupPeoplePanel();
   setupFormatToggle();
   setupButtons();
+  setupReview();
   setupCanvasClick();
   setupKeyboardShortcuts();
   setupThumbnailStrip();
@@ -164,9 +316,13 @@ function setupPaste() {
 
 // ---- Mode Grid ----
 
-function setupModeGrid() {
+/**
+ * Build the mode grid from the effect registry. Called again once effect
+ * plugins have loaded.
+ */
+export function renderModeGrid() {
   els.modeGrid.innerHTML = "";
-  for (const effect of EFFECTS) {
+  for (const effect of listEffects()) {
     const btn = document.createElement("button");
     btn.className = "mode-btn";
     btn.dataset.effectId = effect.id;
@@ -176,6 +332,7 @@ function setupModeGrid() {
       <span class="mode-icon">${effect.icon}</span>
       <span class="mode-label">${effect.name}</span>
     `;
+    btn.classList.toggle("active", effect.id === activeEffectId);
     btn.addEventListener("click", () => {
       callbacks.onEffectChange?.(effect.id);
     });
@@ -184,29 +341,549 @@ function setupModeGrid() {
 }
 
 export function setActiveMode(effectId) {
+  activeEffectId = effectId;
   for (const btn of els.modeGrid.querySelectorAll(".mode-btn")) {
     btn.classList.toggle("active", btn.dataset.effectId === effectId);
   }
 
-  // Show/hide emoji picker
-  els.emojiPicker.classList.toggle("visible", effectId === "emoji");
-  // Show/hide color picker
-  els.colorPicker.classList.toggle("visible", effectId === "solid-color");
+  renderEffectParams();
+}
+
+// ---- Effect Params ----
+
+export function setIntensity(val) {
+  currentIntensity = val;
+  renderEffectParams();
+}
+
+/**
+ * Set the global param values, keyed by effect ID. app.js updates the
+ * object in place as they change.
+ */
+export function setEffectParams(params) {
+  globalParams = params;
+  renderEffectParams();
+}
+
+/**
+ * Global values of an effect's params, intensity included.
+ */
+function globalParamValues(effect) {
+  return {
+    ...paramDefaults(effect),
+    ...globalParams[effect.id],
+    intensity: currentIntensity,
+  };
+}
+
+/**
+ * Build the active effect's controls from its param declarations.
+ */
+function renderEffectParams() {
+  if (!activeEffectId) return;
+  const effect = getEffect(activeEffectId);
+  const values = globalParamValues(effect);
+  els.effectParams.innerHTML = "";
+  for (const param of effect.params) {
+    const onChange = (value) => {
+      if (param.id === "intensity") {
+        currentIntensity = value;
+        callbacks.onIntensityChange?.(value);
+      } else {
+        callbacks.onEffectParamChange?.(param.id, value);
+      }
+    };
+    els.effectParams.appendChild(
+      createParamControl(param, values[param.id], onChange, true),
+    );
+  }
+}
+
+function setupFaceParams() {
+  els.faceParamsReset.addEventListener("click", () => {
+    callbacks.onFaceParamsReset?.();
+  });
+  els.faceRerollBtn.addEventListener("click", () => {
+    callbacks.onFaceReroll?.();
+  });
+  els.stickerFileInput.addEventListener("change", (e) => {
+    const files = Array.from(e.target.files);
+    e.target.value = "";
+    if (files.length > 0) callbacks.onStickerFilesSelected?.(files);
+  });
+}
+
+/**
+ * Show the sticker library in sticker params.
+ * @param {Array<{ id, name, thumbnail }>} stickers - In library order
+ */
+export function renderStickers(stickers) {
+  stickerLibrary = stickers;
+  renderEffectParams();
+  // Rebuild the face panel the next time the overlay renders
+  faceParamsKey = null;
+}
+
+/**
+ * Settings for the selected face: its effect's controls, showing the face's
+ * own values over the global ones. Rebuilt only when the face or its values
+ * change, so a control isn't replaced while in use.
+ */
+function renderFaceParams(face) {
+  const effect =
+    face && !face.keep && getEffect(face.effectId || activeEffectId);
+  els.faceParamsRow.classList.toggle(
+    "visible",
+    Boolean(effect?.params.length || effect?.randomized),
+  );
+  els.faceRerollBtn.hidden = !effect?.randomized;
+  const overrides = (effect && face.paramOverrides?.[effect.id]) || {};
+  const values = effect && { ...globalParamValues(effect), ...overrides };
+  const key = effect && JSON.stringify([face.id, effect.id, values]);
+  if (key === faceParamsKey) return;
+  faceParamsKey = key;
+  els.faceParams.innerHTML = "";
+  if (!effect) return;
+
+  for (const param of effect.params) {
+    els.faceParams.appendChild(
+      createParamControl(
+        param,
+        values[param.id],
+        (value) => callbacks.onFaceParamChange?.(param.id, value),
+        false,
+      ),
+    );
+  }
+  els.faceParamsReset.disabled = Object.keys(overrides).length === 0;
+}
+
+/**
+ * Build the control for one effect param (see effect-registry.js).
+ * @param {function} onChange - Called with each new value
+ * @param {boolean} live - Report sliders, colours and text as they change
+ *   rather than once the user lets go
+ */
+function createParamControl(param, value, onChange, live) {
+  if (param.type === "toggle") {
+    const row = document.createElement("label");
+    row.className = "toggle-row";
+    row.dataset.param = param.id;
+    const input = document.createElement("input");
+    input.type = "checkbox";
+    input.checked = Boolean(value);
+    input.addEventListener("change", () => onChange(input.checked));
+    const text = document.createElement("span");
+    text.textContent = param.label || param.id;
+    row.append(input, text);
+    return row;
+  }
+
+  const group = document.createElement("div");
+  group.className = "control-group";
+  group.dataset.param = param.id;
+  const label = document.createElement("label");
+  label.className = "control-label";
+  label.textContent = param.label || param.id;
+  group.appendChild(label);
+  const liveEvent = live ? "input" : "change";
+
+  let input;
+  switch (param.type) {
+    case "range": {
+      const unit = param.unit || "";
+      const valueEl = document.createElement("span");
+      valueEl.className = "slider-value";
+      valueEl.textContent = `${value}${unit}`;
+      label.appendChild(valueEl);
+      input = document.createElement("input");
+      input.type = "range";
+      input.className = "slider";
+      input.min = param.min ?? 0;
+      input.max = param.max ?? 100;
+      input.step = param.step ?? 1;
+      input.value = value;
+      input.addEventListener("input", () => {
+        valueEl.textContent = `${input.value}${unit}`;
+      });
+      input.addEventListener(liveEvent, () => onChange(Number(input.value)));
+      break;
+    }
+    case "select":
+      input = document.createElement("select");
+      input.className = "select-input";
+      for (const option of param.options || []) {
+        const el = document.createElement("option");
+        el.value = option.value;
+        el.textContent = option.label;
+        input.appendChild(el);
+      }
+      input.value = value;
+      input.addEventListener("change", () => onChange(input.value));
+      break;
+    case "emoji":
+      input = createEmojiPicker(param.options || [], value, onChange);
+      break;
+    case "sticker":
+      input = createStickerPicker(value, onChange, live);
+      break;
+    case "color":
+      input = document.createElement("input");
+      input.type = "color";
+      input.className = "color-input";
+      input.value = value;
+      input.addEventListener(liveEvent, () => onChange(input.value));
+      break;
+    case "number":
+      input = document.createElement("input");
+      input.type = "number";
+      input.className = "number-input";
+      if (param.min != null) input.min = param.min;
+      if (param.max != null) input.max = param.max;
+      input.value = value;
+      input.addEventListener("change", () => {
+        const val = parseInt(input.value);
+        if (!Number.isNaN(val)) onChange(val);
+      });
+      break;
+    default:
+      input = document.createElement("input");
+      input.type = "text";
+      input.className = "text-input";
+      input.maxLength = 40;
+      input.value = value ?? "";
+      input.addEventListener(liveEvent, () => onChange(input.value));
+  }
+  input.setAttribute("aria-label", param.label || param.id);
+  group.appendChild(input);
+  return group;
+}
+
+/**
+ * Picker for an emoji param, searchable by name. Bundled emoji show their
+ * image, so the picker matches the output on every device.
+ */
+function createEmojiPicker(options, value, onChange) {
+  const picker = document.createElement("div");
+  picker.className = "emoji-picker";
+  const search = document.createElement("input");
+  search.type = "search";
+  search.className = "text-input";
+  search.placeholder = "Search emoji";
+  search.setAttribute("aria-label", "Search emoji");
+
+  const grid = document.createElement("div");
+  grid.className = "emoji-grid";
+  for (const emoji of options) {
+    const entry = EMOJI_SET.find((e) => e.emoji === emoji);
+    const btn = document.createElement("button");
+    btn.className = "emoji-btn";
+    btn.type = "button";
+    btn.dataset.emoji = emoji;
+    if (entry) {
+      const img = document.createElement("img");
+      img.src = emojiImageUrl(emoji);
+      img.alt = emoji;
+      img.loading = "lazy";
+      btn.appendChild(img);
+      btn.title = entry.name;
+    } else {
+      btn.textContent = emoji;
+    }
+    btn.setAttribute("aria-label", `Select ${entry?.name || emoji}`);
+    btn.classList.toggle("active", emoji === value);
+    btn.addEventListener("click", () => {
+      for (const b of grid.children) b.classList.toggle("active", b === btn);
+      onChange(emoji);
+    });
+    grid.appendChild(btn);
+  }
+
+  search.addEventListener("input", () => {
+    for (const btn of grid.children) {
+      btn.hidden = !matchesEmoji(btn.dataset.emoji, search.value);
+    }
+  });
+  picker.append(search, grid);
+  return picker;
+}
+
+/**
+ * Picker for a sticker param: the library's thumbnails. The global picker
+ * (live) also adds stickers and removes the chosen one.
+ */
+function createStickerPicker(value, onChange, live) {
+  const picker = document.createElement("div");
+  picker.className = "sticker-picker";
+  let chosen = stickerLibrary.some((s) => s.id === value)
+    ? value
+    : stickerLibrary[0]?.id;
+
+  const grid = document.createElement("div");
+  grid.className = "emoji-grid";
+  for (const sticker of stickerLibrary) {
+    const btn = document.createElement("button");
+    btn.className = "emoji-btn";
+    btn.type = "button";
+    btn.title = sticker.name;
+    btn.setAttribute("aria-label", `Select ${sticker.name}`);
+    btn.classList.toggle("active", sticker.id === chosen);
+    const img = document.createElement("img");
+    img.src = sticker.thumbnail;
+    img.alt = "";
+    btn.appendChild(img);
+    btn.addEventListener("click", () => {
+      for (const b of grid.children) b.classList.toggle("active", b === btn);
+      chosen = sticker.id;
+      onChange(sticker.id);
+    });
+    grid.appendChild(btn);
+  }
+  picker.appendChild(grid);
+
+  if (stickerLibrary.length === 0) {
+    const hint = document.createElement("p");
+    hint.className = "control-hint";
+    hint.textContent =
+      "No stickers yet. Add PNG or SVG images; they stay on this device.";
+    picker.appendChild(hint);
+  }
+
+  if (live) {
+    const actions = document.createElement("div");
+    actions.className = "model-source";
+    const addBtn = document.createElement("button");
+    addBtn.className = "btn-small";
+    addBtn.type = "button";
+    addBtn.textContent = "Add stickers";
+    addBtn.addEventListener("click", () => els.stickerFileInput.click());
+    const removeBtn = document.createElement("button");
+    removeBtn.className = "btn-small";
+    removeBtn.type = "button";
+    removeBtn.textContent = "Remove";
+    removeBtn.disabled = !chosen;
+    removeBtn.addEventListener("click", () =>
+      callbacks.onStickerRemoved?.(chosen),
+    );
+    actions.append(addBtn, removeBtn);
+    picker.appendChild(actions);
+  }
+  return picker;
+}
+
+// ---- Coverage ----
+
+function setupCoverage() {
+  els.coverageSelect.innerHTML = "";
+  els.faceCoverageSelect.innerHTML = "";
+  els.faceCoverageSelect.appendChild(document.createElement("option"));
+  for (const [id, preset] of Object.entries(COVERAGE_PRESETS)) {
+    for (const select of [els.coverageSelect, els.faceCoverageSelect]) {
+      const option = document.createElement("option");
+      option.value = id;
+      option.textContent = preset.name;
+      select.appendChild(option);
+    }
+  }
+
+  els.coverageSelect.addEventListener("change", (e) => {
+    callbacks.onCoverageChange?.(e.target.value);
+  });
+  els.faceCoverageSelect.addEventListener("change", (e) => {
+    callbacks.onFaceCoverageChange?.(e.target.value || null);
+  });
+}
+
+export function setCoverage(coverage) {
+  defaultCoverage = coverage;
+  els.coverageSelect.value = coverage;
+  // First option of the per-face select follows the global setting
+  els.faceCoverageSelect.options[0].textContent = `Default (${COVERAGE_PRESETS[coverage].name})`;
 }
 
-// ---- Sliders ----
+/**
+ * Show the coverage override for the selected face.
+ */
+function renderFaceCoverage(face) {
+  els.faceCoverageRow.classList.toggle("visible", Boolean(face));
+  if (face) els.faceCoverageSelect.value = face.coverageOverride || "";
+}
 
-function setupSliders() {
-  els.intensitySlider.addEventListener("input", (e) => {
+// ---- Mask Shape ----
+
+function setupMaskShape() {
+  els.maskShapeSelect.innerHTML = "";
+  els.faceShapeSelect.innerHTML = "";
+  els.faceShapeSelect.appendChild(document.createElement("option"));
+  for (const [id, shape] of Object.entries(MASK_SHAPES)) {
+    for (const select of [els.maskShapeSelect, els.faceShapeSelect]) {
+      const option = document.createElement("option");
+      option.value = id;
+      option.textContent = shape.name;
+      select.appendChild(option);
+    }
+  }
+
+  els.maskFeatherSlider.max = Math.round(MAX_SHAPE_FEATHER * 100);
+
+  els.maskShapeSelect.addEventListener("change", (e) => {
+    callbacks.onMaskShapeChange?.(e.target.value);
+  });
+  els.faceShapeSelect.addEventListener("change", (e) => {
+    callbacks.onFaceMaskShapeChange?.(e.target.value || null);
+  });
+  els.maskFeatherSlider.addEventListener("input", (e) => {
     const val = parseInt(e.target.value);
-    els.intensityValue.textContent = `${val}%`;
-    callbacks.onIntensityChange?.(val);
+    els.maskFeatherValue.textContent = `${val}%`;
+    callbacks.onMaskFeatherChange?.(val / 100);
   });
 }
 
-export function setIntensity(val) {
-  els.intensitySlider.value = val;
-  els.intensityValue.textContent = `${val}%`;
+export function setMaskShape(shape, feather) {
+  els.maskShapeSelect.value = shape;
+  // First option of the per-face select follows the global setting
+  els.faceShapeSelect.options[0].textContent = `Default (${MASK_SHAPES[shape].name})`;
+  els.maskFeatherSlider.value = Math.round(feather * 100);
+  els.maskFeatherValue.textContent = `${Math.round(feather * 100)}%`;
+}
+
+/**
+ * Show the mask shape override for the selected face.
+ */
+function renderFaceMaskShape(face) {
+  els.faceShapeRow.classList.toggle("visible", Boolean(face));
+  if (face) els.faceShapeSelect.value = face.maskShapeOverride || "";
+}
+
+// ---- Face Labels ----
+
+function setupLabels() {
+  els.labelsToggle.addEventListener("change", (e) => {
+    callbacks.onLabelsToggle?.(e.target.checked);
+  });
+  els.labelPrefixInput.addEventListener("change", (e) => {
+    callbacks.onLabelPrefixChange?.(e.target.value);
+  });
+  els.labelOverlayToggle.addEventListener("change", (e) => {
+    callbacks.onLabelOverlayToggle?.(e.target.checked);
+  });
+  els.faceLabelInput.addEventListener("change", (e) => {
+    callbacks.onFaceLabelChange?.(e.target.value);
+  });
+  els.legendJsonBtn.addEventListener("click", () => {
+    callbacks.onLegendExport?.("json");
+  });
+  els.legendCsvBtn.addEventListener("click", () => {
+    callbacks.onLegendExport?.("csv");
+  });
+}
+
+export function setLabels(enabled, prefix, overlay) {
+  els.labelsToggle.checked = enabled;
+  els.labelsOptions.classList.toggle("visible", enabled);
+  els.labelPrefixInput.value = prefix;
+  els.labelOverlayToggle.checked = overlay;
+}
+
+/**
+ * Show the selected face's label for editing while it has one.
+ */
+function renderFaceLabel(face) {
+  els.faceLabelRow.classList.toggle("visible", Boolean(face?.label));
+  if (face?.label && document.activeElement !== els.faceLabelInput) {
+    els.faceLabelInput.value = face.label;
+  }
+}
+
+/**
+ * The area a face's effect covers when wider than the face box, or null.
+ * Mirrors processImage(): kept faces get no effect, and the eye bar, head
+ * masks and whole-person mode ignore coverage.
+ */
+function coverageArea(face) {
+  const coverage = face.coverage || defaultCoverage;
+  if (!COVERAGE_PRESETS[coverage] || coverage === "face") return null;
+  if (face.keep || (face.clipToMask && face.mask)) return null;
+  const effect = getEffect(face.effectId || activeEffectId);
+  if (effect.followsCoverage === false) return null;
+  if (face.region === "body" && face.body && !effect.requiresLandmarks) {
+    return null;
+  }
+  const landmarks = landmarksEnabled(face) ? face.landmarks : null;
+  return coverageBox(
+    face,
+    COVERAGE_PRESETS[coverage].padding,
+    landmarks?.positions,
+  );
+}
+
+// ---- Landmarks on Manual Regions ----
+
+function setupLandmarksToggle() {
+  els.landmarksToggle.addEventListener("change", (e) => {
+    callbacks.onLandmarksToggle?.(e.target.checked);
+  });
+}
+
+/**
+ * Whether effects use a face's landmarks: the user's choice, or else
+ * whether the fit is good enough (see landmarksFor() in processor.js).
+ */
+function landmarksEnabled(face) {
+  return (
+    face.useLandmarks ??
+    (face.landmarkQuality == null ||
+      face.landmarkQuality >= LANDMARK_MIN_QUALITY)
+  );
+}
+
+/**
+ * Show the landmarks toggle for a selected manual region with a fit.
+ */
+function renderLandmarksToggle(face) {
+  const show = Boolean(face?.manual && face.landmarks);
+  els.landmarksRow.classList.toggle("visible", show);
+  if (!show) return;
+  els.landmarksToggle.checked = landmarksEnabled(face);
+  els.landmarksQuality.textContent = `${Math.round(face.landmarkQuality * 100)}% fit`;
+}
+
+// ---- Head Mask Brush ----
+
+function setupMaskTools() {
+  els.maskBrushBtn.addEventListener("click", () => {
+    setBrushActive(!brush.active);
+  });
+  els.maskEraseToggle.addEventListener("change", (e) => {
+    brush.erase = e.target.checked;
+  });
+  els.maskBrushSlider.addEventListener("input", (e) => {
+    brush.size = parseInt(e.target.value);
+    els.maskBrushValue.textContent = `${brush.size}px`;
+  });
+}
+
+function setBrushActive(active) {
+  if (active) setAreaToolActive(false);
+  brush.active = active;
+  els.maskBrushBtn.setAttribute("aria-pressed", active);
+  if (currentSelectedId) showSelectionHint(selectionHintText());
+}
+
+function setAreaToolActive(active) {
+  if (active) setBrushActive(false);
+  areaToolActive = active;
+  els.areaDetectBtn.setAttribute("aria-pressed", active);
+  if (active || currentSelectedId) {
+    showSelectionHint(selectionHintText());
+  } else {
+    clearSelectionHint();
+  }
+}
+
+function selectionHintText() {
+  if (areaToolActive) return "Drag over the faces to search";
+  return brush.active ? "Paint to edit the mask" : "Drag to move";
 }
 
 // ---- Advanced Panel ----
@@ -220,46 +897,270 @@ function setupAdvancedPanel() {
       : "\u25BC";
   });
 
-  els.sensitivitySlider.addEventListener("input", (e) => {
+  els.confidenceSlider.addEventListener("input", (e) => {
     const val = parseInt(e.target.value);
-    const labels = ["Low", "Medium", "High"];
-    els.sensitivityLabel.textContent = labels[val] || "Medium";
-    const keys = ["low", "medium", "high"];
-    callbacks.onSensitivityChange?.(keys[val] || "medium");
+    els.confidenceValue.textContent = `${val}%`;
+    callbacks.onConfidenceChange?.(val / 100);
+  });
+
+  els.tiledToggle.addEventListener("change", (e) => {
+    callbacks.onTiledToggle?.(e.target.checked);
+  });
+
+  els.detectorSelect.innerHTML = "";
+  for (const backend of listBackends()) {
+    const option = document.createElement("option");
+    option.value = backend.id;
+    option.textContent = `${backend.name} (${backend.capabilities.speed})`;
+    option.title = backend.description;
+    els.detectorSelect.appendChild(option);
+  }
+  els.detectorSelect.addEventListener("change", (e) => {
+    callbacks.onDetectorChange?.(e.target.value);
+  });
+
+  els.rotationToggle.addEventListener("change", (e) => {
+    callbacks.onRotationToggle?.(e.target.checked);
+  });
+  els.bodyToggle.addEventListener("change", (e) => {
+    callbacks.onBodyToggle?.(e.target.checked);
+  });
+  els.headMasksToggle.addEventListener("change", (e) => {
+    callbacks.onHeadMasksToggle?.(e.target.checked);
+  });
+
+  els.reviewThresholdSlider.addEventListener("input", (e) => {
+    const val = parseInt(e.target.value);
+    els.reviewThresholdValue.textContent = `${val}%`;
+    callbacks.onReviewThresholdChange?.(val / 100);
+  });
+  els.requireReviewToggle.addEventListener("change", (e) => {
+    callbacks.onRequireReviewToggle?.(e.target.checked);
+  });
+
+  els.minorsToggle.addEventListener("change", (e) => {
+    callbacks.onProtectMinorsChange?.(e.target.checked);
+  });
+  els.minorAgeInput.addEventListener("change", (e) => {
+    const limit = Math.min(99, Math.max(1, parseInt(e.target.value) || 18));
+    e.target.value = limit;
+    callbacks.onMinorAgeLimitChange?.(limit);
   });
 }
 
-// ---- Emoji Picker ----
+export function setConfidence(value) {
+  els.confidenceSlider.value = Math.round(value * 100);
+  els.confidenceValue.textContent = `${Math.round(value * 100)}%`;
+}
 
-function setupEmojiPicker() {
-  const grid = els.emojiPicker.querySelector(".emoji-grid");
-  if (!grid) return;
-  grid.innerHTML = "";
-  for (const emoji of EMOJI_OPTIONS) {
-    const btn = document.createElement("button");
-    btn.className = "emoji-btn";
-    btn.textContent = emoji;
-    btn.setAttribute("aria-label", `Select ${emoji}`);
-    btn.addEventListener("click", () => {
-      for (const b of grid.querySelectorAll(".emoji-btn"))
-        b.classList.remove("active");
-      btn.classList.add("active");
-      callbacks.onEffectChange?.("emoji", { emoji });
+export function setReviewThreshold(value) {
+  els.reviewThresholdSlider.value = Math.round(value * 100);
+  els.reviewThresholdValue.textContent = `${Math.round(value * 100)}%`;
+}
+
+export function setDetectorBackend(backendId) {
+  els.detectorSelect.value = backendId;
+}
+
+export function setRotationToggle(enabled) {
+  els.rotationToggle.checked = enabled;
+}
+
+export function setBodyToggle(enabled) {
+  els.bodyToggle.checked = enabled;
+}
+
+export function setHeadMasksToggle(enabled) {
+  els.headMasksToggle.checked = enabled;
+}
+
+// ---- Model Source ----
+
+function setupModelSource() {
+  els.modelFolderBtn.addEventListener("click", () =>
+    els.modelFolderInput.click(),
+  );
+  els.modelFilesBtn.addEventListener("click", () => els.modelFilesInput.click());
+
+  for (const input of [els.modelFolderInput, els.modelFilesInput]) {
+    input.addEventListener("change", (e) => {
+      const files = Array.from(e.target.files);
+      e.target.value = "";
+      if (files.length > 0) callbacks.onModelFilesSelected?.(files);
     });
-    grid.appendChild(btn);
   }
-  // Default first emoji active
-  grid.firstChild?.classList.add("active");
+
+  els.clearCacheBtn.addEventListener("click", () => callbacks.onClearCache?.());
+}
+
+/**
+ * Show detection cache usage.
+ * @param {{ entries: number, bytes: number }|null} stats - null if unavailable
+ */
+export function setCacheStats(stats) {
+  if (!stats) {
+    els.cacheStats.textContent = "Unavailable";
+  } else if (stats.entries === 0) {
+    els.cacheStats.textContent = "Empty";
+  } else {
+    const mb = (stats.bytes / (1024 * 1024)).toFixed(1);
+    els.cacheStats.textContent = `${stats.entries} photo${stats.entries > 1 ? "s" : ""} \u00B7 ${mb} MB`;
+  }
+  els.clearCacheBtn.disabled = !stats || stats.entries === 0;
+}
+
+// ---- Known Faces ----
+
+function setupKnownFaces() {
+  els.enrollFaceBtn.addEventListener("click", () =>
+    callbacks.onEnrollFace?.(),
+  );
+
+  els.matchThresholdSlider.addEventListener("input", (e) => {
+    const val = parseInt(e.target.value) / 100;
+    els.matchThresholdValue.textContent = val.toFixed(2);
+    callbacks.onMatchThresholdChange?.(val);
+  });
+
+  els.knownFacesList.addEventListener("click", (e) => {
+    const removeBtn = e.target.closest(".known-face-remove");
+    if (removeBtn) callbacks.onKnownFaceRemoved?.(removeBtn.dataset.knownId);
+  });
+
+  els.knownExportBtn.addEventListener("click", () =>
+    callbacks.onKnownFacesExport?.(),
+  );
+  els.knownImportBtn.addEventListener("click", () =>
+    els.knownImportInput.click(),
+  );
+  els.knownImportInput.addEventListener("change", (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (file) callbacks.onKnownFacesImport?.(file);
+  });
+  els.knownClearBtn.addEventListener("click", () =>
+    callbacks.onKnownFacesClear?.(),
+  );
+}
+
+export function setMatchThreshold(value) {
+  els.matchThresholdSlider.value = Math.round(value * 100);
+  els.matchThresholdValue.textContent = value.toFixed(2);
+}
+
+/**
+ * Render the known-faces library list.
+ */
+export function renderKnownFaces(knownFaces) {
+  const list = els.knownFacesList;
+  list.innerHTML = "";
+
+  for (const known of knownFaces) {
+    const item = document.createElement("li");
+    item.className = "known-face";
+
+    const img = document.createElement("img");
+    img.src = known.thumbnail || "";
+    img.alt = "";
+    item.appendChild(img);
+
+    const name = document.createElement("span");
+    name.className = "known-face-name";
+    name.textContent = known.name;
+    item.appendChild(name);
+
+    const removeBtn = document.createElement("button");
+    removeBtn.className = "known-face-remove";
+    removeBtn.type = "button";
+    removeBtn.dataset.knownId = known.id;
+    removeBtn.setAttribute("aria-label", `Forget ${known.name}`);
+    removeBtn.title = "Forget";
+    removeBtn.innerHTML = "&times;";
+    item.appendChild(removeBtn);
+
+    list.appendChild(item);
+  }
+
+  els.knownExportBtn.disabled = knownFaces.length === 0;
+  els.knownClearBtn.disabled = knownFaces.length === 0;
 }
 
-// ---- Color Picker ----
+// ---- People Panel ----
 
-function setupColorPicker() {
-  els.colorInput.addEventListener("input", (e) => {
-    callbacks.onEffectChange?.("solid-color", { color: e.target.value });
+function setupPeoplePanel() {
+  els.peopleList.addEventListener("click", (e) => {
+    const keepBtn = e.target.closest(".person-keep");
+    if (!keepBtn) return;
+    const keep = keepBtn.getAttribute("aria-pressed") !== "true";
+    callbacks.onPersonKeepToggle?.(keepBtn.dataset.personId, keep);
+  });
+  els.peopleList.addEventListener("change", (e) => {
+    const select = e.target.closest(".person-effect");
+    if (select) {
+      callbacks.onPersonEffectChange?.(select.dataset.personId, select.value);
+    }
   });
 }
 
+/**
+ * Render the people found across a batch of photos.
+ * @param {Array<{ id, thumbnail, count, keep, effectId }>} people
+ */
+export function renderPeople(people) {
+  els.peoplePanel.classList.toggle("visible", people.length > 0);
+  els.peopleCount.textContent = people.length > 0 ? `${people.length}` : "";
+  els.peopleList.innerHTML = "";
+
+  for (const person of people) {
+    const item = document.createElement("li");
+    item.className = "person-card";
+
+    const thumb = document.createElement("span");
+    thumb.className = "person-thumb";
+    const img = document.createElement("img");
+    img.src = person.thumbnail || "";
+    img.alt = "";
+    thumb.appendChild(img);
+    const count = document.createElement("span");
+    count.className = "person-count";
+    count.textContent = person.count;
+    count.title = `In ${person.count} place${person.count > 1 ? "s" : ""}`;
+    thumb.appendChild(count);
+    item.appendChild(thumb);
+
+    const keepBtn = document.createElement("button");
+    keepBtn.className = "btn-small person-keep";
+    keepBtn.type = "button";
+    keepBtn.dataset.personId = person.id;
+    keepBtn.setAttribute("aria-pressed", person.keep);
+    keepBtn.textContent = person.keep ? "Visible" : "Blocked";
+    keepBtn.title = person.keep
+      ? "Block this person in every photo"
+      : "Keep this person visible in every photo";
+    item.appendChild(keepBtn);
+
+    const select = document.createElement("select");
+    select.className = "select-input person-effect";
+    select.dataset.personId = person.id;
+    select.disabled = person.keep;
+    select.setAttribute("aria-label", "Effect for this person");
+    const defaultOption = document.createElement("option");
+    defaultOption.value = "";
+    defaultOption.textContent = "Default effect";
+    select.appendChild(defaultOption);
+    for (const effect of listEffects()) {
+      const option = document.createElement("option");
+      option.value = effect.id;
+      option.textContent = effect.name;
+      select.appendChild(option);
+    }
+    select.value = person.effectId || "";
+    item.appendChild(select);
+
+    els.peopleList.appendChild(item);
+  }
+}
+
 // ---- Format Toggle ----
 
 function setupFormatToggle() {
@@ -288,6 +1189,9 @@ function setupButtons() {
   els.newPhotoBtn.addEventListener("click", () => callbacks.onNewPhoto?.());
   els.undoBtn?.addEventListener("click", () => callbacks.onUndo?.());
   els.redoBtn?.addEventListener("click", () => callbacks.onRedo?.());
+  els.areaDetectBtn.addEventListener("click", () =>
+    setAreaToolActive(!areaToolActive),
+  );
 
   // Show share button if Web Share API supports files
   if (els.shareBtn && navigator.canShare) {
@@ -305,6 +1209,84 @@ function setupButtons() {
   }
 }
 
+// ---- Review Queue ----
+
+function setupReview() {
+  els.reviewBtn.addEventListener("click", () => {
+    setAreaToolActive(false);
+    callbacks.onReviewStart?.();
+  });
+  els.reviewConfirmBtn.addEventListener("click", () =>
+    callbacks.onReviewConfirm?.(),
+  );
+  els.reviewRejectBtn.addEventListener("click", () =>
+    callbacks.onReviewReject?.(),
+  );
+  els.reviewStopBtn.addEventListener("click", () => callbacks.onReviewStop?.());
+}
+
+/**
+ * Show the item under review, or hide the review bar.
+ * @param {{ score: number|null, remaining: number, filename: string }|null} item -
+ *   score is null for a photo where no faces were found; remaining counts
+ *   this item too
+ */
+export function renderReviewItem(item) {
+  els.reviewBar.classList.toggle("visible", Boolean(item));
+  if (!item) return;
+
+  const more =
+    item.remaining > 1 ? ` \u00B7 ${item.remaining - 1} more to review` : "";
+  if (item.score != null) {
+    els.reviewText.textContent = `Is this a face? Found at ${Math.round(item.score * 100)}%${more}`;
+    els.reviewConfirmBtn.textContent = "Face";
+    els.reviewRejectBtn.textContent = "Not a face";
+  } else {
+    els.reviewText.textContent = `No faces found in ${item.filename}${more}`;
+    els.reviewConfirmBtn.textContent = "No faces here";
+    els.reviewRejectBtn.textContent = "Add faces";
+  }
+}
+
+/**
+ * Zoom the preview onto a face box (full-res pixels) so it fills about a
+ * third of the view, or back out to the whole photo when box is null.
+ */
+export function setPreviewZoom(box) {
+  const canvases = [els.previewCanvas, els.overlayCanvas];
+  const width = els.previewContainer.clientWidth;
+  const height = els.previewContainer.clientHeight;
+  if (!box || !els.previewCanvas.width || !width || !height) {
+    for (const canvas of canvases) canvas.style.transform = "";
+    return;
+  }
+
+  const unit = width / els.previewCanvas.width;
+  const scale = Math.min(
+    REVIEW_ZOOM_MAX,
+    Math.max(
+      1,
+      Math.min(
+        width / (box.width * unit * 3),
+        height / (box.height * unit * 3),
+      ),
+    ),
+  );
+  const cx = (box.x + box.width / 2) * unit;
+  const cy = (box.y + box.height / 2) * unit;
+  const tx = Math.min(
+    0,
+    Math.max(width - width * scale, width / 2 - cx * scale),
+  );
+  const ty = Math.min(
+    0,
+    Math.max(height - height * scale, height / 2 - cy * scale),
+  );
+  for (const canvas of canvases) {
+    canvas.style.transform = `translate(${tx}px, ${ty}px) scale(${scale})`;
+  }
+}
+
 // ---- Canvas Interaction (tap to select, drag to move/draw/resize) ----
 
 function setupCanvasClick() {
@@ -336,6 +1318,20 @@ function setupCanvasClick() {
     return 22 / displayScale;
   }
 
+  function getBrushRadius() {
+    return brush.size / 2 / getDisplayScale();
+  }
+
+  // Angle of the pointer around the dragged face's centre, 0 straight up
+  function getRotateAngle() {
+    const b = drag.origBox;
+    const angle = Math.atan2(
+      drag.currentX - (b.x + b.width / 2),
+      b.y + b.height / 2 - drag.currentY,
+    );
+    return Math.abs(angle) < ROLL_SNAP ? 0 : angle;
+  }
+
   function hitTest(cx, cy) {
     if (currentSelectedId) {
       const selected = currentFaces.find((f) => f.id === currentSelectedId);
@@ -353,6 +1349,14 @@ function setupCanvasClick() {
           return { type: "delete", face: selected };
         }
 
+        // Check rotation handle (manual regions only)
+        if (selected.manual) {
+          const r = rotateHandlePosition(b, selected.roll, getDisplayScale());
+          if (Math.hypot(cx - r.x, cy - r.y) <= hitRadius) {
+            return { type: "rotate", face: selected };
+          }
+        }
+
         // Check resize handle (centered on bottom-left corner)
         const hs = getHandleSize();
         const hCx = b.x;
@@ -383,6 +1387,14 @@ function setupCanvasClick() {
     return { type: "empty" };
   }
 
+  function getAreaBox() {
+    const x1 = Math.max(0, Math.min(drag.startX, drag.currentX));
+    const y1 = Math.max(0, Math.min(drag.startY, drag.currentY));
+    const x2 = Math.min(canvas.width, Math.max(drag.startX, drag.currentX));
+    const y2 = Math.min(canvas.height, Math.max(drag.startY, drag.currentY));
+    return { x: x1, y: y1, width: x2 - x1, height: y2 - y1 };
+  }
+
   function getResizeBox() {
     const dx = drag.currentX - drag.startX;
     const dy = drag.currentY - drag.startY;
@@ -439,6 +1451,24 @@ function setupCanvasClick() {
         f.id === drag.targetFaceId ? { ...f, box } : f,
       );
       renderOverlay(tempFaces, currentSelectedId);
+    } else if (drag.mode === "rotate") {
+      const roll = getRotateAngle();
+      const tempFaces = currentFaces.map((f) =>
+        f.id === drag.targetFaceId ? { ...f, roll } : f,
+      );
+      renderOverlay(tempFaces, currentSelectedId);
+    } else if (drag.mode === "area") {
+      renderOverlay(currentFaces, currentSelectedId);
+      const box = getAreaBox();
+      const ctx = canvas.getContext("2d");
+      const unit = 1 / getDisplayScale();
+      ctx.fillStyle = "rgba(124,92,252,0.1)";
+      ctx.fillRect(box.x, box.y, box.width, box.height);
+      ctx.strokeStyle = "#7C5CFC";
+      ctx.lineWidth = 2 * unit;
+      ctx.setLineDash([6 * unit, 4 * unit]);
+      ctx.strokeRect(box.x, box.y, box.width, box.height);
+      ctx.setLineDash([]);
     }
   }
 
@@ -449,7 +1479,7 @@ function setupCanvasClick() {
   function clearDragHint() {
     // Restore selection hint if still selected, otherwise clear
     if (currentSelectedId) {
-      showSelectionHint("Drag to move");
+      showSelectionHint(selectionHintText());
     } else {
       clearSelectionHint();
     }
@@ -462,6 +1492,21 @@ function setupCanvasClick() {
     drag.currentX = x;
     drag.currentY = y;
 
+    if (areaToolActive) {
+      drag.active = true;
+      drag.mode = "area";
+      return;
+    }
+
+    if (brush.active) {
+      // Brush strokes edit the selected face's mask wherever they start
+      drag.active = true;
+      drag.mode = "brush";
+      drag.targetFaceId = currentSelectedId;
+      callbacks.onMaskStroke?.("start", x, y, getBrushRadius(), brush.erase);
+      return;
+    }
+
     if (hit.type === "delete") {
       callbacks.onFaceRemoved?.();
       return;
@@ -470,6 +1515,11 @@ function setupCanvasClick() {
       drag.mode = "resize";
       drag.targetFaceId = hit.face.id;
       drag.origBox = { ...hit.face.box };
+    } else if (hit.type === "rotate") {
+      drag.active = true;
+      drag.mode = "rotate";
+      drag.targetFaceId = hit.face.id;
+      drag.origBox = { ...hit.face.box };
     } else if (hit.type === "face" && hit.face.id === currentSelectedId) {
       // Already selected — prepare for move
       drag.active = true;
@@ -497,6 +1547,10 @@ function setupCanvasClick() {
     if (!drag.active) return;
     drag.currentX = x;
     drag.currentY = y;
+    if (drag.mode === "brush") {
+      callbacks.onMaskStroke?.("move", x, y, getBrushRadius(), brush.erase);
+      return;
+    }
     drawDragPreview();
   }
 
@@ -529,6 +1583,21 @@ function setupCanvasClick() {
       }
     } else if (drag.mode === "resize") {
       callbacks.onFaceResized?.(drag.targetFaceId, getResizeBox());
+    } else if (drag.mode === "rotate") {
+      if (dist > 3) {
+        callbacks.onFaceRotated?.(drag.targetFaceId, getRotateAngle());
+      }
+    } else if (drag.mode === "brush") {
+      callbacks.onMaskStroke?.("end", x, y, getBrushRadius(), brush.erase);
+    } else if (drag.mode === "area") {
+      // One search per activation; a tap without a drag just cancels
+      const box = getAreaBox();
+      const minSize = 16 / getDisplayScale();
+      setAreaToolActive(false);
+      renderOverlay(currentFaces, currentSelectedId);
+      if (box.width >= minSize && box.height >= minSize) {
+        callbacks.onAreaDetect?.(box);
+      }
     }
 
     drag.active = false;
@@ -549,10 +1618,14 @@ function setupCanvasClick() {
     const coords = getCanvasCoords(e.clientX, e.clientY);
     if (!coords) return;
     const hit = hitTest(coords.x, coords.y);
-    if (hit.type === "delete") {
+    if (brush.active || areaToolActive) {
+      canvas.style.cursor = "crosshair";
+    } else if (hit.type === "delete") {
       canvas.style.cursor = "pointer";
     } else if (hit.type === "resize") {
       canvas.style.cursor = "nesw-resize";
+    } else if (hit.type === "rotate") {
+      canvas.style.cursor = "grab";
     } else if (hit.type === "face" && hit.face.id === currentSelectedId) {
       canvas.style.cursor = "move";
     } else if (hit.type === "face") {
@@ -586,7 +1659,7 @@ function setupCanvasClick() {
       const hit = hitTest(coords.x, coords.y);
       const hitsEmptySpace = hit.type === "empty";
 
-      if (hitsEmptySpace && !editorActive) {
+      if (hitsEmptySpace && !editorActive && !brush.active && !areaToolActive) {
         // Activation tap — let scroll through, activate on touchend instead
         return;
       }
@@ -660,25 +1733,31 @@ function setupKeyboardShortcuts() {
 
     const effectKeys = ["1", "2", "3", "4", "5", "6", "7", "8", "9", "0"];
     const idx = effectKeys.indexOf(e.key);
-    if (idx >= 0 && idx < EFFECTS.length) {
+    const effects = listEffects();
+    if (idx >= 0 && idx < effects.length) {
       e.preventDefault();
-      callbacks.onEffectChange?.(EFFECTS[idx].id);
+      callbacks.onEffectChange?.(effects[idx].id);
       return;
     }
 
-    if (e.key === "[") {
+    const intensity = getEffect(activeEffectId).params.find(
+      (p) => p.id === "intensity",
+    );
+    if (intensity && (e.key === "[" || e.key === "]")) {
       e.preventDefault();
-      const val = Math.max(0, parseInt(els.intensitySlider.value) - 10);
-      els.intensitySlider.value = val;
-      els.intensityValue.textContent = `${val}%`;
+      const step = e.key === "[" ? -10 : 10;
+      const val = Math.min(
+        intensity.max ?? 100,
+        Math.max(intensity.min ?? 0, currentIntensity + step),
+      );
+      setIntensity(val);
       callbacks.onIntensityChange?.(val);
     }
-    if (e.key === "]") {
+
+    if (e.key === "Escape" && els.reviewBar.classList.contains("visible")) {
       e.preventDefault();
-      const val = Math.min(100, parseInt(els.intensitySlider.value) + 10);
-      els.intensitySlider.value = val;
-      els.intensityValue.textContent = `${val}%`;
-      callbacks.onIntensityChange?.(val);
+      callbacks.onReviewStop?.();
+      return;
     }
 
     if (e.key === "Delete" || e.key === "Backspace") {
@@ -782,8 +1861,11 @@ export function renderThumbnailStrip(photos, activePhotoId) {
       badge.className = "thumb-status thumb-status--error";
       badge.textContent = "!";
     } else if (photo.status === "detected") {
-      badge.className = "thumb-status";
+      badge.className = photo.reviewed
+        ? "thumb-status"
+        : "thumb-status thumb-status--review";
       badge.textContent = photo.faces.length;
+      if (!photo.reviewed) badge.title = "Needs review";
     }
     btn.appendChild(badge);
 
@@ -889,6 +1971,22 @@ export function renderPreview(fullCanvas) {
   ctx.drawImage(fullCanvas, 0, 0);
 }
 
+/**
+ * Text drawn above a face: a known person's name or the age estimate when
+ * it decided the face's fate, then the detection score.
+ */
+function faceLabel(face) {
+  const parts = [];
+  const age = face.age ? `~${Math.round(face.age.years)}` : "";
+  if (face.ageReview) {
+    parts.push(age ? `Age ${age}?` : "Age?");
+  } else if (face.keep && (face.knownFaceName || age)) {
+    parts.push(face.knownFaceName || age);
+  }
+  if (!face.manual) parts.push(`${Math.round(face.score * 100)}%`);
+  return parts.join(" \u00B7 ");
+}
+
 /**
  * Draw face overlay boxes on the overlay canvas.
  */
@@ -897,6 +1995,19 @@ export function renderOverlay(faces, selectedFaceId) {
   currentFaces = faces;
   currentSelectedId = selectedFaceId;
 
+  els.enrollFaceBtn.disabled = !selectedFaceId;
+
+  // Brush tools show while the selected face is clipped to a head mask
+  const selected = faces.find((f) => f.id === selectedFaceId);
+  renderLandmarksToggle(selected);
+  renderFaceCoverage(selected);
+  renderFaceMaskShape(selected);
+  renderFaceLabel(selected);
+  renderFaceParams(selected);
+  const maskEditable = Boolean(selected?.clipToMask && selected.mask);
+  els.maskTools.classList.toggle("visible", maskEditable);
+  if (!maskEditable && brush.active) setBrushActive(false);
+
   const overlay = els.overlayCanvas;
   const ctx = overlay.getContext("2d");
   ctx.clearRect(0, 0, overlay.width, overlay.height);
@@ -905,15 +2016,79 @@ export function renderOverlay(faces, selectedFaceId) {
     const { x, y, width, height } = face.box;
     const isSelected = face.id === selectedFaceId;
 
-    ctx.strokeStyle = isSelected ? "#7C5CFC" : "rgba(124,92,252,0.6)";
     ctx.lineWidth = Math.max(2, Math.min(width, height) * 0.02);
-    ctx.setLineDash([]);
+    if (face.ageReview) {
+      // Blocked because the age estimate is unsure: flag for review
+      ctx.strokeStyle = isSelected ? "#F4A261" : "rgba(244,162,97,0.9)";
+      ctx.setLineDash([ctx.lineWidth * 3, ctx.lineWidth * 2]);
+    } else if (face.keep) {
+      // Left visible: dashed green outline
+      ctx.strokeStyle = isSelected ? "#2A9D8F" : "rgba(42,157,143,0.8)";
+      ctx.setLineDash([ctx.lineWidth * 3, ctx.lineWidth * 2]);
+    } else {
+      ctx.strokeStyle = isSelected ? "#7C5CFC" : "rgba(124,92,252,0.6)";
+      ctx.setLineDash([]);
+    }
+
+    // Linked body in whole-person mode: thin outline in the face's colour
+    if (face.region === "body" && face.body) {
+      const b = face.body;
+      const lineWidth = ctx.lineWidth;
+      ctx.lineWidth = lineWidth / 2;
+      ctx.strokeRect(b.x, b.y, b.width, b.height);
+      ctx.lineWidth = lineWidth;
+    }
+
+    // Wider coverage: dashed outline of the padded area, turned with the face
+    const area = coverageArea(face);
+    if (area) {
+      const lineWidth = ctx.lineWidth;
+      const dash = ctx.getLineDash();
+      ctx.lineWidth = lineWidth / 2;
+      ctx.setLineDash([lineWidth * 2, lineWidth * 2]);
+      ctx.save();
+      ctx.translate(area.x + area.width / 2, area.y + area.height / 2);
+      ctx.rotate(area.angle);
+      ctx.strokeRect(
+        -area.width / 2,
+        -area.height / 2,
+        area.width,
+        area.height,
+      );
+      ctx.restore();
+      ctx.lineWidth = lineWidth;
+      ctx.setLineDash(dash);
+    }
+
+    // Head mask of the selected face, tinted so brush edits show
+    if (isSelected && face.clipToMask && face.mask) {
+      drawMaskTint(ctx, face.mask);
+    }
+
+    // Landmarks fitted to a selected manual region, so the fit can be judged
+    if (isSelected && face.manual && face.landmarks && landmarksEnabled(face)) {
+      drawLandmarks(ctx, face.landmarks.positions, Math.min(width, height));
+    }
 
     // Rounded rectangle
     const r = Math.min(width, height) * 0.1;
     ctx.beginPath();
     ctx.roundRect(x, y, width, height, r);
     ctx.stroke();
+    ctx.setLineDash([]);
+
+    const label = faceLabel(face);
+    if (label) {
+      const fontSize = Math.max(12, Math.min(width * 0.16, 32));
+      ctx.font = `600 ${fontSize}px sans-serif`;
+      ctx.textBaseline = "bottom";
+      ctx.fillStyle = face.ageReview
+        ? "#F4A261"
+        : face.keep
+          ? "#2A9D8F"
+          : "#7C5CFC";
+      ctx.fillText(label, x, y - fontSize * 0.2);
+    }
 
     // Light fill on selected
     if (isSelected) {
@@ -984,17 +2159,70 @@ export function renderOverlay(faces, selectedFaceId) {
       ctx.lineTo(dcx - xOff, dcy + xOff);
       ctx.stroke();
       ctx.lineCap = "butt";
+
+      // Rotation handle on a stem from the centre, pointing to the face's top
+      if (face.manual) {
+        const handle = rotateHandlePosition(face.box, face.roll, displayScale);
+        ctx.strokeStyle = "#7C5CFC";
+        ctx.lineWidth = Math.max(1.5, 2 / displayScale);
+        ctx.beginPath();
+        ctx.moveTo(x + width / 2, y + height / 2);
+        ctx.lineTo(handle.x, handle.y);
+        ctx.stroke();
+        ctx.fillStyle = "#7C5CFC";
+        ctx.beginPath();
+        ctx.arc(handle.x, handle.y, 9 / displayScale, 0, Math.PI * 2);
+        ctx.fill();
+      }
     }
   }
 
   // Show selection hint (only when not mid-drag)
-  if (selectedFaceId && !drag.active) {
-    showSelectionHint("Drag to move");
+  if ((selectedFaceId || areaToolActive) && !drag.active) {
+    showSelectionHint(selectionHintText());
   } else if (!selectedFaceId && !drag.active) {
     clearSelectionHint();
   }
 }
 
+/**
+ * Draw landmark positions as small dots.
+ */
+/**
+ * Where a face's rotation handle sits: above the box top, turned with the
+ * face about the box centre.
+ */
+function rotateHandlePosition(box, roll = 0, displayScale = 1) {
+  const reach = box.height / 2 + 28 / displayScale;
+  return {
+    x: box.x + box.width / 2 + Math.sin(roll) * reach,
+    y: box.y + box.height / 2 - Math.cos(roll) * reach,
+  };
+}
+
+function drawLandmarks(ctx, positions, faceSize) {
+  const radius = Math.max(1.5, faceSize * 0.012);
+  ctx.fillStyle = "rgba(255,255,255,0.8)";
+  for (const p of positions) {
+    ctx.beginPath();
+    ctx.arc(p.x, p.y, radius, 0, Math.PI * 2);
+    ctx.fill();
+  }
+}
+
+/**
+ * Draw a mask as a translucent accent-coloured area.
+ */
+function drawMaskTint(ctx, mask) {
+  const tint = maskToCanvas(mask);
+  const tintCtx = tint.getContext("2d");
+  tintCtx.globalCompositeOperation = "source-in";
+  tintCtx.fillStyle = "rgba(124,92,252,0.35)";
+  tintCtx.fillRect(0, 0, tint.width, tint.height);
+  const { x, y, width, height } = mask.box;
+  ctx.drawImage(tint, x, y, width, height);
+}
+
 /**
  * Render the processed result on the preview canvas.
  */
@@ -1015,6 +2243,9 @@ export function setUndoRedoState(canUndo, canRedo) {
 
 export function resetUI() {
   editorActive = false;
+  setAreaToolActive(false);
+  setPreviewZoom(null);
+  renderReviewItem(null);
   els.fileInput.value = "";
   showState("empty");
   hideStatus();
@@ -0,0 +1,254 @@
+// Main-thread client for the processing worker (js/worker.js).
+// Wraps postMessage in promises. Detection and rendering get separate worker
+// instances so a background batch detection never stalls the live preview.
+// Each full-res source is sent to the render worker once and kept there, so
+// preview updates only ship face data across the thread boundary.
+
+import { canvasFromBitmap } from "./canvas-utils.js";
+
+const workers = {}; // role -> Worker
+const pending = new Map(); // request id -> { resolve, reject, onProgress }
+const sourceIds = new WeakMap(); // source canvas -> Promise<sourceId>
+let nextId = 1;
+let workerFailed = false;
+const readyBackends = new Set();
+const readyFeatures = new Set();
+
+/**
+ * Whether detection and rendering can run in a worker.
+ * False when OffscreenCanvas is missing or a worker failed to start.
+ */
+export function isWorkerAvailable() {
+  if (workerFailed) return false;
+  if (typeof Worker === "undefined" || typeof OffscreenCanvas === "undefined") {
+    return false;
+  }
+  if (typeof createImageBitmap !== "function") return false;
+  try {
+    return !!new OffscreenCanvas(1, 1).getContext("2d");
+  } catch {
+    return false;
+  }
+}
+
+export function isWorkerReady(backendId, features = []) {
+  return (
+    readyBackends.has(backendId) && features.every((f) => readyFeatures.has(f))
+  );
+}
+
+function getWorker(role) {
+  if (!workers[role]) {
+    const worker = new Worker(new URL("./worker.js", import.meta.url), {
+      type: "module",
+    });
+    worker.addEventListener("message", handleMessage);
+    worker.addEventListener("error", (e) => {
+      console.error(`Processing worker (${role}) failed:`, e.message || e);
+      workerFailed = true;
+      for (const { reject } of pending.values()) {
+        reject(new Error("Processing worker failed"));
+      }
+      pending.clear();
+    });
+    workers[role] = worker;
+  }
+  return workers[role];
+}
+
+function handleMessage(e) {
+  const { id, result, error, progress } = e.data;
+  const request = pending.get(id);
+  if (!request) return;
+
+  if (progress !== undefined) {
+    request.onProgress?.(progress);
+    return;
+  }
+
+  pending.delete(id);
+  if (error !== undefined) {
+    request.reject(new Error(error));
+  } else {
+    request.resolve(result);
+  }
+}
+
+function call(role, type, payload, { transfer = [], onProgress } = {}) {
+  return new Promise((resolve, reject) => {
+    const id = nextId++;
+    pending.set(id, { resolve, reject, onProgress });
+    getWorker(role).postMessage({ id, type, payload }, transfer);
+  });
+}
+
+/**
+ * Load a detector backend's models (plus optional features) inside the
+ * detection worker.
+ * @param {string} baseUrl - Absolute model base URL
+ */
+export async function workerLoadModels(
+  baseUrl,
+  backendId,
+  features,
+  onProgress,
+) {
+  await call(
+    "detect",
+    "loadModels",
+    { baseUrl, backendId, features },
+    { onProgress },
+  );
+  readyBackends.add(backendId);
+  for (const feature of features) readyFeatures.add(feature);
+}
+
+/**
+ * Load detection models from local files inside the detection worker.
+ * @returns {Promise<{ backends: string[], features: string[] }>} What is now ready
+ */
+export async function workerLoadModelsFromFiles(files, onProgress) {
+  const loaded = await call(
+    "detect",
+    "loadModelsFromFiles",
+    { files },
+    { onProgress },
+  );
+  for (const id of loaded.backends) readyBackends.add(id);
+  for (const feature of loaded.features) readyFeatures.add(feature);
+  return loaded;
+}
+
+/**
+ * Detect faces on a (downscaled) detection canvas, or on a full-res tile
+ * when tile is set.
+ * @returns {Promise<Array>} Normalized face results, as detectFaces() returns
+ */
+export async function workerDetect(
+  detCanvas,
+  sensitivity,
+  scale,
+  backendId,
+  features,
+  tile,
+) {
+  const bitmap = await createImageBitmap(detCanvas);
+  return call(
+    "detect",
+    "detect",
+    { bitmap, sensitivity, scale, backendId, features, tile },
+    { transfer: [bitmap] },
+  );
+}
+
+/**
+ * Detect whole people on a (downscaled) detection canvas.
+ * @returns {Promise<Array>} Bodies, as detectPeople() returns
+ */
+export async function workerDetectPeople(detCanvas, scale) {
+  const bitmap = await createImageBitmap(detCanvas);
+  return call(
+    "detect",
+    "detectPeople",
+    { bitmap, scale },
+    { transfer: [bitmap] },
+  );
+}
+
+/**
+ * Fit 68-point landmarks to a face crop.
+ * @returns {Promise<Array>} Positions, as detectLandmarks() returns
+ */
+export async function workerLandmarks(canvas) {
+  const bitmap = await createImageBitmap(canvas);
+  return call("detect", "landmarks", { bitmap }, { transfer: [bitmap] });
+}
+
+/**
+ * Segment the person in a canvas (a crop around one head).
+ * @returns {Promise<object>} Probability grid, as segmentPerson() returns
+ */
+export async function workerSegment(canvas) {
+  const bitmap = await createImageBitmap(canvas);
+  return call("detect", "segment", { bitmap }, { transfer: [bitmap] });
+}
+
+/**
+ * Render effects for all faces on a full-res source canvas.
+ * @returns {Promise<HTMLCanvasElement>} The processed image
+ */
+export async function workerRender(
+  sourceCanvas,
+  faces,
+  effectId,
+  intensity,
+  params,
+) {
+  const sourceId = await ensureSource(sourceCanvas);
+  const bitmap = await call("render", "render", {
+    sourceId,
+    faces,
+    effectId,
+    intensity,
+    params,
+  });
+  return canvasFromBitmap(bitmap);
+}
+
+/**
+ * Import effect plugin modules in the render worker.
+ * @param {string[]} urls - Absolute module URLs
+ * @returns {Promise<string[]>} The URLs that failed
+ */
+export function workerLoadEffects(urls) {
+  return call("render", "loadEffects", { urls });
+}
+
+/**
+ * Replace the sticker images in the render worker. The bitmaps are copied,
+ * so the main thread keeps its own.
+ * @param {Array<{ id: string, image: ImageBitmap }>} stickers
+ */
+export function workerSetStickers(stickers) {
+  return call("render", "setStickers", { stickers });
+}
+
+/**
+ * Replace the bundled emoji images in the render worker (copied, as for
+ * stickers).
+ * @param {Array<{ emoji: string, image: ImageBitmap }>} images
+ */
+export function workerSetEmojiImages(images) {
+  return call("render", "setEmojiImages", { images });
+}
+
+/**
+ * Drop a source canvas from the render worker (photo removed or evicted).
+ */
+export function releaseWorkerSource(sourceCanvas) {
+  const ready = sourceIds.get(sourceCanvas);
+  if (!ready) return;
+  sourceIds.delete(sourceCanvas);
+  ready
+    .then((sourceId) => call("render", "releaseSource", { sourceId }))
+    .catch(() => {});
+}
+
+function ensureSource(sourceCanvas) {
+  let ready = sourceIds.get(sourceCanvas);
+  if (!ready) {
+    const sourceId = `source-${nextId++}`;
+    ready = createImageBitmap(sourceCanvas).then(async (bitmap) => {
+      await call(
+        "render",
+        "setSource",
+        { sourceId, bitmap },
+        { transfer: [bitmap] },
+      );
+      return sourceId;
+    });
+    ready.catch(() => sourceIds.delete(sourceCanvas));
+    sourceIds.set(sourceCanvas, ready);
+  }
+  return ready;
+}
@@ -0,0 +1,95 @@
+// Processing worker: runs face detection and effect rendering off the main
+// thread. Requests are { id, type, payload }; replies are { id, result } or
+// { id, error }, plus { id, progress } status messages while a request runs.
+
+import {
+  loadModels,
+  loadModelsFromFiles,
+  detectFaces,
+  detectPeople,
+  detectLandmarks,
+  segmentPerson,
+} from "./detector.js";
+import { processImage } from "./processor.js";
+import { setStickers, setEmojiImages } from "./effects.js";
+import { canvasFromBitmap } from "./canvas-utils.js";
+import { loadEffectModules } from "./effect-registry.js";
+
+// Full-resolution source canvases kept resident between render requests
+const sources = new Map();
+
+const handlers = {
+  loadModels({ baseUrl, backendId, features }, progress) {
+    return loadModels(progress, { baseUrl, backendId, features });
+  },
+
+  loadModelsFromFiles({ files }, progress) {
+    return loadModelsFromFiles(files, progress);
+  },
+
+  detect({ bitmap, sensitivity, scale, backendId, features, tile }) {
+    return detectFaces(
+      canvasFromBitmap(bitmap),
+      sensitivity,
+      scale,
+      backendId,
+      features,
+      tile,
+    );
+  },
+
+  detectPeople({ bitmap, scale }) {
+    return detectPeople(canvasFromBitmap(bitmap), scale);
+  },
+
+  landmarks({ bitmap }) {
+    return detectLandmarks(canvasFromBitmap(bitmap));
+  },
+
+  segment({ bitmap }) {
+    return segmentPerson(canvasFromBitmap(bitmap));
+  },
+
+  setSource({ sourceId, bitmap }) {
+    sources.set(sourceId, canvasFromBitmap(bitmap));
+  },
+
+  releaseSource({ sourceId }) {
+    sources.delete(sourceId);
+  },
+
+  loadEffects({ urls }) {
+    return loadEffectModules(urls);
+  },
+
+  setStickers({ stickers }) {
+    setStickers(stickers);
+  },
+
+  setEmojiImages({ images }) {
+    setEmojiImages(images);
+  },
+
+  render({ sourceId, faces, effectId, intensity, params }) {
+    const source = sources.get(sourceId);
+    if (!source) throw new Error(`Unknown render source: ${sourceId}`);
+    const processed = processImage(source, faces, effectId, intensity, params);
+    return processed.transferToImageBitmap();
+  },
+};
+
+self.addEventListener("message", async (e) => {
+  const { id, type, payload } = e.data;
+  const handler = handlers[type];
+
+  try {
+    if (!handler) throw new Error(`Unknown worker request: ${type}`);
+    const result = await handler(payload, (progress) =>
+      self.postMessage({ id, progress }),
+    );
+    const transfer = result instanceof ImageBitmap ? [result] : [];
+    self.postMessage({ id, result }, transfer);
+  } catch (err) {
+    self.postMessage({ id, error: err.message || String(err) });
+  }
+});
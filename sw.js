@@ -1,4 +1,46 @@
-const CACHE_NAME = 'faceblock-v1';
+const CACHE_NAME = 'faceblock-v29';
+// Bundled emoji images (assets/emoji), one per entry of js/emoji-data.js
+const EMOJI_FILES = [
+  '1f600', '1f603', '1f604', '1f601', '1f606', '1f605', '1f923', '1f602', '1f642', '1f643',
+  '1fae0', '1f609', '1f60a', '1f607', '1f970', '1f60d', '1f929', '1f618', '1f617', '263a',
+  '1f61a', '1f619', '1f972', '1f60b', '1f61b', '1f61c', '1f92a', '1f61d', '1f911', '1f917',
+  '1f92d', '1fae2', '1fae3', '1f92b', '1f914', '1fae1', '1f910', '1f928', '1f610', '1f611',
+  '1f636', '1fae5', '1f636-200d-1f32b-fe0f', '1f60f', '1f612', '1f644', '1f62c',
+  '1f62e-200d-1f4a8', '1f925', '1fae8', '1f60c', '1f614', '1f62a', '1f924', '1f634', '1f637',
+  '1f912', '1f915', '1f922', '1f92e', '1f927', '1f975', '1f976', '1f974', '1f635',
+  '1f635-200d-1f4ab', '1f92f', '1f920', '1f973', '1f978', '1f60e', '1f913', '1f9d0', '1f615',
+  '1fae4', '1f61f', '1f641', '2639', '1f62e', '1f62f', '1f632', '1f633', '1f97a', '1f979',
+  '1f626', '1f627', '1f628', '1f630', '1f625', '1f622', '1f62d', '1f631', '1f616', '1f623',
+  '1f61e', '1f613', '1f629', '1f62b', '1f971', '1f624', '1f621', '1f620', '1f92c', '1f608',
+  '1f47f', '1f480', '2620', '1f4a9', '1f921', '1f479', '1f47a', '1f47b', '1f47d', '1f47e',
+  '1f916', '1f63a', '1f638', '1f639', '1f63b', '1f63c', '1f63d', '1f640', '1f63f', '1f63e',
+  '1f648', '1f649', '1f64a', '1f48c', '1f498', '1f49d', '1f496', '1f497', '1f493', '1f49e',
+  '1f495', '1f49f', '2763', '1f494', '2764-fe0f-200d-1f525', '2764-fe0f-200d-1fa79', '2764',
+  '1fa77', '1f9e1', '1f49b', '1f49a', '1f499', '1fa75', '1f49c', '1f90e', '1f5a4', '1fa76',
+  '1f90d', '1f48b', '1f4af', '1f4a2', '1f4a5', '1f4ab', '1f4a6', '1f4a8', '1f573', '1f4ac',
+  '1f5e8', '1f5ef', '1f4ad', '1f4a4', '1f435', '1f412', '1f98d', '1f9a7', '1f436', '1f415',
+  '1f9ae', '1f415-200d-1f9ba', '1f429', '1f43a', '1f98a', '1f99d', '1f431', '1f408',
+  '1f408-200d-2b1b', '1f981', '1f42f', '1f405', '1f406', '1f434', '1face', '1facf', '1f40e',
+  '1f984', '1f993', '1f98c', '1f9ac', '1f42e', '1f402', '1f403', '1f404', '1f437', '1f416',
+  '1f417', '1f43d', '1f40f', '1f411', '1f410', '1f42a', '1f42b', '1f999', '1f992', '1f418',
+  '1f9a3', '1f98f', '1f99b', '1f42d', '1f401', '1f400', '1f439', '1f430', '1f407', '1f43f',
+  '1f9ab', '1f994', '1f987', '1f43b', '1f43b-200d-2744-fe0f', '1f428', '1f43c', '1f9a5',
+  '1f9a6', '1f9a8', '1f998', '1f9a1', '1f43e', '1f983', '1f414', '1f413', '1f423', '1f424',
+  '1f425', '1f426', '1f427', '1f54a', '1f985', '1f986', '1f9a2', '1f989', '1f9a4', '1fab6',
+  '1f9a9', '1f99a', '1f99c', '1fabd', '1f426-200d-2b1b', '1fabf', '1f438', '1f40a', '1f422',
+  '1f98e', '1f40d', '1f432', '1f409', '1f995', '1f996', '1f433', '1f40b', '1f42c', '1f9ad',
+  '1f41f', '1f420', '1f421', '1f988', '1f419', '1f41a', '1fab8', '1fabc', '1f980', '1f99e',
+  '1f990', '1f991', '1f9aa', '1f40c', '1f98b', '1f41b', '1f41c', '1f41d', '1fab2', '1f41e',
+  '1f997', '1fab3', '1f577', '1f578', '1f982', '1f99f', '1fab0', '1fab1', '1f9a0', '1f490',
+  '1f338', '1f4ae', '1fab7', '1f3f5', '1f339', '1f940', '1f33a', '1f33b', '1f33c', '1f337',
+  '1fabb', '1f331', '1fab4', '1f332', '1f333', '1f334', '1f335', '1f33e', '1f33f', '2618',
+  '1f340', '1f341', '1f342', '1f343', '1fab9', '1faba', '1f344', '1f3ad', '1f383', '1f31f',
+  '1f525',
+];
+
+// Only the default detector and the landmark net are precached. The other
+// models (Tiny, MTCNN, known faces, age, people, head masks) are large and
+// optional, so they're cached the first time their feature fetches them.
 const PRECACHE_URLS = [
   './',
   'app.html',
@@ -11,16 +53,38 @@ const PRECACHE_URLS = [
   'js/processor.js',
   'js/detector.js',
   'js/effects.js',
+  'js/effect-registry.js',
   'js/constants.js',
   'js/canvas-utils.js',
+  'js/model-loader.js',
+  'js/worker.js',
+  'js/worker-client.js',
+  'js/geometry.js',
+  'js/detector-backends.js',
+  'js/mtcnn.js',
+  'js/storage.js',
+  'js/face-library.js',
+  'js/sticker-library.js',
+  'js/emoji-set.js',
+  'js/emoji-data.js',
+  'js/label-legend.js',
+  'js/face-seeds.js',
+  'js/people.js',
+  'js/age-policy.js',
+  'js/detection-cache.js',
+  'js/person-detector.js',
+  'js/segmentation.js',
+  'vendor/face-api.esm.js',
+  'vendor/jszip.min.js',
+  'models/ssd_mobilenetv1_model-weights_manifest.json',
+  'models/ssd_mobilenetv1_model.bin',
+  'models/face_landmark_68_model-weights_manifest.json',
+  'models/face_landmark_68_model.bin',
   'manifest.json',
   'assets/icon-192.png',
   'assets/icon-512.png',
-];
-
-// CDN resources cached on first use (not precached to avoid CORS issues)
-const CDN_HOSTS = [
-  'cdn.jsdelivr.net',
+  'assets/emoji/LICENSE.md',
+  ...EMOJI_FILES.map((name) => `assets/emoji/${name}.svg`),
 ];
 
 self.addEventListener('install', (event) => {
@@ -50,23 +114,17 @@ self.addEventListener('fetch', (event) => {
   // Skip blob: and data: URLs
   if (url.protocol === 'blob:' || url.protocol === 'data:') return;
 
-  // Network-first for CDN resources (face-api model files, etc.)
-  if (CDN_HOSTS.some((host) => url.hostname === host)) {
-    event.respondWith(
-      fetch(event.request)
-        .then((response) => {
-          const clone = response.clone();
-          caches.open(CACHE_NAME).then((cache) => cache.put(event.request, clone));
-          return response;
-        })
-        .catch(() => caches.match(event.request))
-    );
-    return;
-  }
-
-  // Cache-first for local assets
+  // Cache-first for local assets; model files are added on first fetch
+  const isModel = url.origin === self.location.origin &&
+    url.pathname.startsWith(new URL('models/', self.registration.scope).pathname);
   event.respondWith(
     caches.match(event.request)
-      .then((cached) => cached || fetch(event.request))
+      .then((cached) => cached || fetch(event.request).then((response) => {
+        if (isModel && response.ok) {
+          const copy = response.clone();
+          event.waitUntil(caches.open(CACHE_NAME).then((cache) => cache.put(event.request, copy)));
+        }
+        return response;
+      }))
   );
 });
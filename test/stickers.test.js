@@ -0,0 +1,81 @@
+// Different sticker for each face: faces drawn with the Sticker effect are
+// ranked by seed within a photo, and take the library's stickers in that
+// order (see processImage() and applySticker()).
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { rankBySeed } from "../js/face-seeds.js";
+import { applySticker, setStickers } from "../js/effects.js";
+
+const LIBRARY = ["a", "b", "c"].map((id) => ({
+  id,
+  image: { id, width: 100, height: 100 },
+}));
+
+function face(id, seed, effectId = "sticker") {
+  return {
+    id,
+    seed,
+    effectId,
+    box: { x: 0, y: 0, width: 50, height: 50 },
+  };
+}
+
+/**
+ * The sticker each face is drawn with, as processImage() would draw them.
+ */
+function stickersFor(faces) {
+  setStickers(LIBRARY);
+  const ranks = rankBySeed(faces, (f) => f.effectId);
+  const drawn = new Map();
+  for (const f of faces) {
+    const ctx = {
+      save() {},
+      restore() {},
+      translate() {},
+      rotate() {},
+      drawImage: (image) => drawn.set(f.id, image.id),
+    };
+    applySticker(ctx, null, f.box, 60, null, null, true, ranks.get(f));
+  }
+  return drawn;
+}
+
+test("faces in a photo get different stickers while there are enough", () => {
+  // Seeds that all pick the same sticker by seed modulo library size
+  const faces = [face("f1", 3), face("f2", 6), face("f3", 9)];
+  const drawn = stickersFor(faces);
+  assert.equal(new Set(drawn.values()).size, 3);
+});
+
+test("stickers repeat only once every face has had one", () => {
+  const faces = [1, 2, 3, 4, 5].map((seed) => face(`f${seed}`, seed * 7));
+  const counts = new Map();
+  for (const id of stickersFor(faces).values()) {
+    counts.set(id, (counts.get(id) || 0) + 1);
+  }
+  assert.deepEqual([...counts.values()].sort(), [1, 2, 2]);
+});
+
+test("a face's sticker doesn't depend on the order of the face list", () => {
+  const faces = [face("f1", 40), face("f2", 7), face("f3", 1234)];
+  const drawn = stickersFor(faces);
+  assert.deepEqual(stickersFor([...faces].reverse()), drawn);
+  assert.equal(drawn.get("f3"), "c");
+});
+
+test("faces drawn with other effects don't use up stickers", () => {
+  const faces = [
+    face("f1", 1),
+    face("f2", 2, "blur"),
+    face("f3", 3, "blur"),
+    face("f4", 4),
+    face("f5", 5),
+  ];
+  const ranks = rankBySeed(faces, (f) => f.effectId);
+  assert.deepEqual(
+    faces.map((f) => ranks.get(f)),
+    [0, 0, 1, 1, 2],
+  );
+});